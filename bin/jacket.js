@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * Command-line jacket check
+ *
+ *   jacket "Boston"
+ *   jacket "Boston" --units c --json
+ *   jacket "Oslo" --wind ms
+ *   jacket "Munich" --lang de
+ *   jacket "Chicago" --provider local
+ */
+
+const { createCore } = require('../lib/core');
+
+const USAGE = `Usage: jacket <place> [options]
+
+Options:
+  --units f|c        °F with mph and inches, or °C with km/h and mm
+                     (default: from LC_MEASUREMENT/LANG, then the place's country)
+  --wind mph|kmh|ms  Wind speed units
+  --lang <locale>    Language for place names and advice: en, es, fr, de, or a
+                     locale such as es-MX (default: from LC_MESSAGES/LANG)
+  --json             Print the verdict as JSON
+  --provider <name>  Weather provider: open-meteo, nws, openweathermap, local
+  --no-seasonal      Skip the recent-weather adjustment (one less request)
+  -h, --help         Show this help
+
+OpenWeatherMap needs an API key in OPENWEATHERMAP_API_KEY.`;
+
+/**
+ * Parse command-line arguments
+ * Returns: { query, units, wind, lang, json, provider, seasonal, help }
+ */
+function parseArgs(argv) {
+    const args = { query: '', units: null, wind: null, lang: null, json: false, provider: null, seasonal: true, help: false };
+    const words = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--units') {
+            args.units = String(argv[++i] || '').toLowerCase();
+        } else if (arg === '--wind') {
+            args.wind = String(argv[++i] || '').toLowerCase();
+        } else if (arg === '--lang') {
+            args.lang = String(argv[++i] || '');
+        } else if (arg === '--provider') {
+            args.provider = argv[++i];
+        } else if (arg === '--no-seasonal') {
+            args.seasonal = false;
+        } else if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            words.push(arg);
+        }
+    }
+
+    args.query = words.join(' ').trim();
+    if (args.units !== null && !['f', 'c'].includes(args.units)) {
+        throw new Error('--units must be f or c');
+    }
+    if (args.wind !== null && !['mph', 'kmh', 'ms'].includes(args.wind)) {
+        throw new Error('--wind must be mph, kmh or ms');
+    }
+    if (args.lang !== null && !/^[A-Za-z]{2,3}([-_][A-Za-z0-9]+)*$/.test(args.lang)) {
+        throw new Error('--lang must be a language or locale, e.g. es or es-MX');
+    }
+    return args;
+}
+
+/**
+ * Locale from the POSIX environment for one category: LC_MEASUREMENT for default units,
+ * LC_MESSAGES for the language
+ */
+function getLocale(env = process.env, category = 'LC_MEASUREMENT') {
+    const posix = env.LC_ALL || env[category] || env.LANG || '';
+    const locale = posix.split(/[.@]/)[0].replace('_', '-');
+    return ['', 'C', 'POSIX'].includes(locale) ? Intl.DateTimeFormat().resolvedOptions().locale : locale;
+}
+
+/**
+ * Unit preference from --units and --wind (partial; the rest comes from the locale)
+ */
+function getUnitOverrides(args, Units) {
+    const system = args.units ? Units.SYSTEMS[args.units === 'c' ? 'metric' : 'imperial'] : {};
+    return { ...system, ...(args.wind ? { wind: args.wind } : {}) };
+}
+
+/**
+ * Build the JSON result
+ * Numbers are in decision.units, as is the generated text
+ */
+function toResult({ location, weatherData, decision }, JacketDecision, Units) {
+    const { units } = decision;
+    const temp = value => Units.convertTemp(value, units);
+
+    return {
+        location: {
+            name: location.name,
+            state: location.state,
+            country: location.country,
+            lat: location.lat,
+            lon: location.lon
+        },
+        localTime: weatherData.localTime,
+        units: {
+            temperature: Units.getTempLabel(units),
+            wind: Units.getWindLabel(units),
+            precipitation: units.precipitation
+        },
+        answer: decision.answer,
+        rule: decision.rule,
+        jacketType: decision.jacketType,
+        margin: JacketDecision.describeMargin(decision.margin, units),
+        reasoning: decision.reasoning,
+        rainAdvice: decision.rainAdvice,
+        winterAdvice: decision.winterAdvice,
+        current: {
+            temp: temp(weatherData.current.temp),
+            feelsLike: temp(decision.effectiveTemp),
+            conditions: weatherData.current.conditions,
+            windSpeed: Units.convertWind(weatherData.current.windSpeed, units),
+            humidity: weatherData.current.humidity
+        },
+        later: {
+            temp: temp(weatherData.forecast.sixHour.temp),
+            conditions: weatherData.forecast.sixHour.conditions
+        },
+        outlook: decision.timeline.summary,
+        outfit: {
+            layers: Object.values(decision.outfit.layers).filter(Boolean),
+            accessories: decision.outfit.accessories
+        },
+        adjustments: decision.adjustments,
+        provider: weatherData.provider || null
+    };
+}
+
+/**
+ * Plain-text summary in the core's language
+ */
+function formatText(result, I18n) {
+    const temp = value => `${I18n.formatNumber(value)}${result.units.temperature}`;
+    const place = [result.location.name, result.location.state || result.location.country].filter(Boolean).join(', ');
+    const answer = I18n.t(`answer.${result.answer}`);
+    const lines = [
+        `${place}: ${answer}${result.jacketType ? ` - ${result.jacketType}` : ''}`,
+        I18n.t('cli.weather', {
+            temp: temp(result.current.temp),
+            feelsLike: temp(result.current.feelsLike),
+            conditions: I18n.t(`conditions.${result.current.conditions}`),
+            later: temp(result.later.temp)
+        }),
+        result.reasoning
+    ];
+
+    if (result.winterAdvice) lines.push(result.winterAdvice);
+    else if (result.rainAdvice) lines.push(result.rainAdvice);
+    if (result.outlook) lines.push(result.outlook);
+
+    return lines.join('\n');
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help || !args.query) {
+        (args.help ? console.log : console.error)(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    try {
+        const core = createCore({
+            ...(args.provider ? { provider: args.provider, fallbacks: [] } : {}),
+            apiKeys: process.env.OPENWEATHERMAP_API_KEY ? { openweathermap: process.env.OPENWEATHERMAP_API_KEY } : {}
+        });
+        const configError = core.WeatherAPI.getConfigError();
+        if (configError) {
+            throw new Error(configError);
+        }
+
+        const checked = await core.check(args.query, {
+            seasonal: args.seasonal,
+            locale: getLocale(),
+            language: args.lang || getLocale(process.env, 'LC_MESSAGES'),
+            units: getUnitOverrides(args, core.Units)
+        });
+        checked.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+        const result = toResult(checked, core.JacketDecision, core.Units);
+        console.log(args.json ? JSON.stringify(result, null, 2) : formatText(result, core.I18n));
+        return 0;
+    } catch (error) {
+        console.error(args.json ? JSON.stringify({ error: error.message }) : error.message);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseArgs, getLocale, getUnitOverrides, toResult, formatText };
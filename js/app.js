@@ -6,8 +6,9 @@
 const App = {
     // State
     state: {
-        useCelsius: false,
+        units: Units.resolve(),
         weatherData: null,
+        decision: null,
         location: null,
         suggestions: [],
         selectedIndex: -1,
@@ -23,10 +24,14 @@ const App = {
      * Initialize the application
      */
     init() {
+        I18n.setLocale(I18n.resolve());
+        I18n.translatePage();
         this.cacheElements();
         this.bindEvents();
+        this.setUnits(this.state.units);
         this.initCarousels();
         this.startLocationDetection();
+        this.initLinks();
     },
 
     /**
@@ -49,15 +54,18 @@ const App = {
             // Inputs
             locationInput: document.getElementById('location-input'),
             suggestions: document.getElementById('location-suggestions'),
+            locationStatus: document.getElementById('location-status'),
 
             // Result elements
             answer: document.getElementById('answer'),
+            margin: document.getElementById('decision-margin'),
             jacketType: document.getElementById('jacket-type'),
             reasoning: document.getElementById('reasoning'),
             currentTemp: document.getElementById('current-temp'),
             laterTemp: document.getElementById('later-temp'),
             windSpeed: document.getElementById('wind-speed'),
             locationName: document.getElementById('location-name'),
+            resultAnnouncement: document.getElementById('result-announcement'),
 
             // Error
             errorMessage: document.getElementById('error-message'),
@@ -77,7 +85,7 @@ const App = {
      */
     bindEvents() {
         this.elements.allowLocation.addEventListener('click', () => this.requestLocation());
-        this.elements.changeLocation.addEventListener('click', () => this.showPermission());
+        this.elements.changeLocation.addEventListener('click', () => this.hideResult());
         this.elements.retry.addEventListener('click', () => this.retry());
         this.elements.toggleUnits.addEventListener('click', () => this.toggleUnits());
 
@@ -160,6 +168,28 @@ const App = {
         this.updateCarousel(resultTrack, resultItems, this.state.resultCarouselIndex);
     },
 
+    /**
+     * Fill the result carousel with catalog jackets matching the recommended warmth
+     * Rain-friendly materials come first when it's rainy
+     */
+    fillResultCarousel(decision) {
+        // Warm but rainy still calls for a light, rain-friendly layer
+        const isRainy = decision.factors.isRainy || decision.factors.isSnowy;
+        const tier = decision.warmth || (isRainy ? 'light' : null);
+        const jackets = tier ? getJacketsForTier(tier, { isRainy }) : [];
+
+        // Nothing to recommend - keep whatever the carousel already shows
+        if (jackets.length === 0) return;
+
+        const track = this.elements.resultCarouselTrack;
+        track.innerHTML = jackets.map(jacket =>
+            `<img src="${jacket.src}" alt="${jacket.brand} ${jacket.model}" class="carousel-item">`
+        ).join('');
+
+        this.state.resultCarouselIndex = 0;
+        this.updateCarousel(track, track.querySelectorAll('.carousel-item'), 0);
+    },
+
     /**
      * Handle input changes for autocomplete
      */
@@ -173,6 +203,7 @@ const App = {
 
         if (query.length < 2) {
             this.hideSuggestions();
+            this.elements.locationStatus.textContent = '';
             return;
         }
 
@@ -226,9 +257,15 @@ const App = {
 
     /**
      * Render suggestions dropdown
+     * The input keeps focus and points at the highlighted option with aria-activedescendant
      */
     renderSuggestions() {
         const suggestions = this.state.suggestions;
+        const input = this.elements.locationInput;
+
+        this.elements.locationStatus.textContent = suggestions.length === 0
+            ? I18n.t('search.noResults')
+            : I18n.t('search.results', { count: suggestions.length });
 
         if (suggestions.length === 0) {
             this.hideSuggestions();
@@ -239,16 +276,24 @@ const App = {
             const detail = loc.state
                 ? `${loc.state}, ${loc.country}`
                 : loc.country;
-            const selected = index === this.state.selectedIndex ? 'selected' : '';
+            const selected = index === this.state.selectedIndex;
 
             return `
-                <li class="${selected}" data-index="${index}">
-                    <div class="location-name">${loc.name}</div>
-                    <div class="location-detail">${detail}</div>
+                <li id="location-option-${index}" role="option" aria-selected="${selected}" data-index="${index}">
+                    <div class="location-name">${this.escapeHtml(loc.name)}</div>
+                    <div class="location-detail">${this.escapeHtml(detail)}</div>
                 </li>
             `;
         }).join('');
 
+        const active = document.getElementById(`location-option-${this.state.selectedIndex}`);
+        if (active) {
+            input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+
         // Add click handlers to suggestions
         this.elements.suggestions.querySelectorAll('li').forEach(li => {
             li.addEventListener('click', () => {
@@ -263,11 +308,10 @@ const App = {
     /**
      * Select a location from suggestions
      */
-    async selectLocation(location) {
+    async selectLocation(location, { updateUrl = true, units = null } = {}) {
         this.hideSuggestions();
         this.showLoading();
 
-        WeatherAPI.clearCache();
         this.state.location = {
             lat: location.lat,
             lon: location.lon,
@@ -275,18 +319,31 @@ const App = {
             state: location.state,
             country: location.country
         };
+        this.setUnits(units || Units.load() || Units.resolve({ country: location.country }));
+        if (updateUrl) {
+            this.updateLink();
+        }
 
-        try {
-            const weatherData = await WeatherAPI.getWeatherByCoords(location.lat, location.lon);
-            // Override location name with the selected location
+        // Override location name with the selected location
+        const show = (weatherData) => {
             weatherData.location.name = location.name;
             weatherData.location.country = location.state
                 ? `${location.state}, ${location.country}`
                 : location.country;
             this.state.weatherData = weatherData;
-            this.showResult(weatherData);
+            return this.showResult(weatherData);
+        };
+
+        try {
+            // Cached forecasts show straight away; re-render if a background refresh lands
+            const weatherData = await WeatherAPI.getWeatherByCoords(location.lat, location.lon, (fresh) => {
+                if (this.state.location && this.state.location.name === location.name) {
+                    show(fresh);
+                }
+            });
+            await show(weatherData);
         } catch (error) {
-            this.showError('Could not fetch weather data. Please try again.');
+            this.showError(I18n.t('error.weather'));
         }
     },
 
@@ -296,6 +353,7 @@ const App = {
     showSuggestions() {
         if (this.state.suggestions.length > 0) {
             this.elements.suggestions.classList.remove('hidden');
+            this.elements.locationInput.setAttribute('aria-expanded', 'true');
         }
     },
 
@@ -304,6 +362,8 @@ const App = {
      */
     hideSuggestions() {
         this.elements.suggestions.classList.add('hidden');
+        this.elements.locationInput.setAttribute('aria-expanded', 'false');
+        this.elements.locationInput.removeAttribute('aria-activedescendant');
         this.state.selectedIndex = -1;
     },
 
@@ -329,27 +389,30 @@ const App = {
      */
     getLocation() {
         navigator.geolocation.getCurrentPosition(
-            (position) => {
-                this.state.location = {
-                    lat: position.coords.latitude,
-                    lon: position.coords.longitude
-                };
+            async (position) => {
+                const lat = position.coords.latitude;
+                const lon = position.coords.longitude;
+                const place = await WeatherAPI.reverseGeocode(lat, lon);
+
+                this.state.location = { ...place, lat, lon };
+                this.setUnits(Units.load() || Units.resolve({ country: place.country }));
+                this.updateLink();
                 this.fetchWeather();
             },
             (error) => {
                 console.error('Geolocation error:', error);
                 switch (error.code) {
                     case error.PERMISSION_DENIED:
-                        this.showError('Location access denied. Please enter your location manually.');
+                        this.showError(I18n.t('error.locationDenied'));
                         break;
                     case error.POSITION_UNAVAILABLE:
-                        this.showError('Location unavailable. Please enter your location manually.');
+                        this.showError(I18n.t('error.locationUnavailable'));
                         break;
                     case error.TIMEOUT:
-                        this.showError('Location request timed out. Please try again.');
+                        this.showError(I18n.t('error.locationTimeout'));
                         break;
                     default:
-                        this.showError('Could not get your location. Please enter it manually.');
+                        this.showError(I18n.t('error.location'));
                 }
             },
             {
@@ -366,7 +429,7 @@ const App = {
      */
     async fetchWeather() {
         if (!this.state.location) {
-            this.showError('No location available');
+            this.showError(I18n.t('error.noLocation'));
             return;
         }
 
@@ -376,26 +439,23 @@ const App = {
                 this.state.location.lon
             );
             this.state.weatherData = weatherData;
-            this.showResult(weatherData);
+            await this.showResult(weatherData);
         } catch (error) {
-            if (WeatherAPI.API_KEY === 'YOUR_API_KEY_HERE') {
-                this.showError('Please add your OpenWeatherMap API key to js/weather.js');
-            } else {
-                this.showError('Could not fetch weather data. Please try again.');
-            }
+            this.showError(WeatherAPI.getConfigError() || I18n.t('error.weather'));
         }
     },
 
     /**
      * Display the result
      */
-    showResult(weatherData) {
+    async showResult(weatherData) {
         // Get decision
-        const decision = JacketDecision.makeDecision(weatherData);
+        const decision = await JacketDecision.makeDecision(weatherData, { units: this.state.units });
 
         // Update answer
-        this.elements.answer.textContent = decision.answer;
+        this.elements.answer.textContent = I18n.t(`answer.${decision.answer}`);
         this.elements.answer.className = 'answer ' + decision.answer.toLowerCase();
+        this.state.decision = decision;
 
         // Update jacket type
         if (decision.jacketType) {
@@ -407,44 +467,154 @@ const App = {
         // Update reasoning
         this.elements.reasoning.textContent = decision.reasoning;
 
+        // Show catalog jackets that match the recommendation
+        this.fillResultCarousel(decision);
+
         // Update weather details
         this.updateTemperatureDisplay(weatherData);
 
-        this.elements.windSpeed.textContent = `${weatherData.current.windSpeed} mph`;
-        this.elements.locationName.textContent =
-            `${weatherData.location.name}, ${weatherData.location.country}`;
+        this.elements.locationName.textContent = this.formatLocationLine(weatherData);
+
+        // Read the verdict and reasoning out to screen readers
+        this.elements.resultAnnouncement.textContent = [
+            this.elements.answer.textContent,
+            decision.jacketType,
+            decision.reasoning
+        ].filter(Boolean).join('. ');
 
         // Show result state
         this.showState('result');
     },
 
+    /**
+     * Escape text for an HTML template - place names come from the geocoder
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Format the location name with the location's own local time
+     */
+    formatLocationLine(weatherData) {
+        const place = `${weatherData.location.name}, ${weatherData.location.country}`;
+        if (!weatherData.localTime) return place;
+
+        const local = WeatherAPI.getLocalTime(weatherData.localTime.utcOffsetSeconds);
+        return I18n.t('result.localTime', { place, time: I18n.formatTime(local.hour, local.minute) });
+    },
+
     /**
      * Update temperature display based on unit preference
      */
     updateTemperatureDisplay(weatherData) {
         const { current, forecast } = weatherData || this.state.weatherData;
 
-        if (this.state.useCelsius) {
-            this.elements.currentTemp.textContent =
-                `${JacketDecision.toCelsius(current.temp)}°C`;
-            this.elements.laterTemp.textContent =
-                `${JacketDecision.toCelsius(forecast.sixHour.temp)}°C`;
-        } else {
-            this.elements.currentTemp.textContent = `${current.temp}°F`;
-            this.elements.laterTemp.textContent = `${forecast.sixHour.temp}°F`;
+        if (this.state.decision) {
+            this.elements.margin.textContent =
+                JacketDecision.describeMargin(this.state.decision.margin, this.state.units);
+            this.elements.margin.className = 'margin ' + this.state.decision.answer.toLowerCase();
         }
+
+        this.elements.currentTemp.textContent = Units.formatTemp(current.temp, this.state.units);
+        this.elements.laterTemp.textContent = Units.formatTemp(forecast.sixHour.temp, this.state.units);
+        this.elements.windSpeed.textContent = Units.formatWind(current.windSpeed, this.state.units);
     },
 
     /**
-     * Toggle between Fahrenheit and Celsius
+     * Toggle between Fahrenheit and Celsius (wind and precipitation follow) and remember it
      */
     toggleUnits() {
-        this.state.useCelsius = !this.state.useCelsius;
-        this.elements.toggleUnits.textContent = this.state.useCelsius ? '°C' : '°F';
+        this.setUnits(Units.save(Units.toggle(this.state.units)));
+    },
+
+    /**
+     * Switch units; a shown result is decided again so its text uses them too
+     */
+    setUnits(units) {
+        const changed = JSON.stringify(units) !== JSON.stringify(this.state.units);
+        this.state.units = units;
+        this.elements.toggleUnits.textContent = Units.getTempLabel(units);
+
+        if (!changed) return;
+        if (DeepLink.fromParams(new URLSearchParams(window.location.search))) {
+            this.updateLink();
+        }
+        if (this.state.weatherData && !this.elements.result.classList.contains('hidden')) {
+            this.showResult(this.state.weatherData);
+        }
+    },
+
+    /**
+     * Open a deep link from the address bar, and follow back/forward (see DeepLink)
+     */
+    initLinks() {
+        window.addEventListener('popstate', () => this.openFromUrl());
+        this.openFromUrl();
+    },
+
+    /**
+     * Show whatever the address bar points at: a location's result, or the search screen
+     */
+    async openFromUrl() {
+        const link = DeepLink.fromParams(new URLSearchParams(window.location.search));
+        if (!link) {
+            this.showPermission();
+            return;
+        }
+
+        this.showLoading();
+        const location = await DeepLink.resolve(link);
+        if (location) {
+            // ?units=c switches the temperature for this visit without changing the saved choice
+            const units = link.units
+                ? Units.withTemperature(Units.load() || Units.resolve({ country: location.country }), link.units)
+                : null;
+            await this.selectLocation(location, { updateUrl: link.location.lat === null, units });
+        } else {
+            window.history.replaceState(null, '', window.location.pathname);
+            this.showError(I18n.t('error.noPlace', { name: link.location.name }));
+        }
+    },
+
+    /**
+     * Put the current location in the address bar
+     * Leaving search adds a history entry, so back returns to it; changing place or units
+     * on the result screen just rewrites the link
+     */
+    updateLink() {
+        const location = this.state.location;
+        if (!location) return;
+
+        const url = DeepLink.getUrl(location, this.state.units.temperature, window.location.href);
+        const onResult = (window.history.state && window.history.state.view === 'result') ||
+            DeepLink.fromParams(new URLSearchParams(window.location.search));
+
+        if (onResult) {
+            window.history.replaceState(window.history.state, '', url);
+        } else {
+            window.history.pushState({ view: 'result' }, '', url);
+        }
+    },
+
+    /**
+     * Leave the result for search
+     */
+    hideResult() {
+        // Opened from search: step back so this button and the browser's back button agree
+        if (window.history.state && window.history.state.view === 'result') {
+            window.history.back();
+            return;
+        }
 
-        if (this.state.weatherData) {
-            this.updateTemperatureDisplay();
+        if (DeepLink.fromParams(new URLSearchParams(window.location.search))) {
+            window.history.replaceState(null, '', window.location.pathname);
         }
+        this.showPermission();
     },
 
     /**
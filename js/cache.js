@@ -0,0 +1,336 @@
+/**
+ * Weather data cache
+ * One cache for every API response (forecast, archive, geocoding), with pluggable storage
+ *
+ * Entries are keyed by request type and rounded coordinates (see key()) and hold the raw
+ * API response, so derived values such as the local time are recomputed on every read.
+ * Each type has a TTL after which an entry is stale: get() still returns it straight away
+ * and refreshes it in the background. Entries older than MAX_AGE are discarded.
+ *
+ * Every network request goes through request(), which counts calls against the
+ * provider's rate limits and refuses new ones once a limit is reached.
+ */
+
+const WeatherCache = {
+    PREFIX: 'jacket-cache:',
+    STATS_KEY: 'jacket-api-calls',
+
+    // Fresh for this long...
+    TTL: {
+        forecast: 10 * 60 * 1000,               // 10 minutes
+        archive: 24 * 60 * 60 * 1000,           // 24 hours
+        geocoding: 7 * 24 * 60 * 60 * 1000      // 7 days
+    },
+
+    // ...and still served (while refreshing) up to this age
+    MAX_AGE: {
+        forecast: 6 * 60 * 60 * 1000,           // 6 hours
+        archive: 7 * 24 * 60 * 60 * 1000,       // 7 days
+        geocoding: 30 * 24 * 60 * 60 * 1000     // 30 days
+    },
+
+    // Open-Meteo free tier limits (calls per window)
+    RATE_LIMITS: {
+        minute: 600,
+        hour: 5000,
+        day: 10000
+    },
+
+    WINDOWS: {
+        minute: 60 * 1000,
+        hour: 60 * 60 * 1000,
+        day: 24 * 60 * 60 * 1000
+    },
+
+    storage: null,      // Active store (see stores), chosen by configure()
+    pending: {},        // In-flight refreshes by key, so concurrent reads share one request
+    counters: null,     // Call counters when localStorage isn't available
+
+    /**
+     * Storage backends - all async, holding { data, timestamp } entries
+     */
+    stores: {
+        memory: {
+            entries: {},
+
+            async get(key) {
+                return this.entries[key] || null;
+            },
+
+            async set(key, entry) {
+                this.entries[key] = entry;
+            },
+
+            async remove(key) {
+                delete this.entries[key];
+            },
+
+            async keys() {
+                return Object.keys(this.entries);
+            }
+        },
+
+        localStorage: {
+            async get(key) {
+                return JSON.parse(localStorage.getItem(WeatherCache.PREFIX + key));
+            },
+
+            async set(key, entry) {
+                localStorage.setItem(WeatherCache.PREFIX + key, JSON.stringify(entry));
+            },
+
+            async remove(key) {
+                localStorage.removeItem(WeatherCache.PREFIX + key);
+            },
+
+            async keys() {
+                return Object.keys(localStorage)
+                    .filter(key => key.startsWith(WeatherCache.PREFIX))
+                    .map(key => key.slice(WeatherCache.PREFIX.length));
+            }
+        },
+
+        indexedDB: {
+            DB_NAME: 'jacket-cache',
+            STORE_NAME: 'entries',
+            db: null,
+
+            open() {
+                if (!this.db) {
+                    this.db = new Promise((resolve, reject) => {
+                        const request = indexedDB.open(this.DB_NAME, 1);
+                        request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+                return this.db;
+            },
+
+            async run(mode, action) {
+                const db = await this.open();
+                return new Promise((resolve, reject) => {
+                    const request = action(db.transaction(this.STORE_NAME, mode).objectStore(this.STORE_NAME));
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            },
+
+            async get(key) {
+                return (await this.run('readonly', store => store.get(key))) || null;
+            },
+
+            async set(key, entry) {
+                await this.run('readwrite', store => store.put(entry, key));
+            },
+
+            async remove(key) {
+                await this.run('readwrite', store => store.delete(key));
+            },
+
+            async keys() {
+                return this.run('readonly', store => store.getAllKeys());
+            }
+        }
+    },
+
+    /**
+     * Choose a store: 'memory', 'localStorage' or 'indexedDB'
+     * Defaults to localStorage, falling back to memory where it isn't available
+     */
+    configure({ storage } = {}) {
+        const available = {
+            memory: true,
+            localStorage: typeof localStorage !== 'undefined',
+            indexedDB: typeof indexedDB !== 'undefined'
+        };
+        const name = storage || (available.localStorage ? 'localStorage' : 'memory');
+
+        if (!this.stores[name] || !available[name]) {
+            throw new Error(`Unsupported cache storage: ${name}`);
+        }
+
+        this.storage = this.stores[name];
+        this.prune();
+        return name;
+    },
+
+    /**
+     * Cache key from rounded coordinates (~1km) plus any extra parts
+     */
+    key(lat, lon, ...parts) {
+        return [`${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`, ...parts].join(':');
+    },
+
+    /**
+     * Read an entry without fetching
+     * Returns: { data, timestamp, isFresh } or null when missing or too old
+     */
+    async read(type, key) {
+        if (!this.storage) this.configure();
+
+        try {
+            const entry = await this.storage.get(`${type}:${key}`);
+            if (!entry) return null;
+
+            const age = Date.now() - entry.timestamp;
+            if (age > this.MAX_AGE[type]) {
+                await this.storage.remove(`${type}:${key}`);
+                return null;
+            }
+
+            return { data: entry.data, timestamp: entry.timestamp, isFresh: age < this.TTL[type] };
+        } catch (error) {
+            console.error('Error reading weather cache:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Store a response
+     */
+    async write(type, key, data) {
+        if (!this.storage) this.configure();
+
+        try {
+            await this.storage.set(`${type}:${key}`, { data, timestamp: Date.now() });
+        } catch (error) {
+            // A full or unavailable store just means no caching
+            console.error('Error writing weather cache:', error);
+        }
+        return data;
+    },
+
+    /**
+     * Get cached data, calling loader() when it's missing
+     * Stale data is returned immediately and refreshed in the background;
+     * onUpdate(data) is called once the refresh arrives.
+     */
+    async get(type, key, loader, onUpdate = null) {
+        const entry = await this.read(type, key);
+
+        if (entry && entry.isFresh) {
+            return entry.data;
+        }
+
+        if (entry) {
+            this.refresh(type, key, loader)
+                .then(data => onUpdate && onUpdate(data))
+                .catch(error => console.error('Error refreshing weather cache:', error));
+            return entry.data;
+        }
+
+        return this.refresh(type, key, loader);
+    },
+
+    /**
+     * Fetch and store fresh data, sharing one request between concurrent callers
+     */
+    refresh(type, key, loader) {
+        const id = `${type}:${key}`;
+
+        if (!this.pending[id]) {
+            this.pending[id] = this.request(loader)
+                .then(data => this.write(type, key, data))
+                .finally(() => {
+                    delete this.pending[id];
+                });
+        }
+
+        return this.pending[id];
+    },
+
+    /**
+     * Run a network request, counting it against the rate limits
+     * Throws without calling loader() once any limit is reached
+     */
+    async request(loader) {
+        const stats = this.getStats();
+        const exceeded = Object.keys(this.RATE_LIMITS).find(window => stats[window] >= this.RATE_LIMITS[window]);
+
+        if (exceeded) {
+            throw new Error(I18n.t(`error.rateLimit.${exceeded}`));
+        }
+
+        this.recordCall();
+        return loader();
+    },
+
+    /**
+     * API calls made in the current minute, hour and day
+     * Returns: { minute, hour, day }
+     */
+    getStats() {
+        const counters = this.loadCounters();
+        const now = Date.now();
+        const stats = {};
+
+        Object.keys(this.WINDOWS).forEach(window => {
+            const counter = counters[window];
+            stats[window] = counter && now - counter.start < this.WINDOWS[window] ? counter.count : 0;
+        });
+
+        return stats;
+    },
+
+    /**
+     * Count one API call in every window
+     */
+    recordCall() {
+        const counters = this.loadCounters();
+        const now = Date.now();
+
+        Object.keys(this.WINDOWS).forEach(window => {
+            const counter = counters[window];
+            counters[window] = counter && now - counter.start < this.WINDOWS[window]
+                ? { start: counter.start, count: counter.count + 1 }
+                : { start: now, count: 1 };
+        });
+
+        this.counters = counters;
+        try {
+            localStorage.setItem(this.STATS_KEY, JSON.stringify(counters));
+        } catch (error) {
+            // Counting still works in memory for this session
+        }
+    },
+
+    /**
+     * Saved call counters ({ minute, hour, day } of { start, count })
+     */
+    loadCounters() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STATS_KEY)) || {};
+        } catch (error) {
+            return this.counters || {};
+        }
+    },
+
+    /**
+     * Drop entries older than their MAX_AGE
+     */
+    async prune() {
+        try {
+            const keys = await this.storage.keys();
+            await Promise.all(keys.map(id => {
+                const type = id.split(':')[0];
+                return this.MAX_AGE[type] ? this.read(type, id.slice(type.length + 1)) : null;
+            }));
+        } catch (error) {
+            console.error('Error pruning weather cache:', error);
+        }
+    },
+
+    /**
+     * Remove one entry, or every entry of a type when called without a key
+     */
+    async remove(type, key) {
+        if (!this.storage) this.configure();
+
+        const keys = key === undefined
+            ? (await this.storage.keys()).filter(id => id.startsWith(`${type}:`))
+            : [`${type}:${key}`];
+
+        await Promise.all(keys.map(id => this.storage.remove(id)));
+    }
+};
@@ -0,0 +1,219 @@
+/**
+ * Climate normals
+ * Monthly mean temperatures for a location, from a bundled table of station normals
+ *
+ * Each station lists 12 monthly means in °F (January first), rounded from 1991-2020 normals.
+ * A location takes the inverse-distance weighted average of the nearest stations within
+ * MAX_DISTANCE_KM. Remote places fall back to a zonal model driven by latitude, with the
+ * seasons flipped in the southern hemisphere.
+ *
+ * classify() gives a Köppen-style code from temperature alone, e.g. 'Cb' for London.
+ * Without precipitation normals the dry-season letter is omitted and arid (B) climates
+ * cannot be detected, so deserts land in A, C or D by temperature.
+ */
+
+const ClimateNormals = {
+    MAX_DISTANCE_KM: 600,   // Stations further away than this are ignored
+    MAX_STATIONS: 3,        // Blend at most this many nearby stations
+    EXACT_MATCH_KM: 25,     // A station this close is used on its own
+
+    STATIONS: [
+        // North America
+        { name: 'New York', lat: 40.71, lon: -74.01, temps: [33, 35, 42, 53, 63, 72, 77, 76, 69, 58, 48, 38] },
+        { name: 'Boston', lat: 42.36, lon: -71.06, temps: [30, 32, 39, 49, 59, 68, 74, 73, 66, 55, 45, 35] },
+        { name: 'Washington', lat: 38.91, lon: -77.04, temps: [37, 39, 47, 57, 67, 76, 81, 79, 72, 60, 50, 41] },
+        { name: 'Atlanta', lat: 33.75, lon: -84.39, temps: [44, 48, 55, 62, 71, 78, 81, 80, 75, 64, 54, 46] },
+        { name: 'Miami', lat: 25.76, lon: -80.19, temps: [68, 70, 72, 75, 79, 82, 84, 84, 83, 80, 75, 71] },
+        { name: 'New Orleans', lat: 29.95, lon: -90.07, temps: [54, 57, 63, 69, 76, 82, 83, 84, 80, 71, 62, 56] },
+        { name: 'Chicago', lat: 41.88, lon: -87.63, temps: [25, 28, 39, 50, 60, 71, 76, 75, 67, 54, 42, 31] },
+        { name: 'Minneapolis', lat: 44.98, lon: -93.27, temps: [16, 20, 33, 47, 59, 69, 74, 71, 63, 49, 34, 21] },
+        { name: 'Dallas', lat: 32.78, lon: -96.80, temps: [47, 51, 59, 66, 74, 82, 86, 86, 79, 68, 57, 48] },
+        { name: 'Houston', lat: 29.76, lon: -95.37, temps: [54, 58, 64, 70, 77, 83, 85, 85, 81, 72, 62, 55] },
+        { name: 'Denver', lat: 39.74, lon: -104.99, temps: [31, 33, 41, 48, 58, 69, 75, 73, 64, 51, 39, 31] },
+        { name: 'Phoenix', lat: 33.45, lon: -112.07, temps: [56, 59, 65, 72, 81, 91, 95, 94, 88, 76, 63, 55] },
+        { name: 'Las Vegas', lat: 36.17, lon: -115.14, temps: [48, 52, 59, 66, 76, 86, 92, 90, 82, 69, 56, 47] },
+        { name: 'Los Angeles', lat: 34.05, lon: -118.24, temps: [59, 60, 61, 64, 66, 70, 74, 75, 74, 69, 63, 58] },
+        { name: 'San Francisco', lat: 37.77, lon: -122.42, temps: [51, 53, 55, 56, 58, 60, 61, 62, 63, 61, 56, 51] },
+        { name: 'Seattle', lat: 47.61, lon: -122.33, temps: [42, 43, 46, 50, 56, 61, 66, 67, 62, 53, 46, 41] },
+        { name: 'Vancouver', lat: 49.28, lon: -123.12, temps: [39, 41, 44, 48, 54, 59, 64, 64, 58, 50, 43, 38] },
+        { name: 'Calgary', lat: 51.05, lon: -114.07, temps: [17, 20, 27, 39, 49, 57, 63, 61, 53, 41, 27, 19] },
+        { name: 'Toronto', lat: 43.65, lon: -79.38, temps: [24, 25, 33, 45, 57, 66, 72, 70, 63, 51, 40, 30] },
+        { name: 'Montreal', lat: 45.50, lon: -73.57, temps: [15, 18, 29, 43, 57, 66, 71, 69, 61, 48, 35, 21] },
+        { name: 'Anchorage', lat: 61.22, lon: -149.90, temps: [18, 20, 25, 36, 47, 55, 59, 57, 49, 36, 24, 19] },
+        { name: 'Fairbanks', lat: 64.84, lon: -147.72, temps: [-8, -3, 10, 30, 49, 60, 63, 57, 45, 25, 5, -4] },
+        { name: 'Nuuk', lat: 64.18, lon: -51.72, temps: [17, 15, 16, 25, 34, 41, 45, 44, 39, 31, 24, 19] },
+        { name: 'Honolulu', lat: 21.31, lon: -157.86, temps: [73, 73, 74, 76, 77, 79, 80, 81, 81, 79, 77, 74] },
+        { name: 'Mexico City', lat: 19.43, lon: -99.13, temps: [58, 61, 64, 66, 67, 66, 64, 64, 63, 62, 60, 58] },
+
+        // South America
+        { name: 'Bogotá', lat: 4.71, lon: -74.07, temps: [57, 57, 58, 58, 58, 57, 56, 57, 57, 57, 57, 57] },
+        { name: 'Lima', lat: -12.05, lon: -77.04, temps: [74, 75, 75, 72, 67, 64, 62, 61, 62, 64, 67, 71] },
+        { name: 'Rio de Janeiro', lat: -22.91, lon: -43.17, temps: [80, 81, 80, 77, 74, 72, 71, 72, 73, 75, 77, 79] },
+        { name: 'São Paulo', lat: -23.55, lon: -46.63, temps: [73, 74, 73, 70, 66, 64, 63, 65, 66, 69, 70, 72] },
+        { name: 'Santiago', lat: -33.45, lon: -70.67, temps: [70, 69, 65, 59, 53, 48, 47, 50, 54, 59, 63, 68] },
+        { name: 'Buenos Aires', lat: -34.60, lon: -58.38, temps: [77, 75, 71, 64, 57, 51, 50, 53, 57, 63, 69, 74] },
+        { name: 'Punta Arenas', lat: -53.16, lon: -70.91, temps: [52, 51, 48, 43, 38, 35, 34, 36, 39, 44, 47, 50] },
+
+        // Europe
+        { name: 'London', lat: 51.51, lon: -0.13, temps: [42, 42, 46, 50, 56, 61, 65, 64, 60, 54, 47, 43] },
+        { name: 'Dublin', lat: 53.35, lon: -6.26, temps: [42, 42, 44, 47, 52, 57, 60, 60, 56, 51, 46, 43] },
+        { name: 'Edinburgh', lat: 55.95, lon: -3.19, temps: [39, 40, 42, 46, 51, 56, 59, 58, 55, 49, 43, 40] },
+        { name: 'Paris', lat: 48.86, lon: 2.35, temps: [41, 43, 48, 53, 59, 65, 68, 68, 62, 55, 47, 42] },
+        { name: 'Amsterdam', lat: 52.37, lon: 4.90, temps: [38, 39, 43, 49, 56, 61, 65, 65, 59, 52, 45, 40] },
+        { name: 'Berlin', lat: 52.52, lon: 13.40, temps: [33, 35, 40, 49, 58, 64, 67, 66, 59, 50, 41, 35] },
+        { name: 'Vienna', lat: 48.21, lon: 16.37, temps: [33, 36, 43, 52, 61, 67, 71, 70, 62, 52, 42, 35] },
+        { name: 'Warsaw', lat: 52.23, lon: 21.01, temps: [29, 31, 38, 48, 58, 64, 67, 66, 57, 47, 38, 31] },
+        { name: 'Madrid', lat: 40.42, lon: -3.70, temps: [43, 46, 52, 55, 63, 73, 79, 78, 69, 59, 49, 44] },
+        { name: 'Lisbon', lat: 38.72, lon: -9.14, temps: [53, 55, 58, 60, 64, 69, 73, 74, 71, 65, 58, 54] },
+        { name: 'Rome', lat: 41.90, lon: 12.50, temps: [47, 48, 53, 58, 65, 73, 78, 78, 71, 63, 54, 48] },
+        { name: 'Athens', lat: 37.98, lon: 23.73, temps: [50, 51, 55, 61, 69, 78, 83, 83, 76, 67, 59, 53] },
+        { name: 'Istanbul', lat: 41.01, lon: 28.98, temps: [44, 45, 48, 55, 64, 72, 77, 77, 71, 63, 54, 48] },
+        { name: 'Oslo', lat: 59.91, lon: 10.75, temps: [25, 25, 31, 41, 51, 59, 63, 61, 53, 43, 34, 27] },
+        { name: 'Stockholm', lat: 59.33, lon: 18.07, temps: [29, 29, 33, 42, 52, 60, 65, 63, 55, 45, 37, 31] },
+        { name: 'Reykjavik', lat: 64.15, lon: -21.94, temps: [33, 33, 34, 37, 44, 49, 52, 51, 46, 40, 35, 33] },
+        { name: 'Moscow', lat: 55.76, lon: 37.62, temps: [18, 19, 29, 43, 56, 63, 67, 63, 52, 41, 30, 21] },
+
+        // Africa and the Middle East
+        { name: 'Casablanca', lat: 33.57, lon: -7.59, temps: [55, 56, 58, 60, 64, 68, 72, 73, 71, 67, 61, 57] },
+        { name: 'Cairo', lat: 30.04, lon: 31.24, temps: [58, 61, 65, 72, 78, 82, 84, 84, 81, 76, 68, 61] },
+        { name: 'Lagos', lat: 6.52, lon: 3.38, temps: [81, 83, 84, 83, 81, 79, 77, 77, 78, 79, 81, 81] },
+        { name: 'Nairobi', lat: -1.29, lon: 36.82, temps: [66, 67, 68, 67, 65, 63, 61, 62, 64, 66, 65, 65] },
+        { name: 'Johannesburg', lat: -26.20, lon: 28.05, temps: [68, 67, 65, 60, 55, 50, 51, 55, 61, 64, 66, 67] },
+        { name: 'Cape Town', lat: -33.92, lon: 18.42, temps: [70, 70, 68, 64, 60, 56, 55, 56, 58, 61, 65, 68] },
+        { name: 'Riyadh', lat: 24.71, lon: 46.68, temps: [59, 63, 71, 80, 90, 95, 97, 97, 92, 83, 71, 62] },
+        { name: 'Dubai', lat: 25.20, lon: 55.27, temps: [66, 68, 73, 80, 88, 92, 95, 95, 91, 85, 77, 70] },
+        { name: 'Tehran', lat: 35.69, lon: 51.39, temps: [39, 44, 53, 63, 73, 83, 88, 86, 78, 66, 53, 43] },
+
+        // Asia
+        { name: 'Delhi', lat: 28.61, lon: 77.21, temps: [58, 63, 74, 85, 92, 93, 88, 86, 84, 78, 68, 60] },
+        { name: 'Mumbai', lat: 19.08, lon: 72.88, temps: [76, 77, 80, 83, 86, 84, 82, 81, 81, 83, 81, 78] },
+        { name: 'Almaty', lat: 43.24, lon: 76.89, temps: [22, 25, 37, 52, 61, 70, 75, 73, 63, 50, 36, 26] },
+        { name: 'Novosibirsk', lat: 55.01, lon: 82.93, temps: [-1, 3, 16, 35, 51, 62, 66, 61, 49, 35, 16, 4] },
+        { name: 'Yakutsk', lat: 62.03, lon: 129.73, temps: [-36, -29, -6, 18, 42, 60, 67, 59, 42, 15, -19, -33] },
+        { name: 'Ulaanbaatar', lat: 47.92, lon: 106.92, temps: [-6, 2, 18, 34, 48, 59, 64, 60, 47, 31, 12, -2] },
+        { name: 'Bangkok', lat: 13.76, lon: 100.50, temps: [80, 83, 85, 87, 86, 85, 84, 84, 83, 83, 82, 79] },
+        { name: 'Singapore', lat: 1.35, lon: 103.82, temps: [80, 81, 82, 83, 83, 83, 82, 82, 82, 82, 81, 80] },
+        { name: 'Jakarta', lat: -6.21, lon: 106.85, temps: [80, 80, 81, 82, 82, 81, 81, 81, 82, 82, 82, 81] },
+        { name: 'Manila', lat: 14.60, lon: 120.98, temps: [79, 80, 82, 85, 85, 84, 82, 82, 82, 82, 81, 80] },
+        { name: 'Hong Kong', lat: 22.32, lon: 114.17, temps: [62, 63, 67, 73, 79, 83, 84, 84, 82, 78, 72, 65] },
+        { name: 'Shanghai', lat: 31.23, lon: 121.47, temps: [40, 43, 50, 60, 69, 76, 84, 83, 76, 67, 57, 45] },
+        { name: 'Beijing', lat: 39.90, lon: 116.41, temps: [25, 31, 44, 58, 69, 77, 80, 78, 70, 57, 41, 29] },
+        { name: 'Seoul', lat: 37.57, lon: 126.98, temps: [28, 33, 43, 55, 65, 73, 78, 79, 71, 59, 45, 32] },
+        { name: 'Tokyo', lat: 35.68, lon: 139.69, temps: [42, 43, 49, 58, 66, 72, 79, 81, 75, 65, 55, 47] },
+        { name: 'Sapporo', lat: 43.06, lon: 141.35, temps: [26, 27, 33, 44, 54, 62, 70, 72, 65, 53, 40, 30] },
+
+        // Oceania
+        { name: 'Perth', lat: -31.95, lon: 115.86, temps: [76, 77, 74, 68, 62, 58, 56, 57, 59, 63, 69, 73] },
+        { name: 'Brisbane', lat: -27.47, lon: 153.03, temps: [79, 78, 76, 72, 67, 63, 62, 63, 67, 71, 74, 77] },
+        { name: 'Sydney', lat: -33.87, lon: 151.21, temps: [74, 74, 72, 67, 62, 58, 56, 58, 62, 66, 69, 72] },
+        { name: 'Melbourne', lat: -37.81, lon: 144.96, temps: [70, 70, 66, 61, 56, 52, 50, 52, 55, 59, 63, 67] },
+        { name: 'Hobart', lat: -42.88, lon: 147.33, temps: [62, 62, 59, 55, 51, 47, 46, 48, 51, 54, 57, 60] },
+        { name: 'Auckland', lat: -36.85, lon: 174.76, temps: [68, 69, 67, 63, 59, 56, 54, 55, 57, 59, 62, 66] },
+        { name: 'Wellington', lat: -41.29, lon: 174.78, temps: [62, 62, 61, 57, 53, 50, 48, 49, 51, 54, 56, 59] }
+    ],
+
+    /**
+     * Monthly normals for a location
+     * Returns: { temps: [12 monthly means in °F], source: 'stations'|'zonal', stations: [names] }
+     */
+    lookup(lat, lon) {
+        const nearby = this.STATIONS
+            .map(station => ({ station, distance: this.distanceKm(lat, lon, station.lat, station.lon) }))
+            .filter(entry => entry.distance <= this.MAX_DISTANCE_KM)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.MAX_STATIONS);
+
+        if (nearby.length === 0) {
+            return { temps: this.zonalNormals(lat), source: 'zonal', stations: [] };
+        }
+
+        if (nearby[0].distance <= this.EXACT_MATCH_KM) {
+            return { temps: nearby[0].station.temps.slice(), source: 'stations', stations: [nearby[0].station.name] };
+        }
+
+        // Inverse-distance-squared weighting, so the closest station dominates
+        const weights = nearby.map(entry => 1 / (entry.distance * entry.distance));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const temps = Array.from({ length: 12 }, (_, month) => {
+            const blended = nearby.reduce((sum, entry, index) => sum + entry.station.temps[month] * weights[index], 0);
+            return Math.round(blended / totalWeight);
+        });
+
+        return { temps, source: 'stations', stations: nearby.map(entry => entry.station.name) };
+    },
+
+    /**
+     * Normal mean temperature (°F) for a location in a month (0 = January)
+     */
+    getMonthlyNormal(lat, lon, month) {
+        return this.lookup(lat, lon).temps[month];
+    },
+
+    /**
+     * Rough monthly normals from latitude alone, for places far from any station
+     * Coldest in mid-January in the north and mid-July in the south, where the
+     * larger share of ocean keeps the seasons milder
+     */
+    zonalNormals(lat) {
+        const absLat = Math.abs(lat);
+        const annualMean = 80 - 0.9 * Math.max(0, absLat - 15);
+        const halfRange = (lat < 0 ? 0.2 : 0.35) * absLat;
+        const hemisphere = lat < 0 ? -1 : 1;
+
+        return Array.from({ length: 12 }, (_, month) =>
+            Math.round(annualMean - hemisphere * halfRange * Math.cos(2 * Math.PI * month / 12))
+        );
+    },
+
+    /**
+     * Köppen-style group from monthly temperatures (°F) alone
+     * Returns: { group: 'A'|'C'|'D'|'E', code, description (in the current I18n language) }
+     */
+    classify(temps) {
+        const coldest = Math.min(...temps);
+        const warmest = Math.max(...temps);
+        const warmMonths = temps.filter(temp => temp >= 50).length;
+
+        if (warmest < 50) {
+            return this.describeClass('E', 'E');
+        }
+        if (coldest >= 64.4) {
+            return this.describeClass('A', 'A');
+        }
+
+        // Summer subtype: a = hot, b = warm, c = cool, d = cool with very cold winters
+        let summer = 'c';
+        if (warmest >= 71.6) {
+            summer = 'a';
+        } else if (warmMonths >= 4) {
+            summer = 'b';
+        }
+
+        if (coldest > 26.6) {
+            return this.describeClass('C', `C${summer}`);
+        }
+        if (summer === 'c' && coldest < -36.4) {
+            return this.describeClass('D', 'Dd');
+        }
+        return this.describeClass('D', `D${summer}`);
+    },
+
+    /**
+     * Class result with its description from the message catalog (climate.<code>)
+     */
+    describeClass(group, code) {
+        return { group, code, description: I18n.t(`climate.${code}`) };
+    },
+
+    /**
+     * Great-circle distance in kilometres
+     */
+    distanceKm(lat1, lon1, lat2, lon2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+};
@@ -0,0 +1,153 @@
+/**
+ * Thermal comfort model
+ * Turns air temperature, wind, gusts and humidity into an effective "feels like" temperature
+ *
+ * Inputs (all imperial, matching WeatherAPI output):
+ *   temp       - air temperature in °F
+ *   windSpeed  - sustained wind in mph
+ *   windGusts  - gust speed in mph (optional, defaults to windSpeed)
+ *   humidity   - relative humidity in % (optional, defaults to 50)
+ *
+ * Output of assess():
+ *   effectiveTemp - rounded °F the decision thresholds are compared against
+ *   effects       - signed °F contribution of each effect: { wind, gust, damp, heat }
+ *   dominant      - 'wind'|'gust'|'damp'|'heat'|'none', the largest effect of at least 1°F
+ *   description   - short phrase for the dominant effect (e.g. "in the wind")
+ *
+ * Edge cases:
+ *   - NWS wind chill only applies at or below 50°F with at least 3 mph of wind
+ *   - Between 50°F and 70°F wind still cools, at 1°F per 3 mph above 5 mph
+ *   - Gusts count for half of their excess over the sustained wind
+ *   - Damp cold applies at or below 60°F when humidity is above 70% (up to -4°F)
+ *   - Heat index applies at or above 80°F
+ */
+
+const ComfortModel = {
+    WIND_CHILL_MAX_TEMP: 50,    // NWS wind chill is defined at or below this (°F)
+    WIND_CHILL_MIN_WIND: 3,     // ...and at or above this wind speed (mph)
+    BREEZE_MAX_TEMP: 70,        // Wind still cools below this (°F)
+    BREEZE_MIN_WIND: 5,         // Wind below this is ignored in mild weather (mph)
+    GUST_WEIGHT: 0.5,           // Share of gust excess that counts as wind
+    DAMP_MAX_TEMP: 60,          // Damp cold applies at or below this (°F)
+    DAMP_MIN_HUMIDITY: 70,      // ...above this relative humidity (%)
+    DAMP_MAX_EFFECT: 4,         // Largest damp-cold penalty (°F)
+    HEAT_INDEX_MIN_TEMP: 80,    // Heat index applies at or above this (°F)
+
+    /**
+     * Assess thermal comfort for a set of conditions (see module comment for inputs/outputs)
+     */
+    assess({ temp, windSpeed = 0, windGusts, humidity }) {
+        const gusts = windGusts ?? windSpeed;
+        const rh = humidity ?? 50;
+
+        // Gusts raise the wind that counts, but only partly - they come and go
+        const effectiveWind = windSpeed + Math.max(0, gusts - windSpeed) * this.GUST_WEIGHT;
+
+        const sustainedWindTemp = this.applyWind(temp, windSpeed);
+        const gustyWindTemp = this.applyWind(temp, effectiveWind);
+
+        const effects = {
+            wind: sustainedWindTemp - temp,
+            gust: gustyWindTemp - sustainedWindTemp,
+            damp: this.dampCold(temp, rh),
+            heat: temp >= this.HEAT_INDEX_MIN_TEMP ? this.heatIndex(temp, rh) - temp : 0
+        };
+
+        const total = effects.wind + effects.gust + effects.damp + effects.heat;
+        const dominant = this.getDominantEffect(effects);
+
+        return {
+            effectiveTemp: Math.round(temp + total),
+            effects: {
+                wind: Math.round(effects.wind),
+                gust: Math.round(effects.gust),
+                damp: Math.round(effects.damp),
+                heat: Math.round(effects.heat)
+            },
+            dominant,
+            description: this.describe(dominant)
+        };
+    },
+
+    /**
+     * Temperature after wind cooling
+     * NWS wind chill when cold enough, a mild linear breeze effect up to 70°F, nothing above
+     */
+    applyWind(temp, windSpeed) {
+        if (temp <= this.WIND_CHILL_MAX_TEMP && windSpeed >= this.WIND_CHILL_MIN_WIND) {
+            return this.windChill(temp, windSpeed);
+        }
+        if (temp < this.BREEZE_MAX_TEMP && windSpeed >= this.BREEZE_MIN_WIND) {
+            return temp - (windSpeed - this.BREEZE_MIN_WIND) / 3;
+        }
+        return temp;
+    },
+
+    /**
+     * NWS wind chill (°F, mph)
+     */
+    windChill(temp, windSpeed) {
+        const v = Math.pow(windSpeed, 0.16);
+        return 35.74 + 0.6215 * temp - 35.75 * v + 0.4275 * temp * v;
+    },
+
+    /**
+     * NWS heat index (°F, % relative humidity)
+     * Steadman's simple formula, switching to the Rothfusz regression when hot
+     */
+    heatIndex(temp, humidity) {
+        const simple = 0.5 * (temp + 61 + (temp - 68) * 1.2 + humidity * 0.094);
+        if ((simple + temp) / 2 < 80) {
+            return simple;
+        }
+
+        let index = -42.379 + 2.04901523 * temp + 10.14333127 * humidity
+            - 0.22475541 * temp * humidity - 0.00683783 * temp * temp
+            - 0.05481717 * humidity * humidity + 0.00122874 * temp * temp * humidity
+            + 0.00085282 * temp * humidity * humidity - 0.00000199 * temp * temp * humidity * humidity;
+
+        // NWS adjustments for very dry and very humid air
+        if (humidity < 13 && temp >= 80 && temp <= 112) {
+            index -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(temp - 95)) / 17);
+        } else if (humidity > 85 && temp >= 80 && temp <= 87) {
+            index += ((humidity - 85) / 10) * ((87 - temp) / 5);
+        }
+
+        return index;
+    },
+
+    /**
+     * Extra chill from damp air on cool days (°F, always <= 0)
+     */
+    dampCold(temp, humidity) {
+        if (temp > this.DAMP_MAX_TEMP || humidity <= this.DAMP_MIN_HUMIDITY) {
+            return 0;
+        }
+        const share = (humidity - this.DAMP_MIN_HUMIDITY) / (100 - this.DAMP_MIN_HUMIDITY);
+        return -Math.min(1, share) * this.DAMP_MAX_EFFECT;
+    },
+
+    /**
+     * Pick the effect with the largest magnitude, ignoring anything under 1°F
+     */
+    getDominantEffect(effects) {
+        let dominant = 'none';
+        let largest = 1;
+
+        Object.entries(effects).forEach(([name, value]) => {
+            if (Math.abs(value) >= largest) {
+                dominant = name;
+                largest = Math.abs(value);
+            }
+        });
+
+        return dominant;
+    },
+
+    /**
+     * Short phrase for the dominant effect, in the current I18n language
+     */
+    describe(dominant) {
+        return dominant === 'none' ? '' : I18n.t(`comfort.${dominant}`);
+    }
+};
@@ -1,11 +1,12 @@
 /**
  * Jacket decision algorithm
  * Determines if user should bring a jacket based on weather conditions
- * Now includes regional climate and seasonal acclimation factors
+ * Now includes regional climate (monthly normals) and seasonal acclimation factors
  */
 
 const JacketDecision = {
     // Base temperature thresholds (Fahrenheit) - Primary jacket decision factors
+    // (wind, gust, humidity and heat effects live in ComfortModel)
     BASE_THRESHOLDS: {
         NO_JACKET: 75,           // Above this = no jacket needed
         LIGHT_JACKET: 60,        // 60-75°F = light jacket/sweater
@@ -13,194 +14,232 @@ const JacketDecision = {
         HEAVY_JACKET: 45,        // Below this = heavy jacket/coat
         
         TEMP_DROP_SIGNIFICANT: 10,  // Degrees drop that triggers recommendation
-        WIND_CHILL_FACTOR: 5,       // Wind speed that significantly affects comfort
-        HIGH_WIND: 15               // Wind speed that definitely needs a jacket
+        HIGH_WIND: 15,              // Wind speed that definitely needs a jacket
+        MAYBE_MARGIN: 3             // Within this many degrees of LIGHT_JACKET = MAYBE
     },
 
-    // Climate zones with adjustment factors (in °F)
-    CLIMATE_ZONES: {
-        WARM: -12,      // LA, Miami, Phoenix, San Diego, Houston
-        MODERATE: 0,    // NYC, Seattle, San Francisco, Portland, Boston
-        COLD: +8        // Chicago, Minneapolis, Toronto, Denver, Detroit
+    // Climate acclimation from monthly normals (ClimateNormals), in °F
+    // Locals of places that are normally warm this month want a jacket sooner, and vice versa
+    // (recent weather is a separate adjustment with its own direction - see getSeasonalAdjustmentFromTemps)
+    CLIMATE: {
+        REFERENCE_TEMP: 55,     // Monthly normal the base thresholds are tuned for
+        WEIGHT: 0.3,            // Threshold shift per degree of normal above/below the reference
+        MAX_ADJUSTMENT: 10      // Never shift thresholds further than this
     },
 
-    // Cache for seasonal data (24 hours) - now location-specific
-    seasonalCache: {
-        data: {}, // { "lat,lon": { adjustment: -5, timestamp: 123456 } }
-        CACHE_DURATION: 24 * 60 * 60 * 1000 // 24 hours
+    TIMELINE_HOURS: 24,         // Hours shown in the timeline and counted for snowfall
+
+    // Snow and ice detection
+    WINTER: {
+        SNOW_CODES: [71, 73, 75, 77, 85, 86],
+        FREEZING_RAIN_CODES: [56, 57, 66, 67],
+        LOOKAHEAD_HOURS: 12,    // Hours of forecast checked for snow and ice
+        ICE_MIN_TEMP: 28,       // Wet surfaces between these temperatures (°F)
+        ICE_MAX_TEMP: 35        // ...freeze and thaw into ice
+    },
+
+    // Jacket warmth (jacketData / Wardrobe vocabulary) for each temperature tier
+    WARMTH_BY_TIER: {
+        'very-cold': 'heavy',
+        'cold': 'medium',
+        'cool': 'light',
+        'warm': null
     },
 
     /**
-     * Determine climate zone based on location coordinates or city name
+     * Climate acclimation for a location and local date ('YYYY-MM-DD'), from monthly normals
+     * Returns: { adjustment (°F), normal (°F), month (name in the current language), code, description, source: 'stations'|'zonal' }
      */
-    getClimateZone(lat, lon, cityName) {
-        // Known warm cities (exact word matching)
-        const warmCities = ['los angeles', 'miami', 'phoenix', 'san diego', 
-                          'houston', 'tampa', 'las vegas', 'orlando', 'atlanta',
-                          'san antonio', 'dallas', 'austin', 'jacksonville',
-                          'mexico city', 'sydney', 'singapore', 'bangkok', 'dubai'];
-        
-        // Known cold cities (exact word matching)
-        const coldCities = ['chicago', 'minneapolis', 'toronto', 'denver', 
-                          'detroit', 'boston', 'milwaukee', 'cleveland', 'buffalo',
-                          'minnesota', 'wisconsin', 'montreal', 'calgary',
-                          'london', 'paris', 'berlin', 'moscow', 'stockholm'];
-        
-        const cityLower = cityName.toLowerCase();
-        
-        // Extract city name by splitting on common separators
-        const cityWords = cityLower.split(/[,\s]+/);
-        const primaryCity = cityWords[0]; // First word is usually the city name
-        
-        // Check against known cities using exact word matching
-        if (warmCities.some(city => primaryCity === city || cityLower.includes(city + ','))) {
-            return this.CLIMATE_ZONES.WARM;
-        }
-        if (coldCities.some(city => primaryCity === city || cityLower.includes(city + ','))) {
-            return this.CLIMATE_ZONES.COLD;
+    getClimateAdjustment(lat, lon, localDate) {
+        const month = parseInt(localDate.slice(5, 7), 10) - 1;
+        const normals = ClimateNormals.lookup(lat, lon);
+        const normal = normals.temps[month];
+        const { code, description } = ClimateNormals.classify(normals.temps);
+
+        const shift = (normal - this.CLIMATE.REFERENCE_TEMP) * this.CLIMATE.WEIGHT;
+        const adjustment = Math.round(Math.max(-this.CLIMATE.MAX_ADJUSTMENT, Math.min(this.CLIMATE.MAX_ADJUSTMENT, shift))) || 0;
+
+        return {
+            adjustment,
+            normal,
+            month: I18n.formatMonth(month),
+            code,
+            description,
+            source: normals.source
+        };
+    },
+
+    /**
+     * Get the location's local date and hour, falling back to the clock now (ms) in the runtime's time zone
+     */
+    getLocalTime(weatherData, now = Date.now()) {
+        if (weatherData.localTime) {
+            return weatherData.localTime;
         }
-        
-        // Use latitude as fallback
-        // Closer to equator = warmer, closer to poles = colder
-        const absLat = Math.abs(lat);
-        if (absLat < 30) {
-            return this.CLIMATE_ZONES.WARM;  // Tropical/subtropical
-        } else if (absLat > 45) {
-            return this.CLIMATE_ZONES.COLD;  // Northern/southern latitudes
-        } else {
-            return this.CLIMATE_ZONES.MODERATE;  // Temperate zones
+        now = new Date(now);
+        return {
+            date: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`,
+            hour: now.getHours(),
+            minute: now.getMinutes()
+        };
+    },
+
+    /**
+     * Get seasonal acclimation adjustment based on recent weather patterns
+     * localDate ('YYYY-MM-DD') is today's date at the location
+     */
+    async getSeasonalAdjustment(lat, lon, localDate) {
+        try {
+            return await this.fetchSeasonalAdjustment(lat, lon, localDate);
+        } catch (error) {
+            console.error('Error fetching seasonal adjustment:', error);
+            return 0; // Fallback to no adjustment
         }
     },
 
     /**
-     * Generate cache key for location-specific data
+     * Seasonal acclimation from the archive API - throws when recent temperatures are unavailable
      */
-    getCacheKey(lat, lon) {
-        return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+    async fetchSeasonalAdjustment(lat, lon, localDate) {
+        // Recent temperatures, cached per location (see WeatherCache.TTL.archive)
+        const data = await WeatherCache.get(
+            'archive',
+            WeatherCache.key(lat, lon),
+            () => this.fetchRecentTemperatures(lat, lon, localDate)
+        );
+
+        if (!data.daily || !data.daily.temperature_2m_mean) {
+            throw new Error('No temperature data available');
+        }
+
+        return this.getSeasonalAdjustmentFromTemps(data.daily.temperature_2m_mean);
     },
 
     /**
-     * Check if seasonal cache is still valid for a specific location
+     * Seasonal acclimation from recent daily mean temperatures (°F, nulls ignored)
+     * A warm spell lowers the jacket line and a cold spell raises it. This is the opposite of
+     * the climate adjustment on purpose: it reacts to a run of unusual weeks, not to what
+     * locals normally dress for this month
      */
-    isSeasonalCacheValid(lat, lon) {
-        const key = this.getCacheKey(lat, lon);
-        const cached = this.seasonalCache.data[key];
-        if (!cached) return false;
-        return (Date.now() - cached.timestamp) < this.seasonalCache.CACHE_DURATION;
+    getSeasonalAdjustmentFromTemps(dailyMeans) {
+        // Calculate average temperature for the period
+        const temps = dailyMeans.filter(temp => temp !== null);
+        if (temps.length === 0) {
+            return 0; // No data available
+        }
+        
+        const avgTemp = temps.reduce((sum, temp) => sum + temp, 0) / temps.length;
+        
+        // Determine adjustment based on average temperature (now in Fahrenheit)
+        if (avgTemp > 75) return -8;    // Very warm recently
+        if (avgTemp > 70) return -5;    // Warm recently
+        if (avgTemp < 30) return +8;    // Very cold recently
+        if (avgTemp < 40) return +5;    // Cold recently
+        return 0;
     },
 
     /**
-     * Get seasonal acclimation adjustment based on recent weather patterns
+     * Fetch daily mean temperatures for the 30 days before localDate
      */
-    async getSeasonalAdjustment(lat, lon) {
-        const key = this.getCacheKey(lat, lon);
+    async fetchRecentTemperatures(lat, lon, localDate) {
+        // Calculate date range for past 30 days (ending yesterday for data availability)
+        const endDate = localDate ? new Date(`${localDate}T00:00:00Z`) : new Date();
+        endDate.setUTCDate(endDate.getUTCDate() - 1); // End yesterday
+
+        // Future dates (trip planning) use the most recent 30 days available
+        const latestDate = new Date();
+        latestDate.setUTCDate(latestDate.getUTCDate() - 1);
+        if (endDate > latestDate) {
+            endDate.setTime(latestDate.getTime());
+        }
+        const startDate = new Date(endDate);
+        startDate.setUTCDate(startDate.getUTCDate() - 30); // 30 days before yesterday
+        
+        const startDateStr = startDate.toISOString().split('T')[0];
+        const endDateStr = endDate.toISOString().split('T')[0];
         
-        // Check cache first
-        if (this.isSeasonalCacheValid(lat, lon)) {
-            return this.seasonalCache.data[key].adjustment;
+        // Fetch historical temperature data in Fahrenheit
+        const response = await fetch(
+            `https://archive-api.open-meteo.com/v1/archive?` +
+            `latitude=${lat}&` +
+            `longitude=${lon}&` +
+            `start_date=${startDateStr}&` +
+            `end_date=${endDateStr}&` +
+            `daily=temperature_2m_mean&` +
+            `temperature_unit=fahrenheit&` + // Request Fahrenheit data
+            `timezone=auto`
+        );
+
+        if (!response.ok) {
+            throw new Error('Historical weather API request failed');
         }
 
-        try {
-            // Calculate date range for past 30 days (ending yesterday for data availability)
-            const endDate = new Date();
-            endDate.setDate(endDate.getDate() - 1); // End yesterday
-            const startDate = new Date(endDate);
-            startDate.setDate(startDate.getDate() - 30); // 30 days before yesterday
-            
-            const startDateStr = startDate.toISOString().split('T')[0];
-            const endDateStr = endDate.toISOString().split('T')[0];
-            
-            // Fetch historical temperature data in Fahrenheit
-            const response = await fetch(
-                `https://archive-api.open-meteo.com/v1/archive?` +
-                `latitude=${lat}&` +
-                `longitude=${lon}&` +
-                `start_date=${startDateStr}&` +
-                `end_date=${endDateStr}&` +
-                `daily=temperature_2m_mean&` +
-                `temperature_unit=fahrenheit&` + // Request Fahrenheit data
-                `timezone=auto`
-            );
-
-            if (!response.ok) {
-                throw new Error('Historical weather API request failed');
-            }
+        return response.json();
+    },
 
-            const data = await response.json();
-            
-            if (!data.daily || !data.daily.temperature_2m_mean) {
-                throw new Error('No temperature data available');
-            }
+    /**
+     * Main decision function with regional and seasonal adjustments
+     * Fetches the seasonal adjustment (recent temperatures), then runs decide()
+     * Takes the same options as decide()
+     */
+    async makeDecision(weatherData, options = {}) {
+        const { location } = weatherData;
+        const localTime = this.getLocalTime(weatherData, options.now);
+        const seasonalAdjustment = await this.getSeasonalAdjustment(location.lat, location.lon, localTime.date);
 
-            // Calculate average temperature for the period
-            const temps = data.daily.temperature_2m_mean.filter(temp => temp !== null);
-            if (temps.length === 0) {
-                return 0; // No data available
-            }
-            
-            const avgTemp = temps.reduce((sum, temp) => sum + temp, 0) / temps.length;
-            
-            // Determine adjustment based on average temperature (now in Fahrenheit)
-            let adjustment = 0;
-            if (avgTemp > 75) {
-                adjustment = -8; // Very warm recently
-            } else if (avgTemp > 70) {
-                adjustment = -5; // Warm recently
-            } else if (avgTemp < 30) {
-                adjustment = +8; // Very cold recently
-            } else if (avgTemp < 40) {
-                adjustment = +5; // Cold recently
-            }
-            
-            // Cache the result per location
-            this.seasonalCache.data[key] = {
-                adjustment,
-                timestamp: Date.now()
-            };
-            
-            return adjustment;
-            
-        } catch (error) {
-            console.error('Error fetching seasonal adjustment:', error);
-            return 0; // Fallback to no adjustment
-        }
+        return this.decide(weatherData, { ...options, seasonalAdjustment });
     },
 
     /**
-     * Main decision function with regional and seasonal adjustments
-     * Returns: { answer: 'YES'|'NO', reasoning: string, jacketType: string|null, rainAdvice: string|null }
+     * Decide from weather data alone - no network, storage or clock reads, so it can run anywhere
+     * Pass options.seasonalAdjustment (°F, see getSeasonalAdjustmentFromTemps) for recent weather
+     * Pass options.schedule ({ departure, return } as "HH:MM") to decide for a commute instead of "now"
+     * Pass options.personalAdjustment (°F, from ComfortFeedback) to shift thresholds for the user
+     * Pass options.climateAdjustment (°F) to use instead of the monthly-normals acclimation (what-if)
+     * Pass options.wardrobe (from Wardrobe.load()) to pick a specific owned jacket
+     * Pass options.now (ms) as the clock when weatherData has no localTime
+     * Pass options.units (see Units) for the units of every generated sentence (default °F, mph, inches)
+     * Generated text is in the current I18n language
+     * Returns: { answer: 'YES'|'MAYBE'|'NO', margin: number, rule: string, reasoning: string, jacketType: string|null, warmth: 'light'|'medium'|'heavy'|null, ownedJacket: object|null, outfit: object, rainAdvice: string|null, winter: object, winterAdvice: string|null, timeline: object, commute: object|null, climate: object, adjustments: object, thresholds: object, units: object }
+     * rule is the classifyTemperature branch that set the answer (for a commute, the coldest leg's)
      */
-    async makeDecision(weatherData) {
+    decide(weatherData, options = {}) {
         const { current, forecast, precipitation, location } = weatherData;
+        const units = Units.normalize(options.units);
 
         // Get adjustment factors
-        const climateAdjustment = this.getClimateZone(location.lat, location.lon, location.name);
-        const seasonalAdjustment = await this.getSeasonalAdjustment(location.lat, location.lon);
+        const localTime = this.getLocalTime(weatherData, options.now);
+        const climate = this.getClimateAdjustment(location.lat, location.lon, localTime.date);
+        if (typeof options.climateAdjustment === 'number') {
+            climate.adjustment = options.climateAdjustment;
+        }
+        const climateAdjustment = climate.adjustment;
+        const seasonalAdjustment = options.seasonalAdjustment || 0;
         
-        const totalAdjustment = climateAdjustment + seasonalAdjustment;
+        const personalAdjustment = options.personalAdjustment || 0;
+
+        const totalAdjustment = climateAdjustment + seasonalAdjustment + personalAdjustment;
 
         // Apply adjustments to thresholds
-        const adjustedThresholds = {
-            NO_JACKET: this.BASE_THRESHOLDS.NO_JACKET + totalAdjustment,
-            LIGHT_JACKET: this.BASE_THRESHOLDS.LIGHT_JACKET + totalAdjustment,
-            MEDIUM_JACKET: this.BASE_THRESHOLDS.MEDIUM_JACKET + totalAdjustment,
-            HEAVY_JACKET: this.BASE_THRESHOLDS.HEAVY_JACKET + totalAdjustment,
-            TEMP_DROP_SIGNIFICANT: this.BASE_THRESHOLDS.TEMP_DROP_SIGNIFICANT,
-            WIND_CHILL_FACTOR: this.BASE_THRESHOLDS.WIND_CHILL_FACTOR,
-            HIGH_WIND: this.BASE_THRESHOLDS.HIGH_WIND
-        };
+        const adjustedThresholds = this.getAdjustedThresholds(totalAdjustment);
 
-        // Calculate effective temperature (considering wind chill)
-        const effectiveTemp = this.calculateEffectiveTemp(current.temp, current.windSpeed);
+        // Calculate effective temperature (wind chill, gusts, damp cold, heat index)
+        const comfort = ComfortModel.assess(current);
+        const effectiveTemp = comfort.effectiveTemp;
 
-        // Get current hour to determine time of day
-        const hour = new Date().getHours();
+        // Get the location's current hour to determine time of day
+        const hour = localTime.hour;
         const isEvening = hour >= 18 || hour < 6;
         const isMorning = hour >= 6 && hour < 12;
 
         // Calculate temperature drop
         const tempDrop = current.temp - forecast.sixHour.temp;
 
+        // Snow, freezing rain and icy surfaces over the next few hours
+        const hourly = forecast.hourly || [];
+        const timelineHours = hourly.slice(0, this.TIMELINE_HOURS);
+        const winter = this.assessWinter(current, timelineHours, precipitation);
+
         // Build decision factors using adjusted thresholds
         const factors = {
             isVeryCold: effectiveTemp < adjustedThresholds.HEAVY_JACKET,
@@ -208,143 +247,610 @@ const JacketDecision = {
             isCool: effectiveTemp < adjustedThresholds.LIGHT_JACKET,
             isWarm: effectiveTemp >= adjustedThresholds.NO_JACKET,
             significantDrop: tempDrop >= adjustedThresholds.TEMP_DROP_SIGNIFICANT,
-            isRainy: precipitation.isRaining || precipitation.chance > 50,
+            isRainy: (precipitation.isRaining || precipitation.chance > 50) && !winter.isSnowy,
+            isSnowy: winter.isSnowy,
+            isFreezingRain: winter.isFreezingRain,
+            isIcy: winter.isIcy,
             isWindy: current.windSpeed >= adjustedThresholds.HIGH_WIND,
             isEvening,
             isMorning,
-            willGetColder: forecast.sixHour.temp < current.temp - 5
+            willGetColder: forecast.sixHour.temp < current.temp - 5,
+            isBorderline: false
         };
 
-        // Determine answer based primarily on temperature (binary YES/NO)
-        let answer, reasoning, jacketType, rainAdvice = null;
-
-        // Primary jacket decision based on temperature
-        if (factors.isVeryCold) {
-            answer = 'YES';
-            jacketType = 'Heavy jacket or coat';
-            reasoning = this.buildTemperatureReasoning(current, forecast, factors, 'very-cold', climateAdjustment, seasonalAdjustment);
-        }
-        else if (factors.isCold) {
-            answer = 'YES';
-            jacketType = 'Medium jacket';
-            reasoning = this.buildTemperatureReasoning(current, forecast, factors, 'cold', climateAdjustment, seasonalAdjustment);
-        }
-        else if (factors.isCool) {
-            answer = 'YES';
-            jacketType = 'Light jacket or sweater';
-            reasoning = this.buildTemperatureReasoning(current, forecast, factors, 'cool', climateAdjustment, seasonalAdjustment);
-        }
-        else {
-            // Above adjusted threshold = NO jacket needed
-            answer = 'NO';
-            jacketType = null;
-            reasoning = this.buildTemperatureReasoning(current, forecast, factors, 'warm', climateAdjustment, seasonalAdjustment);
+        // Determine answer based primarily on temperature (graded YES/MAYBE/NO)
+        let tier = this.classifyTemperature(effectiveTemp, adjustedThresholds);
+        factors.isBorderline = tier.answer === 'MAYBE';
+        let reasoning;
+        let rainAdvice = null;
+
+        // With a commute schedule, decide from the departure and return legs instead of "now"
+        const commute = this.buildCommute(hourly, options.schedule, adjustedThresholds, units);
+        if (commute) {
+            tier = commute.tier;
+            reasoning = commute.summary;
+            factors.isBorderline = tier.answer === 'MAYBE';
+            factors.isVeryCold = commute.legs.some(leg => leg.type === 'very-cold');
+            factors.isCold = commute.legs.some(leg => leg.type === 'very-cold' || leg.type === 'cold');
+            factors.isCool = commute.legs.some(leg => leg.type !== 'warm');
+            factors.isWarm = commute.legs.every(leg => leg.effectiveTemp >= adjustedThresholds.NO_JACKET);
+            factors.isRainy = commute.legs.some(leg => leg.isRainy) && !winter.isSnowy;
+            factors.isWindy = commute.legs.some(leg => leg.isWindy);
+            factors.willGetColder = commute.willGetColder;
+            factors.significantDrop = commute.tempDrop >= adjustedThresholds.TEMP_DROP_SIGNIFICANT;
+        } else {
+            reasoning = this.buildTemperatureReasoning(current, forecast, factors, tier.type, climate, seasonalAdjustment, personalAdjustment, comfort, units);
         }
 
+        const { answer, jacketType } = tier;
+
         // Add rain advice as supplementary information
         if (factors.isRainy) {
             if (factors.isVeryCold || factors.isCold) {
-                rainAdvice = 'Rain expected - consider waterproof jacket';
+                rainAdvice = I18n.t('rain.cold');
             } else if (factors.isCool) {
-                rainAdvice = 'Rain expected - light rain gear recommended';
+                rainAdvice = I18n.t('rain.cool');
             } else {
-                rainAdvice = 'Rain expected - no jacket needed for warmth, but consider rain gear';
+                rainAdvice = I18n.t('rain.warm');
             }
         }
 
+        // Snow and ice advice replaces rain advice when it's wintry
+        const winterAdvice = this.buildWinterAdvice(winter, units);
+
+        // Name the owned jacket that best fits, when the user has a wardrobe
+        const ownedJacket = this.chooseFromWardrobe(options.wardrobe, tier.type, factors);
+
+        // Turn the verdict into a full outfit checklist
+        const outfit = this.buildOutfit(tier, factors, current, effectiveTemp, ownedJacket, units);
+
         return {
             answer,
+            margin: tier.margin,
+            rule: tier.rule,
             reasoning,
             jacketType,
+            warmth: answer === 'MAYBE' ? 'light' : this.WARMTH_BY_TIER[tier.type],
+            ownedJacket,
+            outfit,
             rainAdvice,
+            winter,
+            winterAdvice,
+            effectiveTemp,
+            comfort,
+            timeline: this.buildTimeline(timelineHours, adjustedThresholds),
+            commute,
             factors, // Include for debugging/transparency
+            climate,
             adjustments: {
                 climate: climateAdjustment,
                 seasonal: seasonalAdjustment,
+                personal: personalAdjustment,
                 total: totalAdjustment
+            },
+            thresholds: adjustedThresholds,
+            units
+        };
+    },
+
+    /**
+     * Detect snow, freezing rain and icy surfaces from current conditions and the hourly forecast
+     * Returns: { isSnowy, snowfall (inches over the timeline), snowStart: label|null, isSnowingNow, isFreezingRain, isIcy }
+     */
+    assessWinter(current, hourly, precipitation) {
+        const upcoming = hourly.slice(0, this.WINTER.LOOKAHEAD_HOURS);
+        const isSnowHour = entry => entry.snowfall > 0 || this.WINTER.SNOW_CODES.includes(entry.weatherCode);
+        const isWetHour = entry => entry.precipChance > 50 || entry.snowfall > 0;
+
+        const firstSnowHour = upcoming.find(isSnowHour);
+        const isSnowingNow = Boolean(precipitation.isSnowing);
+        const snowfall = hourly.reduce((sum, entry) => sum + (entry.snowfall || 0), 0);
+
+        const isFreezingRain = Boolean(precipitation.isFreezingRain) ||
+            upcoming.some(entry => this.WINTER.FREEZING_RAIN_CODES.includes(entry.weatherCode));
+
+        // Wet ground close to freezing turns icy as it freezes and thaws
+        const nearFreezing = temp => temp >= this.WINTER.ICE_MIN_TEMP && temp <= this.WINTER.ICE_MAX_TEMP;
+        const isIcy = isFreezingRain ||
+            (nearFreezing(current.temp) && (precipitation.isRaining || isSnowingNow)) ||
+            upcoming.some(entry => nearFreezing(entry.temp) && isWetHour(entry));
+
+        return {
+            isSnowy: isSnowingNow || Boolean(firstSnowHour),
+            isSnowingNow,
+            snowfall: Math.round(snowfall * 10) / 10,
+            snowStart: isSnowingNow ? null : firstSnowHour ? this.formatHour(firstSnowHour.hour) : null,
+            isFreezingRain,
+            isIcy
+        };
+    },
+
+    /**
+     * Build snow and ice advice covering outerwear and footwear
+     */
+    buildWinterAdvice(winter, units) {
+        const sentences = [];
+
+        if (winter.isSnowy) {
+            const key = winter.isSnowingNow ? 'winter.snowingNow' : 'winter.snowFrom';
+            const hasAmount = winter.snowfall >= 0.1;
+            sentences.push(I18n.t(hasAmount ? `${key}Amount` : key, {
+                time: winter.snowStart,
+                amount: hasAmount ? Units.formatPrecipitation(winter.snowfall, units, 'snow') : null
+            }));
+        }
+
+        if (winter.isFreezingRain) {
+            sentences.push(I18n.t('winter.freezingRain'));
+        } else if (winter.isIcy) {
+            sentences.push(I18n.t('winter.icy'));
+        }
+
+        return sentences.length > 0 ? sentences.join('. ') : null;
+    },
+
+    /**
+     * Apply a total climate/seasonal adjustment to the base thresholds
+     */
+    getAdjustedThresholds(totalAdjustment) {
+        return {
+            NO_JACKET: this.BASE_THRESHOLDS.NO_JACKET + totalAdjustment,
+            LIGHT_JACKET: this.BASE_THRESHOLDS.LIGHT_JACKET + totalAdjustment,
+            MEDIUM_JACKET: this.BASE_THRESHOLDS.MEDIUM_JACKET + totalAdjustment,
+            HEAVY_JACKET: this.BASE_THRESHOLDS.HEAVY_JACKET + totalAdjustment,
+            TEMP_DROP_SIGNIFICANT: this.BASE_THRESHOLDS.TEMP_DROP_SIGNIFICANT,
+            HIGH_WIND: this.BASE_THRESHOLDS.HIGH_WIND,
+            MAYBE_MARGIN: this.BASE_THRESHOLDS.MAYBE_MARGIN
+        };
+    },
+
+    /**
+     * Map an effective temperature to an answer and jacket type
+     * margin = degrees above (+) or below (-) the adjusted jacket line (LIGHT_JACKET)
+     * rule names the branch that fired: 'heavy'|'medium'|'borderline'|'light'|'none'
+     * Returns: { answer: 'YES'|'MAYBE'|'NO', type: 'very-cold'|'cold'|'cool'|'warm', rule: string, jacketType: string|null, margin: number }
+     */
+    classifyTemperature(effectiveTemp, thresholds) {
+        const margin = effectiveTemp - thresholds.LIGHT_JACKET;
+
+        if (effectiveTemp < thresholds.HEAVY_JACKET) {
+            return { answer: 'YES', type: 'very-cold', rule: 'heavy', jacketType: I18n.t('jacket.heavy'), margin };
+        }
+        if (effectiveTemp < thresholds.MEDIUM_JACKET) {
+            return { answer: 'YES', type: 'cold', rule: 'medium', jacketType: I18n.t('jacket.medium'), margin };
+        }
+
+        // Close to the jacket line on either side = borderline
+        const type = margin < 0 ? 'cool' : 'warm';
+        if (Math.abs(margin) < thresholds.MAYBE_MARGIN) {
+            return { answer: 'MAYBE', type, rule: 'borderline', jacketType: I18n.t('jacket.maybe'), margin };
+        }
+        if (type === 'cool') {
+            return { answer: 'YES', type, rule: 'light', jacketType: I18n.t('jacket.light'), margin };
+        }
+        // Above adjusted threshold = NO jacket needed
+        return { answer: 'NO', type, rule: 'none', jacketType: null, margin };
+    },
+
+    /**
+     * Copy of weatherData with the current temperature (°F) and wind (mph) moved to new values
+     * The forecast moves by the same amounts so later hours and commute legs follow along (what-if)
+     */
+    withConditions(weatherData, { temp = weatherData.current.temp, windSpeed = weatherData.current.windSpeed } = {}) {
+        const tempShift = temp - weatherData.current.temp;
+        const windShift = windSpeed - weatherData.current.windSpeed;
+        const shift = entry => ({
+            ...entry,
+            temp: entry.temp + tempShift,
+            windSpeed: Math.max(0, (entry.windSpeed || 0) + windShift),
+            windGusts: entry.windGusts === undefined ? undefined : Math.max(0, entry.windGusts + windShift)
+        });
+
+        return {
+            ...weatherData,
+            current: shift(weatherData.current),
+            forecast: {
+                ...weatherData.forecast,
+                sixHour: { ...weatherData.forecast.sixHour, temp: weatherData.forecast.sixHour.temp + tempShift },
+                hourly: (weatherData.forecast.hourly || []).map(shift)
+            }
+        };
+    },
+
+    /**
+     * Pick the owned jacket that best matches temperature, rain and wind
+     * Returns: { item, reason } or null when there is no wardrobe or no jacket is needed
+     */
+    chooseFromWardrobe(wardrobe, type, factors) {
+        if (!wardrobe || wardrobe.length === 0) return null;
+
+        // Warm and dry = nothing to wear; warm and rainy = lightest waterproof piece
+        const targetWarmth = this.WARMTH_BY_TIER[type];
+        const isWet = factors.isRainy || factors.isSnowy || factors.isFreezingRain;
+        if (!targetWarmth && !isWet) return null;
+
+        const levels = ['light', 'medium', 'heavy'];
+        const targetIndex = targetWarmth ? levels.indexOf(targetWarmth) : 0;
+
+        // Lower score = better fit; being underdressed costs more than being overdressed
+        const score = item => {
+            const diff = levels.indexOf(item.warmth) - targetIndex;
+            let total = diff < 0 ? -diff * 15 : diff * 10;
+            if (isWet && !item.waterproof) total += 8;
+            if (factors.isWindy && !item.windproof) total += 4;
+            return total;
+        };
+
+        const item = wardrobe.reduce((best, candidate) => score(candidate) < score(best) ? candidate : best);
+
+        return {
+            item,
+            reason: this.buildWardrobeReason(item, targetWarmth, factors)
+        };
+    },
+
+    /**
+     * Explain why an owned jacket was chosen
+     */
+    buildWardrobeReason(item, targetWarmth, factors) {
+        const levels = ['light', 'medium', 'heavy'];
+        const parts = [];
+        const name = item.name;
+
+        if (!targetWarmth) {
+            parts.push(I18n.t('owned.rainOnly', { name }));
+        } else if (item.warmth === targetWarmth) {
+            parts.push(I18n.t('owned.match', { name }));
+        } else if (levels.indexOf(item.warmth) < levels.indexOf(targetWarmth)) {
+            parts.push(I18n.t(targetWarmth === 'heavy' ? 'owned.tooLightHeavy' : 'owned.tooLightMedium', { name }));
+        } else {
+            parts.push(I18n.t('owned.tooWarm', { name }));
+        }
+
+        if (factors.isSnowy) {
+            parts.push(I18n.t(item.waterproof ? 'owned.snowWaterproof' : 'owned.snowNotWaterproof'));
+        } else if (factors.isRainy || factors.isFreezingRain) {
+            parts.push(I18n.t(item.waterproof ? 'owned.rainWaterproof' : 'owned.rainNotWaterproof'));
+        }
+        if (factors.isWindy) {
+            parts.push(I18n.t(item.windproof ? 'owned.windproof' : 'owned.notWindproof'));
+        }
+
+        return I18n.capitalize(parts.join(', '));
+    },
+
+    /**
+     * Build a layered outfit with accessories, each with a short reason
+     * Returns: { layers: { base, mid, outer }, accessories: [...] } where each item is { id, item, reason } (layers may be null)
+     * id names the item in any language ('umbrella', 'hat'; the outer layer is 'jacket' or 'rainShell')
+     */
+    buildOutfit(tier, factors, current, effectiveTemp, ownedJacket, units) {
+        const temp = value => Units.formatTemp(value, units);
+        const wind = Units.formatWind(current.windSpeed, units);
+        const entry = (id, reason) => ({ id, item: I18n.t(`item.${id}`), reason });
+        const layers = { base: null, mid: null, outer: null };
+        const accessories = [];
+
+        // Base layer follows how cold it feels
+        if (tier.type === 'very-cold') {
+            layers.base = entry('thermal', I18n.t('outfit.feelsLike', { temp: temp(effectiveTemp) }));
+        } else if (tier.type === 'cold' || (tier.type === 'cool' && tier.answer === 'YES')) {
+            layers.base = entry('longSleeve', I18n.t('outfit.coolAt', { temp: temp(effectiveTemp) }));
+        } else {
+            layers.base = entry('tShirt', I18n.t('outfit.comfortableAt', { temp: temp(effectiveTemp) }));
+        }
+
+        // Mid layer for real cold, or for later when it's cooling off
+        if (tier.type === 'very-cold') {
+            layers.mid = entry('sweaterOrFleece', I18n.t('outfit.trapsHeat'));
+        } else if (tier.type === 'cold') {
+            layers.mid = entry('lightSweater', I18n.t('outfit.takeOffIndoors'));
+        } else if (factors.willGetColder || (factors.isEvening && tier.type === 'cool')) {
+            layers.mid = entry('sweaterForLater', I18n.t(factors.willGetColder ? 'outfit.colderLater' : 'outfit.eveningsCool'));
+        }
+
+        // Outer layer: the jacket itself, made waterproof when it rains
+        const jacketName = ownedJacket ? ownedJacket.item.name : tier.jacketType;
+        if (jacketName) {
+            const reasons = [tier.answer === 'MAYBE' ? I18n.t('outfit.borderline') : I18n.t('outfit.neededAt', { temp: temp(effectiveTemp) })];
+            if (factors.isSnowy) reasons.push(I18n.t('outfit.snowproof'));
+            else if (factors.isRainy) reasons.push(I18n.t('outfit.waterproof'));
+            if (factors.isWindy) reasons.push(I18n.t('outfit.windproof', { wind }));
+            layers.outer = { id: 'jacket', item: jacketName, reason: reasons.join(', ') };
+        } else if (factors.isRainy) {
+            layers.outer = entry('rainShell', I18n.t('outfit.rainNoJacket'));
+        }
+
+        // Accessories
+        if (factors.isRainy) {
+            accessories.push(factors.isWindy
+                ? entry('hood', I18n.t('outfit.tooWindyForUmbrella', { wind }))
+                : entry('umbrella', I18n.t('outfit.rainLikely')));
+        }
+        if (factors.isSnowy) {
+            accessories.push(entry('snowBoots', I18n.t('outfit.snowOnGround')));
+        } else if (factors.isIcy) {
+            accessories.push(entry('gripBoots', factors.isFreezingRain ? I18n.t('outfit.freezingRain') : I18n.t('outfit.icy', { temp: temp(32) })));
+        }
+        if (tier.type === 'very-cold' || (factors.isWindy && tier.type === 'cold') || factors.isSnowy) {
+            const reason = factors.isSnowy ? 'outfit.snow' : factors.isWindy ? 'outfit.coldAndWindy' : 'outfit.headHeat';
+            accessories.push(entry('hat', I18n.t(reason)));
+        }
+        if (effectiveTemp < 40) {
+            accessories.push(entry('gloves', I18n.t('outfit.feelsLike', { temp: temp(effectiveTemp) })));
+        }
+        if (effectiveTemp < 35 || (tier.type === 'very-cold' && factors.isWindy)) {
+            accessories.push(entry('scarf', I18n.t(factors.isWindy ? 'outfit.windOnNeck' : 'outfit.bitterCold')));
+        }
+        if (current.conditions === 'Clear' && !factors.isEvening) {
+            accessories.push(entry('sunglasses', I18n.t('outfit.clearSkies')));
+        }
+
+        return { layers, accessories };
+    },
+
+    /**
+     * Build an hour-by-hour decision timeline for the next TIMELINE_HOURS hours (crossing midnight)
+     * Returns: { hours: [...], changes: [...], summary: string|null }
+     */
+    buildTimeline(hourly, thresholds) {
+        const hours = hourly.map(entry => {
+            const effectiveTemp = this.calculateEffectiveTemp(entry.temp, entry.windSpeed, entry.humidity, entry.windGusts);
+            const tier = this.classifyTemperature(effectiveTemp, thresholds);
+
+            return {
+                time: entry.time,
+                hour: entry.hour,
+                label: this.formatHour(entry.hour),
+                temp: entry.temp,
+                effectiveTemp,
+                answer: tier.answer,
+                jacketType: tier.jacketType,
+                isRainy: entry.precipChance > 50
+            };
+        });
+
+        // Record every hour where the answer or jacket type changes
+        const changes = [];
+        for (let i = 1; i < hours.length; i++) {
+            const prev = hours[i - 1];
+            const next = hours[i];
+            if (prev.answer !== next.answer || prev.jacketType !== next.jacketType) {
+                changes.push({
+                    time: next.time,
+                    label: next.label,
+                    from: { answer: prev.answer, jacketType: prev.jacketType },
+                    to: { answer: next.answer, jacketType: next.jacketType }
+                });
             }
+        }
+
+        return {
+            hours,
+            changes,
+            summary: this.summarizeTimeline(hours, changes)
+        };
+    },
+
+    /**
+     * Describe the most important change in the timeline in one short sentence
+     */
+    summarizeTimeline(hours, changes) {
+        if (hours.length === 0) return null;
+
+        if (changes.length === 0) {
+            return I18n.t(`timeline.allDay${hours[0].answer}`);
+        }
+
+        // Prefer a YES/MAYBE/NO flip over a change in jacket weight
+        const flip = changes.find(change => change.from.answer !== change.to.answer);
+        if (flip) {
+            return I18n.t(`timeline.after${flip.to.answer}`, { time: flip.label });
+        }
+
+        const change = changes[0];
+        return I18n.t('timeline.jacketAfter', { jacket: change.to.jacketType, time: change.label });
+    },
+
+    /**
+     * Decide for the departure and return legs of a commute schedule
+     * Legs beyond the forecast window are skipped
+     * Returns: { legs: [...], tier, tempDrop, willGetColder, summary } or null when no leg applies
+     */
+    buildCommute(hourly, schedule, thresholds, units) {
+        if (!schedule) return null;
+
+        const legs = ['departure', 'return']
+            .filter(kind => schedule[kind])
+            .map(kind => this.buildCommuteLeg(kind, schedule[kind], hourly, thresholds))
+            .filter(Boolean);
+
+        if (legs.length === 0) return null;
+
+        // The coldest leg decides the overall answer
+        const worstLeg = legs.reduce((worst, leg) => leg.effectiveTemp < worst.effectiveTemp ? leg : worst);
+
+        const departure = legs.find(leg => leg.kind === 'departure');
+        const returnLeg = legs.find(leg => leg.kind === 'return');
+        const tempDrop = departure && returnLeg ? departure.temp - returnLeg.temp : 0;
+
+        return {
+            legs,
+            tier: { answer: worstLeg.answer, type: worstLeg.type, rule: worstLeg.rule, jacketType: worstLeg.jacketType, margin: worstLeg.margin },
+            decidingLeg: worstLeg,
+            tempDrop,
+            willGetColder: tempDrop > 5,
+            summary: this.buildCommuteReasoning(legs, units)
+        };
+    },
+
+    /**
+     * Decide for a single commute leg using the next forecast hour nearest to its time
+     * A time that has already passed today rolls over to tomorrow
+     */
+    buildCommuteLeg(kind, time, hourly, thresholds) {
+        const [hours, minutes] = time.split(':').map(Number);
+        // Round up by stepping to the following entry, so 23:30 lands on the next day's 00:00
+        const index = hourly.findIndex(item => item.hour === hours);
+        const entry = index === -1 ? null : hourly[minutes >= 30 ? index + 1 : index];
+
+        if (!entry) return null;
+
+        const comfort = ComfortModel.assess(entry);
+        const effectiveTemp = comfort.effectiveTemp;
+        const tier = this.classifyTemperature(effectiveTemp, thresholds);
+
+        return {
+            kind,
+            time,
+            isTomorrow: entry.time.split('T')[0] !== hourly[0].time.split('T')[0],
+            label: this.formatTime(time),
+            temp: entry.temp,
+            effectiveTemp,
+            comfort,
+            windSpeed: entry.windSpeed,
+            isWindy: entry.windSpeed >= thresholds.HIGH_WIND,
+            isRainy: entry.precipChance > 50,
+            answer: tier.answer,
+            type: tier.type,
+            rule: tier.rule,
+            jacketType: tier.jacketType,
+            margin: tier.margin
         };
     },
 
     /**
-     * Calculate effective temperature considering wind chill
+     * Explain which commute leg needs the jacket
+     * e.g. "Fine this morning, 48°F and windy on the way home"
+     */
+    buildCommuteReasoning(legs, units) {
+        const parts = legs.map(leg => {
+            let when;
+            if (leg.kind === 'return') {
+                when = I18n.t(leg.isTomorrow ? 'commute.homeTomorrow' : 'commute.home');
+            } else {
+                const [hours] = leg.time.split(':').map(Number);
+                const period = hours < 12 ? 'Morning' : hours < 18 ? 'Afternoon' : 'Evening';
+                when = I18n.t(`commute.${leg.isTomorrow ? 'tomorrow' : 'this'}${period}`);
+            }
+
+            const temp = Units.formatTemp(leg.temp, units);
+            if (leg.answer === 'NO') {
+                return I18n.t('commute.fine', { when });
+            }
+            if (leg.answer === 'MAYBE') {
+                return I18n.t('commute.borderline', { temp, when });
+            }
+
+            const conditions = [temp];
+            if (leg.isWindy) conditions.push(I18n.t('commute.windy'));
+            if (leg.isRainy) conditions.push(I18n.t('commute.rainy'));
+            return I18n.t('commute.needed', { conditions: I18n.formatList(conditions), when });
+        });
+
+        return I18n.capitalize(parts.join(', '));
+    },
+
+    /**
+     * Format a 0-23 hour as a short label for the locale (e.g. "4pm", "16:00")
+     */
+    formatHour(hour) {
+        return I18n.formatTime(hour);
+    },
+
+    /**
+     * Format a "HH:MM" time as a short label for the locale (e.g. "8:15am", "6pm", "18:00")
+     */
+    formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return I18n.formatTime(hours, minutes);
+    },
+
+    /**
+     * Calculate effective temperature from the comfort model (see js/comfort.js)
      */
-    calculateEffectiveTemp(temp, windSpeed) {
-        // Simple wind chill approximation
-        if (windSpeed >= this.BASE_THRESHOLDS.WIND_CHILL_FACTOR && temp < 70) {
-            // Subtract 1 degree for every 3 mph of wind above threshold
-            const windEffect = Math.floor((windSpeed - this.BASE_THRESHOLDS.WIND_CHILL_FACTOR) / 3);
-            return temp - windEffect;
-        }
-        return temp;
+    calculateEffectiveTemp(temp, windSpeed, humidity, windGusts) {
+        return ComfortModel.assess({ temp, windSpeed, humidity, windGusts }).effectiveTemp;
     },
 
     /**
-     * Build temperature-based reasoning messages with regional and seasonal context
+     * Build temperature-based reasoning messages with regional, seasonal and personal context
      */
-    buildTemperatureReasoning(current, forecast, factors, type, climateAdjustment, seasonalAdjustment) {
+    buildTemperatureReasoning(current, forecast, factors, type, climate, seasonalAdjustment, personalAdjustment = 0, comfort = null, units = null) {
         const parts = [];
+        const temp = value => Units.formatTemp(value, units);
+        const wind = Units.formatWind(current.windSpeed, units);
+
+        // Opening clause; the rest are appended with commas
+        const opening = {
+            'very-cold': 'reason.veryCold',
+            'cold': 'reason.cold',
+            'cool': 'reason.cool',
+            'warm': 'reason.warm'
+        }[type];
+        const windy = factors.isWindy && type !== 'warm';
+        parts.push(I18n.t(windy ? `${opening}Windy` : opening, { temp: temp(current.temp), wind }));
+
+        if (factors.willGetColder) {
+            if (type === 'very-cold' || type === 'cold') {
+                parts.push(I18n.t('reason.droppingTo', { temp: temp(forecast.sixHour.temp) }));
+            } else if (type === 'cool') {
+                parts.push(I18n.t('reason.coolerLater'));
+            }
+        } else if (type === 'warm') {
+            parts.push(I18n.t('reason.stayingWarm'));
+        }
+
+        // Flag borderline days instead of sounding certain
+        if (factors.isBorderline) {
+            parts.push(I18n.t('reason.borderline'));
+        }
 
-        // Base temperature description
-        switch (type) {
-            case 'very-cold':
-                parts.push(`It's ${current.temp}°F`);
-                if (factors.isWindy) {
-                    parts.push(`and windy (${current.windSpeed} mph)`);
-                }
-                if (factors.willGetColder) {
-                    parts.push(`dropping to ${forecast.sixHour.temp}°F later`);
-                }
-                break;
-
-            case 'cold':
-                parts.push(`It's ${current.temp}°F`);
-                if (factors.isWindy) {
-                    parts.push(`and breezy (${current.windSpeed} mph)`);
-                }
-                if (factors.willGetColder) {
-                    parts.push(`dropping to ${forecast.sixHour.temp}°F later`);
-                }
-                break;
-
-            case 'cool':
-                parts.push(`It's a cool ${current.temp}°F`);
-                if (factors.isWindy) {
-                    parts.push(`with some wind (${current.windSpeed} mph)`);
-                }
-                if (factors.willGetColder) {
-                    parts.push(`getting cooler later`);
-                }
-                break;
-
-            case 'warm':
-                parts.push(`It's ${current.temp}°F and comfortable`);
-                if (!factors.willGetColder) {
-                    parts.push(`staying warm through the day`);
-                }
-                break;
+        // Say what it feels like when the comfort model moves it noticeably
+        if (comfort && comfort.dominant !== 'none' && Math.abs(comfort.effectiveTemp - current.temp) >= 3) {
+            const effect = comfort.dominant.charAt(0).toUpperCase() + comfort.dominant.slice(1);
+            parts.push(I18n.t(`reason.feelsLike${effect}`, { temp: temp(comfort.effectiveTemp) }));
         }
 
         // Add regional context
-        if (climateAdjustment === this.CLIMATE_ZONES.WARM && type !== 'warm') {
-            parts.push(`but locals in warm climates tend to bundle up at this temperature`);
-        } else if (climateAdjustment === this.CLIMATE_ZONES.COLD && type === 'warm') {
-            parts.push(`and people here are used to much colder weather`);
+        if (climate && climate.adjustment >= 4 && type !== 'warm') {
+            parts.push(I18n.t('reason.localsBundleUp', { month: climate.month, temp: temp(climate.normal) }));
+        } else if (climate && climate.adjustment <= -4 && type === 'warm') {
+            parts.push(I18n.t('reason.usedToCold', { month: climate.month, temp: temp(climate.normal) }));
+        }
+
+        // Add personal context once feedback has shifted the thresholds noticeably
+        if (personalAdjustment >= 4 && type !== 'warm') {
+            parts.push(I18n.t('reason.runCold'));
+        } else if (personalAdjustment <= -4 && type === 'warm') {
+            parts.push(I18n.t('reason.runWarm'));
         }
 
         // Add seasonal context
         if (Math.abs(seasonalAdjustment) > 5) {
-            parts.push(`It's been ${seasonalAdjustment > 0 ? 'very cold' : 'very warm'} lately, so this feels ${seasonalAdjustment > 0 ? 'warmer' : 'cooler'} than usual`);
+            parts.push(I18n.t(seasonalAdjustment > 0 ? 'reason.coldLately' : 'reason.warmLately'));
         }
 
         return parts.join(', ');
     },
 
+    /**
+     * Describe the decision margin (e.g. "2°F below your jacket line")
+     * Margins are differences, so Celsius conversion skips the 32° offset
+     */
+    describeMargin(margin, units = null) {
+        if (Units.convertTempDifference(margin, units) === 0) {
+            return I18n.t('margin.at');
+        }
+        const value = Units.formatTempDifference(Math.abs(margin), units);
+        return I18n.t(margin < 0 ? 'margin.below' : 'margin.above', { value });
+    },
+
     /**
      * Convert Fahrenheit to Celsius
      */
     toCelsius(fahrenheit) {
-        return Math.round((fahrenheit - 32) * 5 / 9);
+        return Units.toCelsius(fahrenheit);
     },
 
     /**
@@ -0,0 +1,107 @@
+/**
+ * Saved locations storage
+ * Keeps the places pinned to the dashboard (home, office, a partner's city...)
+ */
+
+const Favorites = {
+    STORAGE_KEY: 'jacket-favorites',
+    MAX_FAVORITES: 8,
+
+    /**
+     * Load saved locations
+     * Returns: [{ id, label, name, state, country, lat, lon }]
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(saved) ? saved.map(item => this.normalize(item)).filter(Boolean) : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Replace the saved locations
+     */
+    save(items) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
+        } catch (error) {
+            console.error('Error saving favorites:', error);
+        }
+        return items;
+    },
+
+    /**
+     * Pin a location (from WeatherAPI.searchLocations) and return the updated list
+     * Pinning a place that is already saved leaves the list unchanged
+     */
+    add(location, label = '') {
+        const favorite = this.normalize({ ...location, label });
+        if (!favorite) {
+            throw new Error(I18n.t('favorites.invalid'));
+        }
+
+        const favorites = this.load();
+        if (favorites.some(item => item.id === favorite.id)) {
+            return favorites;
+        }
+        if (favorites.length >= this.MAX_FAVORITES) {
+            throw new Error(I18n.t('favorites.full', { count: this.MAX_FAVORITES }));
+        }
+
+        return this.save([...favorites, favorite]);
+    },
+
+    /**
+     * Remove a saved location by id and return the updated list
+     */
+    remove(id) {
+        return this.save(this.load().filter(item => item.id !== id));
+    },
+
+    /**
+     * Set a short label such as "Home" or "Office" (empty falls back to the place name)
+     */
+    rename(id, label) {
+        return this.save(this.load().map(item =>
+            item.id === id ? { ...item, label: String(label || '').trim() } : item
+        ));
+    },
+
+    /**
+     * Check whether a location is already saved
+     */
+    has(location) {
+        return Boolean(location) && this.load().some(item => item.id === this.getId(location.lat, location.lon));
+    },
+
+    /**
+     * Id for a location - the same rounded coordinates WeatherCache keys by
+     */
+    getId(lat, lon) {
+        return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    },
+
+    /**
+     * Validate and clean a saved location
+     * Returns null for invalid entries
+     */
+    normalize(item) {
+        if (!item || typeof item.name !== 'string' || !item.name.trim()) return null;
+
+        const lat = Number(item.lat);
+        const lon = Number(item.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+        return {
+            id: this.getId(lat, lon),
+            label: typeof item.label === 'string' ? item.label.trim() : '',
+            name: item.name.trim(),
+            state: item.state || '',
+            country: item.country || '',
+            lat,
+            lon
+        };
+    }
+};
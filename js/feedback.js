@@ -0,0 +1,77 @@
+/**
+ * Comfort feedback storage
+ * Records "too cold / too warm" reports and learns a personal threshold offset
+ */
+
+const ComfortFeedback = {
+    STORAGE_KEY: 'jacket-comfort-feedback',
+
+    // Learning parameters (in °F)
+    STEP: 2,            // Threshold shift per "too cold" / "too warm" report
+    MAX_OFFSET: 12,     // Never shift thresholds further than this
+    MAX_REPORTS: 20,    // Only the most recent reports count
+
+    // Report values: too cold = raise thresholds, too warm = lower them
+    FEELINGS: {
+        'too-cold': 1,
+        'just-right': 0,
+        'too-warm': -1
+    },
+
+    /**
+     * Load stored reports (most recent last)
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Record how the day actually felt
+     * context: { location, answer, effectiveTemp } from the decision being rated
+     */
+    record(feeling, context = {}) {
+        if (!(feeling in this.FEELINGS)) {
+            throw new Error(`Unknown feeling: ${feeling}`);
+        }
+
+        const reports = this.load();
+        reports.push({
+            feeling,
+            location: context.location || null,
+            answer: context.answer || null,
+            effectiveTemp: context.effectiveTemp ?? null,
+            timestamp: Date.now()
+        });
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(reports.slice(-this.MAX_REPORTS)));
+        } catch (error) {
+            console.error('Error saving comfort feedback:', error);
+        }
+
+        return this.getOffset();
+    },
+
+    /**
+     * Learned personal offset in °F (positive = runs cold, needs a jacket sooner)
+     */
+    getOffset() {
+        const total = this.load()
+            .slice(-this.MAX_REPORTS)
+            .reduce((sum, report) => sum + (this.FEELINGS[report.feeling] || 0), 0);
+
+        return Math.max(-this.MAX_OFFSET, Math.min(this.MAX_OFFSET, total * this.STEP));
+    },
+
+    /**
+     * Forget all reports
+     */
+    reset() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+};
@@ -0,0 +1,542 @@
+/**
+ * Reverse geocoding (coordinates -> place name)
+ * Open-Meteo only geocodes forwards, so by default the nearest town comes from a bundled
+ * list of populated places, searched locally and available offline. A remote geocoder can
+ * be plugged in with configure({ remote: 'bigdatacloud' }); the bundled list is still the
+ * fallback when it fails.
+ */
+
+const ReverseGeocoder = {
+    NAME_DISTANCE_KM: 40,       // Within this, say the place's own name
+    NEAR_DISTANCE_KM: 150,      // Within this, say "Near <place>"
+
+    remote: null,               // Name of the remote geocoder in REMOTES, or null for bundled only
+
+    // Remote geocoders: lookup(lat, lon) resolves to { name, state, country } or null
+    REMOTES: {
+        // Free client-side endpoint, no key
+        bigdatacloud: {
+            URL: 'https://api.bigdatacloud.net/data/reverse-geocode-client',
+
+            async lookup(lat, lon) {
+                const response = await fetch(`${this.URL}?latitude=${lat}&longitude=${lon}&localityLanguage=${I18n.language}`);
+
+                if (!response.ok) {
+                    throw new Error('Reverse geocoding request failed');
+                }
+
+                const data = await response.json();
+                const name = data.city || data.locality;
+                if (!name) return null;
+
+                return {
+                    name,
+                    state: data.principalSubdivision || '',
+                    country: data.countryName || ''
+                };
+            }
+        }
+    },
+
+    // [name, state/region, country, lat, lon] - major cities plus the regional towns between them
+    PLACES: [
+        // United States
+        ['New York', 'New York', 'United States', 40.71, -74.01],
+        ['Buffalo', 'New York', 'United States', 42.89, -78.88],
+        ['Rochester', 'New York', 'United States', 43.16, -77.61],
+        ['Albany', 'New York', 'United States', 42.65, -73.75],
+        ['Syracuse', 'New York', 'United States', 43.05, -76.15],
+        ['Boston', 'Massachusetts', 'United States', 42.36, -71.06],
+        ['Worcester', 'Massachusetts', 'United States', 42.26, -71.80],
+        ['Springfield', 'Massachusetts', 'United States', 42.10, -72.59],
+        ['Providence', 'Rhode Island', 'United States', 41.82, -71.41],
+        ['Hartford', 'Connecticut', 'United States', 41.76, -72.68],
+        ['New Haven', 'Connecticut', 'United States', 41.31, -72.92],
+        ['Portland', 'Maine', 'United States', 43.66, -70.26],
+        ['Bangor', 'Maine', 'United States', 44.80, -68.77],
+        ['Manchester', 'New Hampshire', 'United States', 42.99, -71.46],
+        ['Burlington', 'Vermont', 'United States', 44.48, -73.21],
+        ['Newark', 'New Jersey', 'United States', 40.74, -74.17],
+        ['Trenton', 'New Jersey', 'United States', 40.22, -74.76],
+        ['Atlantic City', 'New Jersey', 'United States', 39.36, -74.42],
+        ['Philadelphia', 'Pennsylvania', 'United States', 39.95, -75.17],
+        ['Pittsburgh', 'Pennsylvania', 'United States', 40.44, -80.00],
+        ['Harrisburg', 'Pennsylvania', 'United States', 40.27, -76.88],
+        ['Erie', 'Pennsylvania', 'United States', 42.13, -80.09],
+        ['Wilmington', 'Delaware', 'United States', 39.74, -75.55],
+        ['Baltimore', 'Maryland', 'United States', 39.29, -76.61],
+        ['Washington', 'District of Columbia', 'United States', 38.91, -77.04],
+        ['Richmond', 'Virginia', 'United States', 37.54, -77.44],
+        ['Virginia Beach', 'Virginia', 'United States', 36.85, -75.98],
+        ['Roanoke', 'Virginia', 'United States', 37.27, -79.94],
+        ['Charleston', 'West Virginia', 'United States', 38.35, -81.63],
+        ['Raleigh', 'North Carolina', 'United States', 35.78, -78.64],
+        ['Charlotte', 'North Carolina', 'United States', 35.23, -80.84],
+        ['Asheville', 'North Carolina', 'United States', 35.60, -82.55],
+        ['Wilmington', 'North Carolina', 'United States', 34.23, -77.94],
+        ['Columbia', 'South Carolina', 'United States', 34.00, -81.03],
+        ['Charleston', 'South Carolina', 'United States', 32.78, -79.93],
+        ['Atlanta', 'Georgia', 'United States', 33.75, -84.39],
+        ['Savannah', 'Georgia', 'United States', 32.08, -81.09],
+        ['Augusta', 'Georgia', 'United States', 33.47, -81.97],
+        ['Jacksonville', 'Florida', 'United States', 30.33, -81.66],
+        ['Tallahassee', 'Florida', 'United States', 30.44, -84.28],
+        ['Orlando', 'Florida', 'United States', 28.54, -81.38],
+        ['Tampa', 'Florida', 'United States', 27.95, -82.46],
+        ['Miami', 'Florida', 'United States', 25.76, -80.19],
+        ['Fort Myers', 'Florida', 'United States', 26.64, -81.87],
+        ['Key West', 'Florida', 'United States', 24.56, -81.78],
+        ['Pensacola', 'Florida', 'United States', 30.42, -87.22],
+        ['Birmingham', 'Alabama', 'United States', 33.52, -86.80],
+        ['Montgomery', 'Alabama', 'United States', 32.38, -86.30],
+        ['Mobile', 'Alabama', 'United States', 30.69, -88.04],
+        ['Huntsville', 'Alabama', 'United States', 34.73, -86.59],
+        ['Jackson', 'Mississippi', 'United States', 32.30, -90.18],
+        ['Nashville', 'Tennessee', 'United States', 36.16, -86.78],
+        ['Memphis', 'Tennessee', 'United States', 35.15, -90.05],
+        ['Knoxville', 'Tennessee', 'United States', 35.96, -83.92],
+        ['Louisville', 'Kentucky', 'United States', 38.25, -85.76],
+        ['Lexington', 'Kentucky', 'United States', 38.04, -84.50],
+        ['Columbus', 'Ohio', 'United States', 39.96, -83.00],
+        ['Cleveland', 'Ohio', 'United States', 41.50, -81.69],
+        ['Cincinnati', 'Ohio', 'United States', 39.10, -84.51],
+        ['Toledo', 'Ohio', 'United States', 41.65, -83.54],
+        ['Detroit', 'Michigan', 'United States', 42.33, -83.05],
+        ['Grand Rapids', 'Michigan', 'United States', 42.96, -85.67],
+        ['Lansing', 'Michigan', 'United States', 42.73, -84.56],
+        ['Traverse City', 'Michigan', 'United States', 44.76, -85.62],
+        ['Marquette', 'Michigan', 'United States', 46.54, -87.40],
+        ['Indianapolis', 'Indiana', 'United States', 39.77, -86.16],
+        ['Fort Wayne', 'Indiana', 'United States', 41.08, -85.14],
+        ['Chicago', 'Illinois', 'United States', 41.88, -87.63],
+        ['Springfield', 'Illinois', 'United States', 39.78, -89.65],
+        ['Peoria', 'Illinois', 'United States', 40.69, -89.59],
+        ['Milwaukee', 'Wisconsin', 'United States', 43.04, -87.91],
+        ['Madison', 'Wisconsin', 'United States', 43.07, -89.40],
+        ['Green Bay', 'Wisconsin', 'United States', 44.51, -88.01],
+        ['Minneapolis', 'Minnesota', 'United States', 44.98, -93.27],
+        ['Duluth', 'Minnesota', 'United States', 46.79, -92.10],
+        ['Rochester', 'Minnesota', 'United States', 44.02, -92.47],
+        ['Des Moines', 'Iowa', 'United States', 41.59, -93.62],
+        ['Cedar Rapids', 'Iowa', 'United States', 41.98, -91.67],
+        ['St. Louis', 'Missouri', 'United States', 38.63, -90.20],
+        ['Kansas City', 'Missouri', 'United States', 39.10, -94.58],
+        ['Springfield', 'Missouri', 'United States', 37.21, -93.29],
+        ['Little Rock', 'Arkansas', 'United States', 34.75, -92.29],
+        ['New Orleans', 'Louisiana', 'United States', 29.95, -90.07],
+        ['Baton Rouge', 'Louisiana', 'United States', 30.45, -91.19],
+        ['Shreveport', 'Louisiana', 'United States', 32.53, -93.75],
+        ['Houston', 'Texas', 'United States', 29.76, -95.37],
+        ['Dallas', 'Texas', 'United States', 32.78, -96.80],
+        ['Austin', 'Texas', 'United States', 30.27, -97.74],
+        ['San Antonio', 'Texas', 'United States', 29.42, -98.49],
+        ['El Paso', 'Texas', 'United States', 31.76, -106.49],
+        ['Corpus Christi', 'Texas', 'United States', 27.80, -97.40],
+        ['Lubbock', 'Texas', 'United States', 33.58, -101.86],
+        ['Amarillo', 'Texas', 'United States', 35.22, -101.83],
+        ['Oklahoma City', 'Oklahoma', 'United States', 35.47, -97.52],
+        ['Tulsa', 'Oklahoma', 'United States', 36.15, -95.99],
+        ['Wichita', 'Kansas', 'United States', 37.69, -97.34],
+        ['Topeka', 'Kansas', 'United States', 39.05, -95.68],
+        ['Omaha', 'Nebraska', 'United States', 41.26, -95.93],
+        ['Lincoln', 'Nebraska', 'United States', 40.81, -96.68],
+        ['North Platte', 'Nebraska', 'United States', 41.12, -100.77],
+        ['Sioux Falls', 'South Dakota', 'United States', 43.54, -96.73],
+        ['Rapid City', 'South Dakota', 'United States', 44.08, -103.23],
+        ['Fargo', 'North Dakota', 'United States', 46.88, -96.79],
+        ['Bismarck', 'North Dakota', 'United States', 46.81, -100.78],
+        ['Billings', 'Montana', 'United States', 45.78, -108.50],
+        ['Missoula', 'Montana', 'United States', 46.87, -113.99],
+        ['Great Falls', 'Montana', 'United States', 47.50, -111.30],
+        ['Cheyenne', 'Wyoming', 'United States', 41.14, -104.82],
+        ['Casper', 'Wyoming', 'United States', 42.87, -106.31],
+        ['Jackson', 'Wyoming', 'United States', 43.48, -110.76],
+        ['Denver', 'Colorado', 'United States', 39.74, -104.99],
+        ['Colorado Springs', 'Colorado', 'United States', 38.83, -104.82],
+        ['Grand Junction', 'Colorado', 'United States', 39.06, -108.55],
+        ['Albuquerque', 'New Mexico', 'United States', 35.08, -106.65],
+        ['Santa Fe', 'New Mexico', 'United States', 35.69, -105.94],
+        ['Phoenix', 'Arizona', 'United States', 33.45, -112.07],
+        ['Tucson', 'Arizona', 'United States', 32.22, -110.97],
+        ['Flagstaff', 'Arizona', 'United States', 35.20, -111.65],
+        ['Salt Lake City', 'Utah', 'United States', 40.76, -111.89],
+        ['St. George', 'Utah', 'United States', 37.10, -113.58],
+        ['Las Vegas', 'Nevada', 'United States', 36.17, -115.14],
+        ['Reno', 'Nevada', 'United States', 39.53, -119.81],
+        ['Elko', 'Nevada', 'United States', 40.83, -115.76],
+        ['Boise', 'Idaho', 'United States', 43.62, -116.20],
+        ['Idaho Falls', 'Idaho', 'United States', 43.49, -112.03],
+        ['Los Angeles', 'California', 'United States', 34.05, -118.24],
+        ['San Diego', 'California', 'United States', 32.72, -117.16],
+        ['San Francisco', 'California', 'United States', 37.77, -122.42],
+        ['San Jose', 'California', 'United States', 37.34, -121.89],
+        ['Sacramento', 'California', 'United States', 38.58, -121.49],
+        ['Fresno', 'California', 'United States', 36.74, -119.79],
+        ['Bakersfield', 'California', 'United States', 35.37, -119.02],
+        ['Santa Barbara', 'California', 'United States', 34.42, -119.70],
+        ['Palm Springs', 'California', 'United States', 33.83, -116.55],
+        ['Redding', 'California', 'United States', 40.59, -122.39],
+        ['Eureka', 'California', 'United States', 40.80, -124.16],
+        ['Portland', 'Oregon', 'United States', 45.52, -122.68],
+        ['Eugene', 'Oregon', 'United States', 44.05, -123.09],
+        ['Bend', 'Oregon', 'United States', 44.06, -121.32],
+        ['Medford', 'Oregon', 'United States', 42.33, -122.87],
+        ['Seattle', 'Washington', 'United States', 47.61, -122.33],
+        ['Spokane', 'Washington', 'United States', 47.66, -117.43],
+        ['Yakima', 'Washington', 'United States', 46.60, -120.51],
+        ['Bellingham', 'Washington', 'United States', 48.75, -122.48],
+        ['Anchorage', 'Alaska', 'United States', 61.22, -149.90],
+        ['Fairbanks', 'Alaska', 'United States', 64.84, -147.72],
+        ['Juneau', 'Alaska', 'United States', 58.30, -134.42],
+        ['Honolulu', 'Hawaii', 'United States', 21.31, -157.86],
+        ['Hilo', 'Hawaii', 'United States', 19.72, -155.09],
+        ['San Juan', 'Puerto Rico', 'United States', 18.47, -66.11],
+
+        // Canada
+        ['Toronto', 'Ontario', 'Canada', 43.65, -79.38],
+        ['Ottawa', 'Ontario', 'Canada', 45.42, -75.70],
+        ['Hamilton', 'Ontario', 'Canada', 43.26, -79.87],
+        ['London', 'Ontario', 'Canada', 42.98, -81.25],
+        ['Thunder Bay', 'Ontario', 'Canada', 48.38, -89.25],
+        ['Sudbury', 'Ontario', 'Canada', 46.49, -80.99],
+        ['Montreal', 'Quebec', 'Canada', 45.50, -73.57],
+        ['Quebec City', 'Quebec', 'Canada', 46.81, -71.21],
+        ['Halifax', 'Nova Scotia', 'Canada', 44.65, -63.57],
+        ['Moncton', 'New Brunswick', 'Canada', 46.09, -64.78],
+        ['St. John\'s', 'Newfoundland and Labrador', 'Canada', 47.56, -52.71],
+        ['Charlottetown', 'Prince Edward Island', 'Canada', 46.24, -63.13],
+        ['Winnipeg', 'Manitoba', 'Canada', 49.90, -97.14],
+        ['Regina', 'Saskatchewan', 'Canada', 50.45, -104.61],
+        ['Saskatoon', 'Saskatchewan', 'Canada', 52.13, -106.67],
+        ['Calgary', 'Alberta', 'Canada', 51.05, -114.07],
+        ['Edmonton', 'Alberta', 'Canada', 53.55, -113.49],
+        ['Vancouver', 'British Columbia', 'Canada', 49.28, -123.12],
+        ['Victoria', 'British Columbia', 'Canada', 48.43, -123.37],
+        ['Kelowna', 'British Columbia', 'Canada', 49.89, -119.50],
+        ['Prince George', 'British Columbia', 'Canada', 53.92, -122.75],
+        ['Whitehorse', 'Yukon', 'Canada', 60.72, -135.06],
+        ['Yellowknife', 'Northwest Territories', 'Canada', 62.45, -114.37],
+        ['Iqaluit', 'Nunavut', 'Canada', 63.75, -68.52],
+
+        // Mexico, Central America and the Caribbean
+        ['Mexico City', 'Mexico City', 'Mexico', 19.43, -99.13],
+        ['Guadalajara', 'Jalisco', 'Mexico', 20.67, -103.35],
+        ['Monterrey', 'Nuevo León', 'Mexico', 25.69, -100.32],
+        ['Tijuana', 'Baja California', 'Mexico', 32.51, -117.04],
+        ['Cancún', 'Quintana Roo', 'Mexico', 21.16, -86.85],
+        ['Mérida', 'Yucatán', 'Mexico', 20.97, -89.62],
+        ['Oaxaca', 'Oaxaca', 'Mexico', 17.07, -96.73],
+        ['Chihuahua', 'Chihuahua', 'Mexico', 28.63, -106.07],
+        ['Guatemala City', '', 'Guatemala', 14.63, -90.51],
+        ['San José', '', 'Costa Rica', 9.93, -84.08],
+        ['Panama City', '', 'Panama', 8.98, -79.52],
+        ['Havana', '', 'Cuba', 23.11, -82.37],
+        ['Santo Domingo', '', 'Dominican Republic', 18.49, -69.93],
+        ['Kingston', '', 'Jamaica', 17.97, -76.79],
+        ['Nuuk', 'Sermersooq', 'Greenland', 64.18, -51.72],
+
+        // South America
+        ['Bogotá', '', 'Colombia', 4.71, -74.07],
+        ['Medellín', '', 'Colombia', 6.24, -75.58],
+        ['Caracas', '', 'Venezuela', 10.48, -66.90],
+        ['Quito', '', 'Ecuador', -0.18, -78.47],
+        ['Guayaquil', '', 'Ecuador', -2.19, -79.89],
+        ['Lima', '', 'Peru', -12.05, -77.04],
+        ['Cusco', '', 'Peru', -13.53, -71.97],
+        ['La Paz', '', 'Bolivia', -16.49, -68.12],
+        ['Santiago', '', 'Chile', -33.45, -70.67],
+        ['Punta Arenas', '', 'Chile', -53.16, -70.91],
+        ['Buenos Aires', '', 'Argentina', -34.60, -58.38],
+        ['Córdoba', '', 'Argentina', -31.42, -64.18],
+        ['Mendoza', '', 'Argentina', -32.89, -68.83],
+        ['Ushuaia', '', 'Argentina', -54.80, -68.30],
+        ['Montevideo', '', 'Uruguay', -34.90, -56.16],
+        ['Asunción', '', 'Paraguay', -25.26, -57.58],
+        ['São Paulo', '', 'Brazil', -23.55, -46.63],
+        ['Rio de Janeiro', '', 'Brazil', -22.91, -43.17],
+        ['Brasília', '', 'Brazil', -15.79, -47.88],
+        ['Salvador', '', 'Brazil', -12.97, -38.50],
+        ['Porto Alegre', '', 'Brazil', -30.03, -51.23],
+        ['Manaus', '', 'Brazil', -3.12, -60.02],
+        ['Recife', '', 'Brazil', -8.05, -34.88],
+
+        // Europe
+        ['London', 'England', 'United Kingdom', 51.51, -0.13],
+        ['Manchester', 'England', 'United Kingdom', 53.48, -2.24],
+        ['Birmingham', 'England', 'United Kingdom', 52.49, -1.89],
+        ['Leeds', 'England', 'United Kingdom', 53.80, -1.55],
+        ['Newcastle upon Tyne', 'England', 'United Kingdom', 54.98, -1.61],
+        ['Bristol', 'England', 'United Kingdom', 51.45, -2.59],
+        ['Plymouth', 'England', 'United Kingdom', 50.38, -4.14],
+        ['Edinburgh', 'Scotland', 'United Kingdom', 55.95, -3.19],
+        ['Glasgow', 'Scotland', 'United Kingdom', 55.86, -4.25],
+        ['Aberdeen', 'Scotland', 'United Kingdom', 57.15, -2.09],
+        ['Inverness', 'Scotland', 'United Kingdom', 57.48, -4.22],
+        ['Cardiff', 'Wales', 'United Kingdom', 51.48, -3.18],
+        ['Belfast', 'Northern Ireland', 'United Kingdom', 54.60, -5.93],
+        ['Dublin', '', 'Ireland', 53.35, -6.26],
+        ['Cork', '', 'Ireland', 51.90, -8.47],
+        ['Paris', 'Île-de-France', 'France', 48.86, 2.35],
+        ['Lyon', 'Auvergne-Rhône-Alpes', 'France', 45.76, 4.84],
+        ['Marseille', 'Provence-Alpes-Côte d\'Azur', 'France', 43.30, 5.37],
+        ['Bordeaux', 'Nouvelle-Aquitaine', 'France', 44.84, -0.58],
+        ['Toulouse', 'Occitanie', 'France', 43.60, 1.44],
+        ['Nantes', 'Pays de la Loire', 'France', 47.22, -1.55],
+        ['Strasbourg', 'Grand Est', 'France', 48.57, 7.75],
+        ['Lille', 'Hauts-de-France', 'France', 50.63, 3.06],
+        ['Nice', 'Provence-Alpes-Côte d\'Azur', 'France', 43.70, 7.27],
+        ['Brussels', '', 'Belgium', 50.85, 4.35],
+        ['Amsterdam', 'North Holland', 'Netherlands', 52.37, 4.90],
+        ['Rotterdam', 'South Holland', 'Netherlands', 51.92, 4.48],
+        ['Luxembourg', '', 'Luxembourg', 49.61, 6.13],
+        ['Berlin', 'Berlin', 'Germany', 52.52, 13.40],
+        ['Hamburg', 'Hamburg', 'Germany', 53.55, 9.99],
+        ['Munich', 'Bavaria', 'Germany', 48.14, 11.58],
+        ['Cologne', 'North Rhine-Westphalia', 'Germany', 50.94, 6.96],
+        ['Frankfurt', 'Hesse', 'Germany', 50.11, 8.68],
+        ['Stuttgart', 'Baden-Württemberg', 'Germany', 48.78, 9.18],
+        ['Leipzig', 'Saxony', 'Germany', 51.34, 12.37],
+        ['Zurich', '', 'Switzerland', 47.37, 8.54],
+        ['Geneva', '', 'Switzerland', 46.20, 6.14],
+        ['Vienna', '', 'Austria', 48.21, 16.37],
+        ['Innsbruck', 'Tyrol', 'Austria', 47.27, 11.40],
+        ['Prague', '', 'Czechia', 50.08, 14.44],
+        ['Warsaw', '', 'Poland', 52.23, 21.01],
+        ['Kraków', '', 'Poland', 50.06, 19.94],
+        ['Gdańsk', '', 'Poland', 54.35, 18.65],
+        ['Budapest', '', 'Hungary', 47.50, 19.04],
+        ['Bratislava', '', 'Slovakia', 48.15, 17.11],
+        ['Ljubljana', '', 'Slovenia', 46.06, 14.51],
+        ['Zagreb', '', 'Croatia', 45.81, 15.98],
+        ['Split', '', 'Croatia', 43.51, 16.44],
+        ['Belgrade', '', 'Serbia', 44.79, 20.45],
+        ['Sarajevo', '', 'Bosnia and Herzegovina', 43.86, 18.41],
+        ['Bucharest', '', 'Romania', 44.43, 26.10],
+        ['Sofia', '', 'Bulgaria', 42.70, 23.32],
+        ['Madrid', 'Madrid', 'Spain', 40.42, -3.70],
+        ['Barcelona', 'Catalonia', 'Spain', 41.39, 2.17],
+        ['Valencia', 'Valencia', 'Spain', 39.47, -0.38],
+        ['Seville', 'Andalusia', 'Spain', 37.39, -5.98],
+        ['Bilbao', 'Basque Country', 'Spain', 43.26, -2.93],
+        ['Palma', 'Balearic Islands', 'Spain', 39.57, 2.65],
+        ['Las Palmas', 'Canary Islands', 'Spain', 28.12, -15.43],
+        ['Lisbon', '', 'Portugal', 38.72, -9.14],
+        ['Porto', '', 'Portugal', 41.16, -8.63],
+        ['Rome', 'Lazio', 'Italy', 41.90, 12.50],
+        ['Milan', 'Lombardy', 'Italy', 45.46, 9.19],
+        ['Naples', 'Campania', 'Italy', 40.85, 14.27],
+        ['Turin', 'Piedmont', 'Italy', 45.07, 7.69],
+        ['Venice', 'Veneto', 'Italy', 45.44, 12.32],
+        ['Florence', 'Tuscany', 'Italy', 43.77, 11.26],
+        ['Bologna', 'Emilia-Romagna', 'Italy', 44.49, 11.34],
+        ['Palermo', 'Sicily', 'Italy', 38.12, 13.36],
+        ['Athens', '', 'Greece', 37.98, 23.73],
+        ['Thessaloniki', '', 'Greece', 40.64, 22.94],
+        ['Istanbul', '', 'Türkiye', 41.01, 28.98],
+        ['Ankara', '', 'Türkiye', 39.93, 32.86],
+        ['Izmir', '', 'Türkiye', 38.42, 27.14],
+        ['Copenhagen', '', 'Denmark', 55.68, 12.57],
+        ['Aarhus', '', 'Denmark', 56.16, 10.20],
+        ['Oslo', '', 'Norway', 59.91, 10.75],
+        ['Bergen', '', 'Norway', 60.39, 5.32],
+        ['Trondheim', '', 'Norway', 63.43, 10.40],
+        ['Tromsø', '', 'Norway', 69.65, 18.96],
+        ['Stockholm', '', 'Sweden', 59.33, 18.07],
+        ['Gothenburg', '', 'Sweden', 57.71, 11.97],
+        ['Malmö', '', 'Sweden', 55.60, 13.00],
+        ['Umeå', '', 'Sweden', 63.83, 20.26],
+        ['Kiruna', '', 'Sweden', 67.86, 20.23],
+        ['Helsinki', '', 'Finland', 60.17, 24.94],
+        ['Tampere', '', 'Finland', 61.50, 23.76],
+        ['Oulu', '', 'Finland', 65.01, 25.47],
+        ['Rovaniemi', '', 'Finland', 66.50, 25.73],
+        ['Reykjavik', '', 'Iceland', 64.15, -21.94],
+        ['Tallinn', '', 'Estonia', 59.44, 24.75],
+        ['Riga', '', 'Latvia', 56.95, 24.11],
+        ['Vilnius', '', 'Lithuania', 54.69, 25.28],
+        ['Minsk', '', 'Belarus', 53.90, 27.56],
+        ['Kyiv', '', 'Ukraine', 50.45, 30.52],
+        ['Lviv', '', 'Ukraine', 49.84, 24.03],
+        ['Odesa', '', 'Ukraine', 46.48, 30.72],
+        ['Moscow', '', 'Russia', 55.76, 37.62],
+        ['Saint Petersburg', '', 'Russia', 59.93, 30.36],
+        ['Kazan', '', 'Russia', 55.79, 49.12],
+        ['Yekaterinburg', '', 'Russia', 56.84, 60.61],
+        ['Novosibirsk', '', 'Russia', 55.03, 82.92],
+        ['Irkutsk', '', 'Russia', 52.29, 104.28],
+        ['Yakutsk', '', 'Russia', 62.03, 129.73],
+        ['Vladivostok', '', 'Russia', 43.12, 131.89],
+
+        // Africa and the Middle East
+        ['Cairo', '', 'Egypt', 30.04, 31.24],
+        ['Alexandria', '', 'Egypt', 31.20, 29.92],
+        ['Casablanca', '', 'Morocco', 33.57, -7.59],
+        ['Marrakesh', '', 'Morocco', 31.63, -8.01],
+        ['Algiers', '', 'Algeria', 36.75, 3.06],
+        ['Tunis', '', 'Tunisia', 36.81, 10.18],
+        ['Dakar', '', 'Senegal', 14.72, -17.47],
+        ['Accra', '', 'Ghana', 5.60, -0.19],
+        ['Lagos', '', 'Nigeria', 6.52, 3.38],
+        ['Abuja', '', 'Nigeria', 9.08, 7.40],
+        ['Kinshasa', '', 'DR Congo', -4.44, 15.27],
+        ['Addis Ababa', '', 'Ethiopia', 9.03, 38.74],
+        ['Nairobi', '', 'Kenya', -1.29, 36.82],
+        ['Dar es Salaam', '', 'Tanzania', -6.79, 39.21],
+        ['Kampala', '', 'Uganda', 0.35, 32.58],
+        ['Luanda', '', 'Angola', -8.84, 13.23],
+        ['Harare', '', 'Zimbabwe', -17.83, 31.05],
+        ['Johannesburg', 'Gauteng', 'South Africa', -26.20, 28.05],
+        ['Cape Town', 'Western Cape', 'South Africa', -33.92, 18.42],
+        ['Durban', 'KwaZulu-Natal', 'South Africa', -29.86, 31.02],
+        ['Antananarivo', '', 'Madagascar', -18.88, 47.51],
+        ['Tel Aviv', '', 'Israel', 32.09, 34.78],
+        ['Jerusalem', '', 'Israel', 31.77, 35.21],
+        ['Amman', '', 'Jordan', 31.95, 35.93],
+        ['Beirut', '', 'Lebanon', 33.89, 35.50],
+        ['Riyadh', '', 'Saudi Arabia', 24.71, 46.68],
+        ['Jeddah', '', 'Saudi Arabia', 21.49, 39.19],
+        ['Dubai', '', 'United Arab Emirates', 25.20, 55.27],
+        ['Abu Dhabi', '', 'United Arab Emirates', 24.45, 54.38],
+        ['Doha', '', 'Qatar', 25.29, 51.53],
+        ['Kuwait City', '', 'Kuwait', 29.38, 47.99],
+        ['Muscat', '', 'Oman', 23.59, 58.41],
+        ['Baghdad', '', 'Iraq', 33.31, 44.36],
+        ['Tehran', '', 'Iran', 35.69, 51.39],
+        ['Tbilisi', '', 'Georgia', 41.72, 44.79],
+        ['Yerevan', '', 'Armenia', 40.18, 44.51],
+        ['Baku', '', 'Azerbaijan', 40.41, 49.87],
+
+        // Asia
+        ['Delhi', '', 'India', 28.61, 77.21],
+        ['Mumbai', '', 'India', 19.08, 72.88],
+        ['Bengaluru', '', 'India', 12.97, 77.59],
+        ['Chennai', '', 'India', 13.08, 80.27],
+        ['Kolkata', '', 'India', 22.57, 88.36],
+        ['Hyderabad', '', 'India', 17.39, 78.49],
+        ['Karachi', '', 'Pakistan', 24.86, 67.01],
+        ['Lahore', '', 'Pakistan', 31.55, 74.34],
+        ['Islamabad', '', 'Pakistan', 33.68, 73.05],
+        ['Kathmandu', '', 'Nepal', 27.72, 85.32],
+        ['Dhaka', '', 'Bangladesh', 23.81, 90.41],
+        ['Colombo', '', 'Sri Lanka', 6.93, 79.86],
+        ['Tashkent', '', 'Uzbekistan', 41.30, 69.24],
+        ['Almaty', '', 'Kazakhstan', 43.24, 76.89],
+        ['Astana', '', 'Kazakhstan', 51.17, 71.45],
+        ['Ulaanbaatar', '', 'Mongolia', 47.89, 106.91],
+        ['Beijing', '', 'China', 39.90, 116.41],
+        ['Shanghai', '', 'China', 31.23, 121.47],
+        ['Guangzhou', '', 'China', 23.13, 113.26],
+        ['Shenzhen', '', 'China', 22.54, 114.06],
+        ['Chengdu', '', 'China', 30.57, 104.07],
+        ['Wuhan', '', 'China', 30.59, 114.31],
+        ['Xi\'an', '', 'China', 34.34, 108.94],
+        ['Harbin', '', 'China', 45.80, 126.53],
+        ['Kunming', '', 'China', 25.04, 102.71],
+        ['Urumqi', '', 'China', 43.83, 87.62],
+        ['Hong Kong', '', 'Hong Kong', 22.32, 114.17],
+        ['Taipei', '', 'Taiwan', 25.03, 121.57],
+        ['Seoul', '', 'South Korea', 37.57, 126.98],
+        ['Busan', '', 'South Korea', 35.18, 129.08],
+        ['Tokyo', '', 'Japan', 35.68, 139.69],
+        ['Osaka', '', 'Japan', 34.69, 135.50],
+        ['Nagoya', '', 'Japan', 35.18, 136.91],
+        ['Fukuoka', '', 'Japan', 33.59, 130.40],
+        ['Sendai', '', 'Japan', 38.27, 140.87],
+        ['Sapporo', '', 'Japan', 43.06, 141.35],
+        ['Naha', '', 'Japan', 26.21, 127.68],
+        ['Bangkok', '', 'Thailand', 13.76, 100.50],
+        ['Chiang Mai', '', 'Thailand', 18.79, 98.98],
+        ['Hanoi', '', 'Vietnam', 21.03, 105.85],
+        ['Ho Chi Minh City', '', 'Vietnam', 10.82, 106.63],
+        ['Phnom Penh', '', 'Cambodia', 11.56, 104.93],
+        ['Yangon', '', 'Myanmar', 16.87, 96.20],
+        ['Kuala Lumpur', '', 'Malaysia', 3.14, 101.69],
+        ['Singapore', '', 'Singapore', 1.35, 103.82],
+        ['Jakarta', '', 'Indonesia', -6.21, 106.85],
+        ['Surabaya', '', 'Indonesia', -7.25, 112.75],
+        ['Denpasar', 'Bali', 'Indonesia', -8.65, 115.22],
+        ['Manila', '', 'Philippines', 14.60, 120.98],
+        ['Cebu City', '', 'Philippines', 10.32, 123.89],
+
+        // Oceania
+        ['Sydney', 'New South Wales', 'Australia', -33.87, 151.21],
+        ['Newcastle', 'New South Wales', 'Australia', -32.93, 151.78],
+        ['Canberra', 'Australian Capital Territory', 'Australia', -35.28, 149.13],
+        ['Melbourne', 'Victoria', 'Australia', -37.81, 144.96],
+        ['Brisbane', 'Queensland', 'Australia', -27.47, 153.03],
+        ['Cairns', 'Queensland', 'Australia', -16.92, 145.77],
+        ['Townsville', 'Queensland', 'Australia', -19.26, 146.82],
+        ['Adelaide', 'South Australia', 'Australia', -34.93, 138.60],
+        ['Perth', 'Western Australia', 'Australia', -31.95, 115.86],
+        ['Darwin', 'Northern Territory', 'Australia', -12.46, 130.84],
+        ['Alice Springs', 'Northern Territory', 'Australia', -23.70, 133.88],
+        ['Hobart', 'Tasmania', 'Australia', -42.88, 147.33],
+        ['Auckland', '', 'New Zealand', -36.85, 174.76],
+        ['Wellington', '', 'New Zealand', -41.29, 174.78],
+        ['Christchurch', '', 'New Zealand', -43.53, 172.64],
+        ['Queenstown', '', 'New Zealand', -45.03, 168.66],
+        ['Suva', '', 'Fiji', -18.14, 178.44]
+    ],
+
+    /**
+     * Use a remote geocoder ('bigdatacloud') before the bundled places, or null for bundled only
+     */
+    configure({ remote = null } = {}) {
+        if (remote && !this.REMOTES[remote]) {
+            throw new Error(`Unknown reverse geocoder: ${remote}`);
+        }
+        this.remote = remote;
+    },
+
+    /**
+     * Name the place at some coordinates
+     * Returns: { name, state, country, distanceKm, source: 'remote'|'bundled'|'coordinates' }
+     */
+    async lookup(lat, lon) {
+        if (this.remote) {
+            try {
+                const place = await this.REMOTES[this.remote].lookup(lat, lon);
+                if (place) {
+                    return { ...place, distanceKm: 0, source: 'remote' };
+                }
+            } catch (error) {
+                console.error('Remote reverse geocoding failed, using bundled places:', error);
+            }
+        }
+
+        return this.nearest(lat, lon);
+    },
+
+    /**
+     * Nearest bundled place, described by how close it is
+     */
+    nearest(lat, lon) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.PLACES.forEach(place => {
+            const distance = ClimateNormals.distanceKm(lat, lon, place[3], place[4]);
+            if (distance < bestDistance) {
+                best = place;
+                bestDistance = distance;
+            }
+        });
+
+        const [name, state, country] = best;
+        const distanceKm = Math.round(bestDistance);
+
+        if (bestDistance <= this.NAME_DISTANCE_KM) {
+            return { name, state, country, distanceKm, source: 'bundled' };
+        }
+        if (bestDistance <= this.NEAR_DISTANCE_KM) {
+            return { name: I18n.t('place.near', { name }), state, country, distanceKm, source: 'bundled' };
+        }
+        return {
+            name: `${Number(lat).toFixed(2)}, ${Number(lon).toFixed(2)}`,
+            state: '',
+            country: '',
+            distanceKm,
+            source: 'coordinates'
+        };
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Last decision per location
+ * Keeps the most recent answer for each place so it can be shown offline
+ */
+
+const DecisionHistory = {
+    STORAGE_KEY: 'jacket-last-decisions',
+    MAX_LOCATIONS: 10,  // Forget the least recently checked places beyond this
+
+    /**
+     * Load every saved entry, most recent first
+     * Returns: [{ key, location, weatherData, decision, savedAt }]
+     */
+    loadAll() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Remember the decision just shown for a location (from WeatherAPI.searchLocations)
+     */
+    save(location, weatherData, decision) {
+        if (!location) return;
+
+        const key = WeatherCache.key(location.lat, location.lon);
+        const entries = this.loadAll().filter(entry => entry.key !== key);
+        entries.unshift({ key, location, weatherData, decision, savedAt: Date.now() });
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries.slice(0, this.MAX_LOCATIONS)));
+        } catch (error) {
+            console.error('Error saving last decision:', error);
+        }
+    },
+
+    /**
+     * Last saved entry for a location, or null
+     */
+    load(location) {
+        const key = WeatherCache.key(location.lat, location.lon);
+        return this.loadAll().find(entry => entry.key === key) || null;
+    },
+
+    /**
+     * The most recently checked location's entry, or null
+     */
+    latest() {
+        return this.loadAll()[0] || null;
+    }
+};
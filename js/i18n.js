@@ -0,0 +1,573 @@
+/**
+ * Localization: message catalogs, plurals, and locale-aware numbers, times and lists
+ * English lives here; other catalogs register themselves from js/locales/<language>.js.
+ *
+ * Messages are whole sentences or clauses with named placeholders ("Snow from {time}"),
+ * so a translation can put the pieces in whatever order its grammar needs. A message
+ * that depends on a count is an object of Intl.PluralRules forms:
+ *   { one: '{count} day', other: '{count} days' }
+ * Missing messages fall back to English.
+ */
+
+const I18n = {
+    STORAGE_KEY: 'jacket-language',
+    DEFAULT_LANGUAGE: 'en',
+
+    // Languages offered in the picker, by their own name
+    LANGUAGES: {
+        en: 'English',
+        es: 'Español',
+        fr: 'Français',
+        de: 'Deutsch'
+    },
+
+    language: 'en',             // Catalog in use
+    locale: 'en',               // BCP 47 tag for Intl formatting (e.g. 'es-MX' keeps Mexican number and time styles)
+
+    MESSAGES: {
+        en: {
+            // Page
+            'page.title': 'Should I bring a',
+            'page.jacket': 'JACKET?',
+            'page.where': 'Where are you?',
+            'page.searchPlaceholder': 'Enter city name',
+            'page.useMyLocation': 'Use my location',
+            'page.leave': 'Leave',
+            'page.return': 'Return',
+            'page.myJackets': 'My jackets',
+            'page.planTrip': 'Plan a trip',
+            'page.savedPlaces': 'Saved places',
+            'page.language': 'Language',
+            'page.toggleGender': 'Toggle gender',
+            'page.toggleMusic': 'Toggle music',
+            'page.done': 'Done',
+            'page.remove': 'Remove',
+            'page.open': 'Open',
+            'search.results': { one: '{count} place found', other: '{count} places found' },
+            'search.noResults': 'No places found',
+            'moodboard.hint': 'Use the arrow keys to move this jacket around the board',
+
+            // Carousel page
+            'carousel.checking': 'Checking weather...',
+            'carousel.answerTitle': 'Should you bring a',
+            'carousel.jacket': 'JACKET',
+            'carousel.enterLocation': 'Enter your location',
+            'carousel.searchPlaceholder': 'City name or ZIP code',
+            'carousel.useCurrentLocation': 'or use my current location',
+            'carousel.previous': 'Previous jacket',
+            'carousel.next': 'Next jacket',
+            'carousel.changeLocation': 'Change location',
+            'carousel.oops': 'Oops',
+            'carousel.wentWrong': 'SOMETHING WENT WRONG',
+            'carousel.tryAgain': 'Try Again',
+
+            // Result
+            'answer.YES': 'YES',
+            'answer.MAYBE': 'MAYBE',
+            'answer.NO': 'NO',
+            'result.now': 'Now',
+            'result.later': 'Later',
+            'result.wind': 'Wind',
+            'result.toggleUnits': 'Toggle °F/°C',
+            'result.windUnits': 'Wind speed units',
+            'result.savePlace': 'Save place',
+            'result.saved': 'Saved ✓',
+            'result.checkAnother': 'Check another location',
+            'result.wearYour': 'Wear your {name}',
+            'result.localTime': '{place} · {time} local time',
+            'result.asOf': 'as of {time}',
+            'result.asOfDay': 'as of {day} {time}',
+            'result.offline': 'Offline - {asOf}',
+            'result.simulated': 'Simulated: {name}',
+            'result.customScenario': 'custom scenario',
+            'result.leaveAt': 'Leave {time}',
+            'result.returnAt': 'Return {time}',
+            'result.noJacket': 'No jacket',
+            'result.noJacketNeeded': 'No jacket needed',
+            'result.itIs': "It's {temp}",
+            'result.rainExpected': 'Rain expected',
+
+            // Outfit checklist slots
+            'slot.base': 'Base',
+            'slot.mid': 'Mid',
+            'slot.outer': 'Outer',
+            'slot.bring': 'Bring',
+
+            // Feedback
+            'feedback.question': 'How did it actually feel?',
+            'feedback.tooCold': 'Too cold',
+            'feedback.justRight': 'Just right',
+            'feedback.tooWarm': 'Too warm',
+            'feedback.offsetCold': 'Personal offset: {offset} (you run cold)',
+            'feedback.offsetWarm': 'Personal offset: {offset} (you run warm)',
+            'feedback.reset': 'Reset',
+
+            // Why this answer?
+            'explain.title': 'Why this answer?',
+            'explain.airTemp': 'Air temperature',
+            'explain.effect.wind': 'Wind chill',
+            'explain.effect.gust': 'Gusts',
+            'explain.effect.damp': 'Damp air',
+            'explain.effect.heat': 'Humidity (heat index)',
+            'explain.feelsLike': 'Feels like',
+            'explain.baseLine': 'Standard jacket line',
+            'explain.climate': 'Local climate',
+            'explain.climateNormal': 'Local climate ({month} normal {temp})',
+            'explain.seasonal': 'Recent weather',
+            'explain.personal': 'Your feedback',
+            'explain.adjustedLine': 'Your jacket line',
+            'explain.thresholds': 'Thresholds after adjustments',
+            'explain.threshold.heavy': 'Heavy jacket below {temp}',
+            'explain.threshold.light': 'Jacket below {temp}, maybe within {band} of it',
+            'explain.commute': 'Your commute times are set, so the coldest leg decides: {leg}',
+            'explain.rule.heavy': 'Feels like {temp}, below the heavy-jacket line of {line}: {answer}',
+            'explain.rule.medium': 'Feels like {temp}, below the medium-jacket line of {line}: {answer}',
+            'explain.rule.borderline': 'Feels like {temp}, within {band} of the jacket line of {line}: {answer}',
+            'explain.rule.light': 'Feels like {temp}, below the jacket line of {line}: {answer}',
+            'explain.rule.none': 'Feels like {temp}, at least {band} above the jacket line of {line}: {answer}',
+            'explain.whatIf': 'What if...',
+            'explain.temperature': 'Temperature',
+            'explain.wind': 'Wind',
+            'explain.reset': 'Back to the real weather',
+
+            // Scenario simulator
+            'simulator.title': 'Simulate weather',
+            'simulator.preset': 'Preset',
+            'simulator.custom': 'Custom scenario',
+            'simulator.place': 'Place',
+            'simulator.conditions': 'Conditions',
+            'simulator.temp': 'Temperature (°F)',
+            'simulator.later': 'In 6 hours (°F)',
+            'simulator.wind': 'Wind (mph)',
+            'simulator.gusts': 'Gusts (mph)',
+            'simulator.humidity': 'Humidity (%)',
+            'simulator.precip': 'Precipitation chance (%)',
+            'simulator.hour': 'Hour (0-23)',
+            'simulator.month': 'Month (1-12)',
+            'simulator.recent': 'Last 30 days (°F)',
+            'simulator.personal': 'Personal offset (°F)',
+            'simulator.shareLink': 'Share link',
+            'simulator.run': 'Run',
+            'simulator.copy': 'Copy link',
+            'simulator.condition.clear': 'Clear',
+            'simulator.condition.clouds': 'Cloudy',
+            'simulator.condition.fog': 'Fog',
+            'simulator.condition.drizzle': 'Drizzle',
+            'simulator.condition.rain': 'Rain',
+            'simulator.condition.snow': 'Snow',
+            'simulator.condition.freezing-rain': 'Freezing rain',
+            'simulator.condition.thunderstorm': 'Thunderstorm',
+            'simulator.scenario.chicago-windy-fall-evening': 'Windy fall evening in Chicago',
+            'simulator.scenario.miami-humid-drizzle': 'Humid Miami drizzle',
+            'simulator.scenario.boston-borderline-morning': 'Borderline spring morning in Boston',
+            'simulator.scenario.seattle-rainy-commute': 'Rainy November commute in Seattle',
+            'simulator.scenario.minneapolis-snowy-morning': 'Snowy January morning in Minneapolis',
+            'simulator.scenario.toronto-freezing-rain': 'Freezing rain in Toronto',
+            'simulator.scenario.phoenix-cool-desert-night': 'Cool desert night in Phoenix',
+            'simulator.scenario.denver-cold-front': 'Warm afternoon before a cold front in Denver',
+
+            // Errors
+            'error.noGeolocation': "Your browser can't share your location. Please enter it manually.",
+            'error.locationDenied': 'Location access denied. Please enter your location manually.',
+            'error.locationUnavailable': 'Location unavailable. Please enter your location manually.',
+            'error.locationTimeout': 'Location request timed out. Please try again.',
+            'error.location': 'Could not get your location. Please enter it manually.',
+            'error.noLocation': 'No location available',
+            'error.weather': 'Could not fetch weather data. Please try again.',
+            'error.offline': "You're offline and haven't checked {name} before.",
+            'error.noPlace': 'No place found for "{name}".',
+            'error.apiKey': 'Please add your {provider} API key.',
+            'error.apiKeyRejected': '{provider} rejected the API key.',
+            'error.noProvider': 'No weather provider available.',
+            'error.request': 'Weather API request failed.',
+            'error.search': 'Place search failed.',
+            'error.nwsCoverage': 'The National Weather Service only covers the United States.',
+            'error.nwsNoForecast': 'The National Weather Service returned no forecast.',
+            'error.rateLimit.minute': 'Weather API limit reached for this minute. Please try again later.',
+            'error.rateLimit.hour': 'Weather API limit reached for this hour. Please try again later.',
+            'error.rateLimit.day': 'Weather API limit reached for today. Please try again later.',
+
+            // Wardrobe
+            'wardrobe.namePlaceholder': 'Jacket name',
+            'wardrobe.light': 'Light',
+            'wardrobe.medium': 'Medium',
+            'wardrobe.heavy': 'Heavy',
+            'wardrobe.waterproof': 'Waterproof',
+            'wardrobe.windproof': 'Windproof',
+            'wardrobe.add': 'Add',
+            'wardrobe.export': 'Export JSON',
+            'wardrobe.import': 'Import JSON',
+            'wardrobe.empty': 'No jackets yet',
+            'wardrobe.traitLight': 'light',
+            'wardrobe.traitMedium': 'medium',
+            'wardrobe.traitHeavy': 'heavy',
+            'wardrobe.traitWaterproof': 'waterproof',
+            'wardrobe.traitWindproof': 'windproof',
+            'wardrobe.importFailed': 'Could not import: {reason}',
+            'wardrobe.invalid': 'A jacket needs a name and a warmth level of light, medium or heavy',
+            'wardrobe.notList': 'Expected a list of jackets',
+            'wardrobe.noneValid': 'No valid jackets found',
+
+            // Saved places
+            'dashboard.empty': 'No saved places yet. Check a location and press "Save place".',
+            'dashboard.error': 'Could not fetch weather for your saved places. Please try again.',
+            'dashboard.label': 'Label for {name}',
+            'dashboard.feelsLike': '{temp}, feels like {feelsLike}',
+            'favorites.invalid': 'A saved place needs a name and coordinates',
+            'favorites.full': 'You can save up to {count} places',
+
+            // Trip planner
+            'trip.destination': 'Destination',
+            'trip.plan': 'Plan',
+            'trip.pickDestination': 'Pick a destination from the list',
+            'trip.day': 'Day',
+            'trip.lowHigh': 'Low / High',
+            'trip.jacket': 'Jacket?',
+            'trip.what': 'What',
+            'trip.rain': 'rain',
+            'trip.snow': 'snow',
+            'trip.ice': 'ice',
+            'trip.packingList': 'Packing list',
+            'trip.packLight': 'Nothing special - pack light!',
+            'trip.days': { one: '{used} of {count} day', other: '{used} of {count} days' },
+            'trip.neededOn': 'Needed on {days}',
+            'trip.layers': { one: 'Up to {count} layer', other: 'Up to {count} layers' },
+            'trip.coldestDay': 'For the coldest day',
+            'trip.rainGear': 'Umbrella or rain shell',
+            'trip.rainOn': 'Rain likely on {days}',
+            'trip.snowOn': 'Snow on {days}',
+            'trip.icyOn': 'Icy on {days}',
+            'trip.usefulOn': 'Useful on {days}',
+            'trip.noDates': 'Please pick a start and end date',
+            'trip.endBeforeStart': 'The trip has to end after it starts',
+            'trip.tooFar': { one: 'Forecasts only cover the next day', other: 'Forecasts only cover the next {count} days' },
+            'trip.noForecast': 'No forecast available for {date} yet',
+
+            // Jacket tiers
+            'jacket.heavy': 'Heavy jacket or coat',
+            'jacket.medium': 'Medium jacket',
+            'jacket.maybe': 'Light layer, just in case',
+            'jacket.light': 'Light jacket or sweater',
+
+            // Reasoning - the opening clause, then extra clauses joined with commas
+            'reason.veryCold': "It's {temp}",
+            'reason.veryColdWindy': "It's {temp}, and windy ({wind})",
+            'reason.cold': "It's {temp}",
+            'reason.coldWindy': "It's {temp}, and breezy ({wind})",
+            'reason.cool': "It's a cool {temp}",
+            'reason.coolWindy': "It's a cool {temp}, with some wind ({wind})",
+            'reason.warm': "It's {temp} and comfortable",
+            'reason.droppingTo': 'dropping to {temp} later',
+            'reason.coolerLater': 'getting cooler later',
+            'reason.stayingWarm': 'staying warm through the day',
+            'reason.borderline': 'right on the edge of jacket weather',
+            'reason.feelsLikeWind': 'feels like {temp} in the wind',
+            'reason.feelsLikeGust': 'feels like {temp} in the gusts',
+            'reason.feelsLikeDamp': 'feels like {temp} in the damp air',
+            'reason.feelsLikeHeat': 'feels like {temp} with the humidity',
+            'reason.localsBundleUp': 'but {month} here is usually around {temp}, so locals tend to bundle up at this temperature',
+            'reason.usedToCold': 'and people here are used to much colder weather ({month} usually averages {temp})',
+            'reason.runCold': 'and you tend to run cold',
+            'reason.runWarm': 'and you tend to run warm',
+            'reason.coldLately': "It's been very cold lately, so this feels warmer than usual",
+            'reason.warmLately': "It's been very warm lately, so this feels cooler than usual",
+
+            // Comfort model effects (ComfortModel.describe)
+            'comfort.wind': 'in the wind',
+            'comfort.gust': 'in the gusts',
+            'comfort.damp': 'in the damp air',
+            'comfort.heat': 'with the humidity',
+
+            // Climate classes (ClimateNormals.classify)
+            'climate.E': 'polar',
+            'climate.A': 'tropical',
+            'climate.Ca': 'temperate with hot summers',
+            'climate.Cb': 'temperate with warm summers',
+            'climate.Cc': 'temperate with cool summers',
+            'climate.Da': 'continental with hot summers',
+            'climate.Db': 'continental with warm summers',
+            'climate.Dc': 'continental with cool summers',
+            'climate.Dd': 'continental with very cold winters',
+
+            // Margin
+            'margin.at': 'Right at your jacket line',
+            'margin.below': '{value} below your jacket line',
+            'margin.above': '{value} above your jacket line',
+
+            // Rain, snow and ice
+            'rain.cold': 'Rain expected - consider waterproof jacket',
+            'rain.cool': 'Rain expected - light rain gear recommended',
+            'rain.warm': 'Rain expected - no jacket needed for warmth, but consider rain gear',
+            'winter.snowingNow': 'Snowing now - wear an insulated, waterproof coat and waterproof boots',
+            'winter.snowingNowAmount': 'Snowing now, about {amount} expected - wear an insulated, waterproof coat and waterproof boots',
+            'winter.snowFrom': 'Snow from {time} - wear an insulated, waterproof coat and waterproof boots',
+            'winter.snowFromAmount': 'Snow from {time}, about {amount} expected - wear an insulated, waterproof coat and waterproof boots',
+            'winter.freezingRain': 'Freezing rain likely - sidewalks and roads will be icy, so wear boots with good grip',
+            'winter.icy': 'Wet ground near freezing - watch for ice and wear boots with good grip',
+
+            // Owned jacket choice
+            'owned.rainOnly': 'warm enough to skip a jacket, but {name} keeps the rain off',
+            'owned.match': '{name} is the right warmth for today',
+            'owned.tooLightMedium': '{name} is your warmest option, though a medium jacket would be better',
+            'owned.tooLightHeavy': '{name} is your warmest option, though a heavy jacket would be better',
+            'owned.tooWarm': '{name} is a bit warmer than needed, but your closest match',
+            'owned.snowWaterproof': 'waterproof for the snow',
+            'owned.snowNotWaterproof': 'not waterproof, so expect it to get wet',
+            'owned.rainWaterproof': 'waterproof for the rain',
+            'owned.rainNotWaterproof': 'not waterproof, so bring an umbrella',
+            'owned.windproof': 'windproof against the gusts',
+            'owned.notWindproof': 'not windproof, so layer up',
+
+            // Outfit items
+            'item.thermal': 'Thermal or long-sleeve base layer',
+            'item.longSleeve': 'Long-sleeve shirt',
+            'item.tShirt': 'T-shirt',
+            'item.sweaterOrFleece': 'Sweater or fleece',
+            'item.lightSweater': 'Light sweater',
+            'item.sweaterForLater': 'Light sweater for later',
+            'item.rainShell': 'Packable rain shell',
+            'item.hood': 'Hood',
+            'item.umbrella': 'Umbrella',
+            'item.snowBoots': 'Waterproof insulated boots',
+            'item.gripBoots': 'Boots with good grip',
+            'item.hat': 'Hat',
+            'item.gloves': 'Gloves',
+            'item.scarf': 'Scarf',
+            'item.sunglasses': 'Sunglasses',
+
+            // Outfit reasons
+            'outfit.feelsLike': 'Feels like {temp}',
+            'outfit.coolAt': 'Cool at {temp}',
+            'outfit.comfortableAt': 'Comfortable at {temp}',
+            'outfit.trapsHeat': 'Traps heat under your coat',
+            'outfit.takeOffIndoors': 'Extra warmth you can take off indoors',
+            'outfit.colderLater': 'It gets colder later',
+            'outfit.eveningsCool': 'Evenings cool off fast',
+            'outfit.borderline': 'Borderline, so bring it along',
+            'outfit.neededAt': 'Needed at {temp}',
+            'outfit.snowproof': 'insulated and waterproof for the snow',
+            'outfit.waterproof': 'make it waterproof',
+            'outfit.windproof': 'windproof helps at {wind}',
+            'outfit.rainNoJacket': 'Warm enough without a jacket, but rain is likely',
+            'outfit.tooWindyForUmbrella': 'Too windy for an umbrella ({wind})',
+            'outfit.rainLikely': 'Rain is likely',
+            'outfit.snowOnGround': 'Snow on the ground',
+            'outfit.freezingRain': 'Freezing rain',
+            'outfit.icy': 'Icy surfaces near {temp}',
+            'outfit.snow': 'Snow',
+            'outfit.coldAndWindy': 'Cold and windy',
+            'outfit.headHeat': 'Most heat escapes from your head',
+            'outfit.windOnNeck': 'Keeps the wind off your neck',
+            'outfit.bitterCold': 'Bitter cold',
+            'outfit.clearSkies': 'Clear skies',
+
+            // Timeline
+            'timeline.allDayYES': 'Jacket needed for the next 24 hours',
+            'timeline.allDayMAYBE': 'Borderline for the next 24 hours',
+            'timeline.allDayNO': 'No jacket needed for the next 24 hours',
+            'timeline.afterYES': 'Jacket needed after {time}',
+            'timeline.afterMAYBE': 'Borderline after {time}',
+            'timeline.afterNO': 'No jacket needed after {time}',
+            'timeline.jacketAfter': '{jacket} after {time}',
+
+            // Commute legs
+            'commute.thisMorning': 'this morning',
+            'commute.thisAfternoon': 'this afternoon',
+            'commute.thisEvening': 'this evening',
+            'commute.tomorrowMorning': 'tomorrow morning',
+            'commute.tomorrowAfternoon': 'tomorrow afternoon',
+            'commute.tomorrowEvening': 'tomorrow evening',
+            'commute.home': 'on the way home',
+            'commute.homeTomorrow': 'on the way home tomorrow',
+            'commute.fine': 'fine {when}',
+            'commute.borderline': 'borderline {temp} {when}',
+            'commute.needed': '{conditions} {when}',
+            'commute.windy': 'windy',
+            'commute.rainy': 'rainy',
+
+            // Weather conditions (WeatherAPI.getConditionsFromCode main names)
+            'conditions.Clear': 'Clear',
+            'conditions.Clouds': 'Cloudy',
+            'conditions.Drizzle': 'Drizzle',
+            'conditions.Fog': 'Fog',
+            'conditions.Freezing Rain': 'Freezing rain',
+            'conditions.Rain': 'Rain',
+            'conditions.Snow': 'Snow',
+            'conditions.Thunderstorm': 'Thunderstorm',
+            'conditions.Unknown': 'Unknown',
+
+            // Places
+            'place.near': 'Near {name}',
+
+            // Command line
+            'cli.weather': '{temp} (feels like {feelsLike}), {conditions}; {later} in 6 hours'
+        }
+    },
+
+    /**
+     * Add or extend a language's catalog (see js/locales/)
+     */
+    register(language, messages) {
+        this.MESSAGES[language] = { ...this.MESSAGES[language], ...messages };
+    },
+
+    /**
+     * Saved language, or null when the user hasn't chosen
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return saved && this.LANGUAGES[saved] ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    save(language) {
+        const cleaned = this.getLanguage(language);
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, cleaned);
+        } catch (error) {
+            console.error('Error saving language:', error);
+        }
+
+        return cleaned;
+    },
+
+    /**
+     * The locale to use: the saved language, else the browser's
+     * The browser's region still applies when it's in the saved language ('en' + 'en-GB' -> 'en-GB')
+     */
+    resolve() {
+        const saved = this.load();
+        const browser = this.getBrowserLocale();
+        if (saved && browser.split(/[-_]/)[0].toLowerCase() !== saved) return saved;
+        return browser || this.DEFAULT_LANGUAGE;
+    },
+
+    getBrowserLocale() {
+        return typeof navigator !== 'undefined' && navigator.language ? navigator.language : '';
+    },
+
+    /**
+     * Supported language for a locale ('es-MX' -> 'es', 'en_GB.UTF-8' -> 'en'), English otherwise
+     */
+    getLanguage(locale) {
+        const language = String(locale || '').split(/[-_.@]/)[0].toLowerCase();
+        return this.LANGUAGES[language] ? language : this.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Switch language; a locale in that language ('es-MX') also sets number and time styles
+     * Returns the language in use
+     */
+    setLocale(locale) {
+        this.language = this.getLanguage(locale);
+        this.locale = this.language;
+
+        const tag = String(locale || '').split(/[.@]/)[0].replace(/_/g, '-');
+        try {
+            const [canonical] = Intl.getCanonicalLocales(tag);
+            if (canonical && canonical.split('-')[0].toLowerCase() === this.language) {
+                this.locale = canonical;
+            }
+        } catch (error) {
+            // Not a BCP 47 tag (e.g. 'C' or 'POSIX') - the language alone will do
+        }
+
+        return this.language;
+    },
+
+    /**
+     * Look up a message and fill in its {placeholders}
+     * Numbers are formatted for the locale; params.count picks the plural form
+     */
+    t(key, params = {}) {
+        let message = (this.MESSAGES[this.language] || {})[key];
+        if (message === undefined) message = this.MESSAGES.en[key];
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * "a, b and c" in the locale's style
+     */
+    formatList(items) {
+        if (typeof Intl.ListFormat === 'undefined') return items.join(', ');
+        return new Intl.ListFormat(this.locale, { type: 'conjunction' }).format(items);
+    },
+
+    /**
+     * Clock time for 0-23 hours and minutes: "4pm" / "8:15am" in English, "16:00" in 24-hour locales
+     */
+    formatTime(hours, minutes = 0) {
+        const date = new Date(Date.UTC(2000, 0, 1, hours, minutes));
+        const { hourCycle } = new Intl.DateTimeFormat(this.locale, { hour: 'numeric', timeZone: 'UTC' }).resolvedOptions();
+        const twelveHour = hourCycle === 'h11' || hourCycle === 'h12';
+
+        const options = { hour: 'numeric', timeZone: 'UTC' };
+        if (minutes !== 0 || !twelveHour) options.minute = '2-digit';
+        const parts = new Intl.DateTimeFormat(this.locale, options).formatToParts(date);
+
+        // English keeps its compact "4pm"
+        if (this.language === 'en' && twelveHour) {
+            return parts
+                .filter((part, index) => !(part.type === 'literal' && parts[index + 1] && parts[index + 1].type === 'dayPeriod'))
+                .map(part => part.type === 'dayPeriod' ? part.value.toLowerCase() : part.value)
+                .join('');
+        }
+        return parts.map(part => part.value).join('');
+    },
+
+    /**
+     * Month name for a 0-11 month index
+     */
+    formatMonth(month) {
+        return new Intl.DateTimeFormat(this.locale, { month: 'long', timeZone: 'UTC' }).format(new Date(Date.UTC(2000, month, 1)));
+    },
+
+    formatDate(date, options) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    },
+
+    /**
+     * Upper-case the first letter, for clauses that start a sentence
+     */
+    capitalize(text) {
+        return text.charAt(0).toLocaleUpperCase(this.locale) + text.slice(1);
+    },
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-placeholder, -title and
+     * -aria-label set those attributes
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+
+        if (root.documentElement) {
+            root.documentElement.lang = this.locale;
+        }
+    }
+};
@@ -1,133 +1,218 @@
 /**
- * Jacket metadata for tooltips
- * Maps image filenames to brand and model information
+ * Jacket metadata for tooltips and recommendations
+ * Maps image filenames to brand, model, warmth tier and material
  */
 
 const jacketData = {
     // Male jackets
-    "Aimé Leon Dore x Porsche 911SC Mechanic Jacket.png": {
+    "Aime Leon Dore x Porsche 911SC Mechanic Jacket.png": {
         brand: "Aimé Leon Dore",
         model: "Porsche 911SC Mechanic Jacket",
-        type: "medium"
+        type: "medium",
+        material: "cotton",
+        folder: "jackets"
     },
     "Alpha Industries Leather Flight Jacket.png": {
         brand: "Alpha Industries",
         model: "Leather Flight Jacket",
-        type: "medium"
+        type: "medium",
+        material: "leather",
+        folder: "jackets"
     },
     "Ben Davis Work Jacket Stripped.png": {
         brand: "Ben Davis",
         model: "Work Jacket Stripped",
-        type: "medium"
+        type: "medium",
+        material: "canvas",
+        folder: "jackets"
     },
-    "Black Wool Blousson Jacket.png": {
+    "Blousson Black Wool Jacket.png": {
         brand: "Unknown",
         model: "Black Wool Blousson",
-        type: "heavy"
+        type: "heavy",
+        material: "wool",
+        folder: "jackets"
     },
     "Carhartt WIP Detroit jacket.png": {
         brand: "Carhartt WIP",
         model: "Detroit Jacket",
-        type: "medium"
+        type: "medium",
+        material: "canvas",
+        folder: "jackets"
     },
     "Days Ranger navy blue whipcord work jacket. .png": {
         brand: "Days Ranger",
         model: "Navy Blue Whipcord Work Jacket",
-        type: "medium"
+        type: "medium",
+        material: "wool",
+        folder: "jackets"
     },
     "KNOX Blue Navy Jacket.png": {
         brand: "KNOX",
         model: "Blue Navy Jacket",
-        type: "medium"
+        type: "medium",
+        material: "cotton",
+        folder: "jackets"
     },
     "LOUECHY Men's Corduroy Trucker Jacket.png": {
         brand: "LOUECHY",
         model: "Corduroy Trucker Jacket",
-        type: "light"
+        type: "light",
+        material: "corduroy",
+        folder: "jackets"
     },
     "O'Connell's Destroyer Goatskin Baracuta jacket .png": {
         brand: "O'Connell's",
         model: "Destroyer Goatskin Baracuta",
-        type: "medium"
+        type: "medium",
+        material: "leather",
+        folder: "jackets"
     },
     "Stray Rats Dickies Eisenhower Jacket.png": {
         brand: "Stray Rats x Dickies",
         model: "Eisenhower Jacket",
-        type: "medium"
+        type: "medium",
+        material: "twill",
+        folder: "jackets"
     },
     "Vintage Polo Ralph Lauren Navy Jacket.png": {
         brand: "Polo Ralph Lauren",
         model: "Vintage Navy Jacket",
-        type: "medium"
+        type: "medium",
+        material: "nylon",
+        folder: "jackets"
     },
 
     // Female jackets
     "GAMIRA's Womens Coat.png": {
         brand: "GAMIRA",
         model: "Women's Coat",
-        type: "heavy"
+        type: "heavy",
+        material: "wool",
+        folder: "female-jackets"
     },
     "H & M Denim Jacket.png": {
         brand: "H&M",
         model: "Denim Jacket",
-        type: "light"
+        type: "light",
+        material: "denim",
+        folder: "female-jackets"
     },
     "J. Crew Merlot Majesty Peacoat.png": {
         brand: "J.Crew",
         model: "Merlot Majesty Peacoat",
-        type: "heavy"
+        type: "heavy",
+        material: "wool",
+        folder: "female-jackets"
     },
     "Manokhi HANA Jacket.png": {
         brand: "Manokhi",
         model: "HANA Jacket",
-        type: "medium"
+        type: "medium",
+        material: "leather",
+        folder: "female-jackets"
     },
     "Micas Denim Metallic Button Outerwear.png": {
         brand: "Micas",
         model: "Denim Metallic Button Outerwear",
-        type: "light"
+        type: "light",
+        material: "denim",
+        folder: "female-jackets"
     },
     "Miu Miu padded corduroy-collar blouson.png": {
         brand: "Miu Miu",
         model: "Padded Corduroy-Collar Blouson",
-        type: "medium"
+        type: "medium",
+        material: "nylon",
+        folder: "female-jackets"
     },
     "Mos Mosh Wanda check pattern blaze.png": {
         brand: "Mos Mosh",
         model: "Wanda Check Pattern Blaze",
-        type: "medium"
+        type: "medium",
+        material: "wool",
+        folder: "female-jackets"
     },
     "ReSee Pre Fall 2021 Flared Trench.png": {
         brand: "ReSee",
         model: "Pre Fall 2021 Flared Trench",
-        type: "heavy"
+        type: "heavy",
+        material: "gabardine",
+        folder: "female-jackets"
     },
     "TALISHKO Fur Line Up Zip Up.png": {
         brand: "TALISHKO",
         model: "Fur Line Up Zip Up",
-        type: "heavy"
+        type: "heavy",
+        material: "suede",
+        folder: "female-jackets"
     },
     "Toogood The Skipper jacket.png": {
         brand: "Toogood",
         model: "The Skipper Jacket",
-        type: "medium"
+        type: "medium",
+        material: "cotton",
+        folder: "female-jackets"
     },
-    "Totême Embroidered Scarf Jacket.png": {
+    "Toteme Embroidered Scarf Jacket.png": {
         brand: "Totême",
         model: "Embroidered Scarf Jacket",
-        type: "medium"
+        type: "medium",
+        material: "wool",
+        folder: "female-jackets"
     },
     "Zara houndstooth belted jacket.png": {
         brand: "Zara",
         model: "Houndstooth Belted Jacket",
-        type: "medium"
+        type: "medium",
+        material: "wool",
+        folder: "female-jackets"
     }
 };
 
+// How well each material copes with rain (higher = better, 0 = keep out of the rain)
+const materialRainScore = {
+    nylon: 3,
+    gabardine: 3,
+    canvas: 2,
+    wool: 1,
+    cotton: 1,
+    twill: 1,
+    denim: 1,
+    corduroy: 1,
+    leather: 0,
+    suede: 0
+};
+
 /**
  * Helper function to get jacket info from image element
  */
 function getJacketInfo(imgElement) {
-    const filename = imgElement.src.split('/').pop(); // Extract filename from src
+    const filename = decodeURIComponent(imgElement.src.split('/').pop()); // Extract filename from src
     return jacketData[filename] || { brand: 'Unknown', model: 'Jacket', type: 'medium' };
 }
+
+/**
+ * Check whether a jacket is a sensible pick for rain (no leather or suede)
+ */
+function isRainFriendly(info) {
+    return (materialRainScore[info.material] ?? 1) > 0;
+}
+
+/**
+ * Get catalog jackets that fit a warmth tier, best rain options first when it's rainy
+ * Options: { isRainy: boolean, folder: 'jackets'|'female-jackets' }
+ * Returns: [{ filename, src, brand, model, type, material, folder }]
+ */
+function getJacketsForTier(tier, options = {}) {
+    const jackets = Object.entries(jacketData)
+        .filter(([, info]) => info.type === tier)
+        .filter(([, info]) => !options.folder || info.folder === options.folder)
+        .map(([filename, info]) => ({ filename, src: `${info.folder}/${filename}`, ...info }));
+
+    if (options.isRainy) {
+        jackets.sort((a, b) => (materialRainScore[b.material] ?? 1) - (materialRainScore[a.material] ?? 1));
+    }
+
+    return jackets;
+}
@@ -0,0 +1,93 @@
+/**
+ * Deep links to a checked location
+ * Both pages use the same format, so a result can be bookmarked, shared or refreshed:
+ *   ?q=Boston&state=Massachusetts&country=United+States&lat=42.3601&lon=-71.0589&units=c
+ * Only q is required - a link without coordinates is resolved by searching for q.
+ * City landing pages (/city/chicago/) carry the same location in the page itself.
+ */
+
+const DeepLink = {
+    COORD_DECIMALS: 4,          // About 10 m, plenty for a forecast
+
+    /**
+     * URL parameters for a location and unit choice ('f' or 'c')
+     */
+    toParams(location, units) {
+        const params = new URLSearchParams({ q: location.name });
+        if (location.state) params.set('state', location.state);
+        if (location.country) params.set('country', location.country);
+        if (Number.isFinite(location.lat) && Number.isFinite(location.lon)) {
+            params.set('lat', location.lat.toFixed(this.COORD_DECIMALS));
+            params.set('lon', location.lon.toFixed(this.COORD_DECIMALS));
+        }
+        if (units) params.set('units', units);
+        return params;
+    },
+
+    /**
+     * Read a link from URL parameters
+     * Returns: { location: { name, state, country, lat, lon }, units } or null without q.
+     * lat/lon are null when missing or out of range; units is 'f', 'c' or null
+     */
+    fromParams(params) {
+        const name = (params.get('q') || '').trim();
+        if (!name) return null;
+
+        const lat = parseFloat(params.get('lat'));
+        const lon = parseFloat(params.get('lon'));
+        const hasCoords = Number.isFinite(lat) && Number.isFinite(lon) &&
+            Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+        const units = (params.get('units') || '').toLowerCase();
+
+        return {
+            location: {
+                name,
+                state: params.get('state') || '',
+                country: params.get('country') || '',
+                lat: hasCoords ? lat : null,
+                lon: hasCoords ? lon : null
+            },
+            units: ['f', 'c'].includes(units) ? units : null
+        };
+    },
+
+    /**
+     * The location a pre-rendered city page is about (see scripts/build-cities.js), or null
+     * The page carries it as <script type="application/json" id="page-location">
+     */
+    fromPage(doc) {
+        const element = doc.getElementById('page-location');
+        if (!element) return null;
+
+        try {
+            const location = JSON.parse(element.textContent);
+            return this.fromParams(this.toParams(location));
+        } catch (error) {
+            console.error('Unreadable page location:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Link to a location on the given page URL
+     */
+    getUrl(location, units, pageUrl) {
+        const url = new URL(pageUrl);
+        url.search = this.toParams(location, units).toString();
+        url.hash = '';
+        return url.toString();
+    },
+
+    /**
+     * The location a link points at, searching for it when the link has no coordinates
+     * Returns null when nothing matches
+     */
+    async resolve(link) {
+        if (link.location.lat !== null) {
+            return link.location;
+        }
+
+        const [match] = await WeatherAPI.searchLocations(link.location.name);
+        return match || null;
+    }
+};
@@ -0,0 +1,381 @@
+/**
+ * German messages (keys and placeholders as in the English catalog, js/i18n.js)
+ */
+
+I18n.register('de', {
+    // Page
+    'page.title': 'Brauche ich eine',
+    'page.jacket': 'JACKE?',
+    'page.where': 'Wo bist du?',
+    'page.searchPlaceholder': 'Stadt eingeben',
+    'page.useMyLocation': 'Meinen Standort verwenden',
+    'page.leave': 'Los',
+    'page.return': 'Zurück',
+    'page.myJackets': 'Meine Jacken',
+    'page.planTrip': 'Reise planen',
+    'page.savedPlaces': 'Gespeicherte Orte',
+    'page.language': 'Sprache',
+    'page.toggleGender': 'Geschlecht wechseln',
+    'page.toggleMusic': 'Musik an/aus',
+    'page.done': 'Fertig',
+    'page.remove': 'Entfernen',
+    'page.open': 'Öffnen',
+    'search.results': { one: '{count} Ort gefunden', other: '{count} Orte gefunden' },
+    'search.noResults': 'Keine Orte gefunden',
+    'moodboard.hint': 'Mit den Pfeiltasten verschiebst du diese Jacke auf der Pinnwand',
+
+    // Carousel page
+    'carousel.checking': 'Wetter wird abgefragt...',
+    'carousel.answerTitle': 'Brauchst du eine',
+    'carousel.jacket': 'JACKE',
+    'carousel.enterLocation': 'Gib deinen Ort ein',
+    'carousel.searchPlaceholder': 'Stadt oder Postleitzahl',
+    'carousel.useCurrentLocation': 'oder meinen aktuellen Standort verwenden',
+    'carousel.previous': 'Vorherige Jacke',
+    'carousel.next': 'Nächste Jacke',
+    'carousel.changeLocation': 'Ort ändern',
+    'carousel.oops': 'Hoppla',
+    'carousel.wentWrong': 'ETWAS IST SCHIEFGELAUFEN',
+    'carousel.tryAgain': 'Erneut versuchen',
+
+    // Result
+    'answer.YES': 'JA',
+    'answer.MAYBE': 'VIELLEICHT',
+    'answer.NO': 'NEIN',
+    'result.now': 'Jetzt',
+    'result.later': 'Später',
+    'result.wind': 'Wind',
+    'result.toggleUnits': '°F/°C umschalten',
+    'result.windUnits': 'Einheit für Wind',
+    'result.savePlace': 'Ort speichern',
+    'result.saved': 'Gespeichert ✓',
+    'result.checkAnother': 'Anderen Ort prüfen',
+    'result.wearYour': 'Zieh deine {name} an',
+    'result.localTime': '{place} · {time} Ortszeit',
+    'result.asOf': 'Stand {time}',
+    'result.asOfDay': 'Stand {day}, {time}',
+    'result.offline': 'Offline - {asOf}',
+    'result.simulated': 'Simuliert: {name}',
+    'result.customScenario': 'eigenes Szenario',
+    'result.leaveAt': 'Los {time}',
+    'result.returnAt': 'Zurück {time}',
+    'result.noJacket': 'Keine Jacke',
+    'result.noJacketNeeded': 'Keine Jacke nötig',
+    'result.itIs': 'Es sind {temp}',
+    'result.rainExpected': 'Regen erwartet',
+
+    // Outfit checklist slots
+    'slot.base': 'Basis',
+    'slot.mid': 'Mitte',
+    'slot.outer': 'Außen',
+    'slot.bring': 'Mitnehmen',
+
+    // Feedback
+    'feedback.question': 'Wie hat es sich tatsächlich angefühlt?',
+    'feedback.tooCold': 'Zu kalt',
+    'feedback.justRight': 'Genau richtig',
+    'feedback.tooWarm': 'Zu warm',
+    'feedback.offsetCold': 'Persönlicher Ausgleich: {offset} (du frierst leicht)',
+    'feedback.offsetWarm': 'Persönlicher Ausgleich: {offset} (dir wird schnell warm)',
+    'feedback.reset': 'Zurücksetzen',
+
+    // Why this answer?
+    'explain.title': 'Warum diese Antwort?',
+    'explain.airTemp': 'Lufttemperatur',
+    'explain.effect.wind': 'Windkühle',
+    'explain.effect.gust': 'Böen',
+    'explain.effect.damp': 'Feuchte Luft',
+    'explain.effect.heat': 'Schwüle (Hitzeindex)',
+    'explain.feelsLike': 'Gefühlt',
+    'explain.baseLine': 'Standard-Jackengrenze',
+    'explain.climate': 'Lokales Klima',
+    'explain.climateNormal': 'Lokales Klima (Normalwert im {month}: {temp})',
+    'explain.seasonal': 'Wetter der letzten Zeit',
+    'explain.personal': 'Dein Feedback',
+    'explain.adjustedLine': 'Deine Jackengrenze',
+    'explain.thresholds': 'Grenzen nach den Anpassungen',
+    'explain.threshold.heavy': 'Warme Jacke unter {temp}',
+    'explain.threshold.light': 'Jacke unter {temp}, vielleicht bis {band} daneben',
+    'explain.commute': 'Deine Pendelzeiten sind gesetzt, also entscheidet der kälteste Weg: {leg}',
+    'explain.rule.heavy': 'Gefühlt {temp}, unter der Grenze für warme Jacken von {line}: {answer}',
+    'explain.rule.medium': 'Gefühlt {temp}, unter der Grenze für Übergangsjacken von {line}: {answer}',
+    'explain.rule.borderline': 'Gefühlt {temp}, weniger als {band} von der Jackengrenze von {line} entfernt: {answer}',
+    'explain.rule.light': 'Gefühlt {temp}, unter der Jackengrenze von {line}: {answer}',
+    'explain.rule.none': 'Gefühlt {temp}, mindestens {band} über der Jackengrenze von {line}: {answer}',
+    'explain.whatIf': 'Was wäre, wenn...',
+    'explain.temperature': 'Temperatur',
+    'explain.wind': 'Wind',
+    'explain.reset': 'Zurück zum echten Wetter',
+
+    // Scenario simulator
+    'simulator.title': 'Wetter simulieren',
+    'simulator.preset': 'Vorlage',
+    'simulator.custom': 'Eigenes Szenario',
+    'simulator.place': 'Ort',
+    'simulator.conditions': 'Wetterlage',
+    'simulator.temp': 'Temperatur (°F)',
+    'simulator.later': 'In 6 Stunden (°F)',
+    'simulator.wind': 'Wind (mph)',
+    'simulator.gusts': 'Böen (mph)',
+    'simulator.humidity': 'Luftfeuchtigkeit (%)',
+    'simulator.precip': 'Niederschlagswahrscheinlichkeit (%)',
+    'simulator.hour': 'Stunde (0-23)',
+    'simulator.month': 'Monat (1-12)',
+    'simulator.recent': 'Letzte 30 Tage (°F)',
+    'simulator.personal': 'Persönlicher Ausgleich (°F)',
+    'simulator.shareLink': 'Link zum Teilen',
+    'simulator.run': 'Starten',
+    'simulator.copy': 'Link kopieren',
+    'simulator.condition.clear': 'Klar',
+    'simulator.condition.clouds': 'Bewölkt',
+    'simulator.condition.fog': 'Nebel',
+    'simulator.condition.drizzle': 'Nieselregen',
+    'simulator.condition.rain': 'Regen',
+    'simulator.condition.snow': 'Schnee',
+    'simulator.condition.freezing-rain': 'Gefrierender Regen',
+    'simulator.condition.thunderstorm': 'Gewitter',
+    'simulator.scenario.chicago-windy-fall-evening': 'Windiger Herbstabend in Chicago',
+    'simulator.scenario.miami-humid-drizzle': 'Schwüler Nieselregen in Miami',
+    'simulator.scenario.boston-borderline-morning': 'Grenzwertiger Frühlingsmorgen in Boston',
+    'simulator.scenario.seattle-rainy-commute': 'Verregneter Arbeitsweg im November in Seattle',
+    'simulator.scenario.minneapolis-snowy-morning': 'Verschneiter Januarmorgen in Minneapolis',
+    'simulator.scenario.toronto-freezing-rain': 'Gefrierender Regen in Toronto',
+    'simulator.scenario.phoenix-cool-desert-night': 'Kühle Wüstennacht in Phoenix',
+    'simulator.scenario.denver-cold-front': 'Warmer Nachmittag vor einer Kaltfront in Denver',
+
+    // Errors
+    'error.noGeolocation': 'Dein Browser kann deinen Standort nicht teilen. Bitte gib ihn selbst ein.',
+    'error.locationDenied': 'Standortzugriff verweigert. Bitte gib deinen Ort selbst ein.',
+    'error.locationUnavailable': 'Standort nicht verfügbar. Bitte gib deinen Ort selbst ein.',
+    'error.locationTimeout': 'Die Standortabfrage hat zu lange gedauert. Bitte versuche es erneut.',
+    'error.location': 'Dein Standort konnte nicht ermittelt werden. Bitte gib ihn selbst ein.',
+    'error.noLocation': 'Kein Standort verfügbar',
+    'error.weather': 'Wetterdaten konnten nicht geladen werden. Bitte versuche es erneut.',
+    'error.offline': 'Du bist offline und hast {name} noch nie abgefragt.',
+    'error.noPlace': 'Kein Ort gefunden für „{name}“.',
+    'error.apiKey': 'Bitte füge deinen API-Schlüssel für {provider} hinzu.',
+    'error.apiKeyRejected': '{provider} hat den API-Schlüssel abgelehnt.',
+    'error.noProvider': 'Kein Wetterdienst verfügbar.',
+    'error.request': 'Die Anfrage an die Wetter-API ist fehlgeschlagen.',
+    'error.search': 'Die Ortssuche ist fehlgeschlagen.',
+    'error.nwsCoverage': 'Der National Weather Service deckt nur die USA ab.',
+    'error.nwsNoForecast': 'Der National Weather Service hat keine Vorhersage geliefert.',
+    'error.rateLimit.minute': 'Limit der Wetter-API für diese Minute erreicht. Bitte versuche es später erneut.',
+    'error.rateLimit.hour': 'Limit der Wetter-API für diese Stunde erreicht. Bitte versuche es später erneut.',
+    'error.rateLimit.day': 'Limit der Wetter-API für heute erreicht. Bitte versuche es später erneut.',
+
+    // Wardrobe
+    'wardrobe.namePlaceholder': 'Name der Jacke',
+    'wardrobe.light': 'Leicht',
+    'wardrobe.medium': 'Mittel',
+    'wardrobe.heavy': 'Warm',
+    'wardrobe.waterproof': 'Wasserdicht',
+    'wardrobe.windproof': 'Winddicht',
+    'wardrobe.add': 'Hinzufügen',
+    'wardrobe.export': 'JSON exportieren',
+    'wardrobe.import': 'JSON importieren',
+    'wardrobe.empty': 'Noch keine Jacken',
+    'wardrobe.traitLight': 'leicht',
+    'wardrobe.traitMedium': 'mittel',
+    'wardrobe.traitHeavy': 'warm',
+    'wardrobe.traitWaterproof': 'wasserdicht',
+    'wardrobe.traitWindproof': 'winddicht',
+    'wardrobe.importFailed': 'Import fehlgeschlagen: {reason}',
+    'wardrobe.invalid': 'Eine Jacke braucht einen Namen und eine Wärmestufe: leicht, mittel oder warm',
+    'wardrobe.notList': 'Erwartet wurde eine Liste von Jacken',
+    'wardrobe.noneValid': 'Keine gültigen Jacken gefunden',
+
+    // Saved places
+    'dashboard.empty': 'Noch keine gespeicherten Orte. Prüfe einen Ort und tippe auf „Ort speichern“.',
+    'dashboard.error': 'Das Wetter für deine gespeicherten Orte konnte nicht geladen werden. Bitte versuche es erneut.',
+    'dashboard.label': 'Bezeichnung für {name}',
+    'dashboard.feelsLike': '{temp}, gefühlt {feelsLike}',
+    'favorites.invalid': 'Ein gespeicherter Ort braucht einen Namen und Koordinaten',
+    'favorites.full': { one: 'Du kannst höchstens {count} Ort speichern', other: 'Du kannst höchstens {count} Orte speichern' },
+
+    // Trip planner
+    'trip.destination': 'Reiseziel',
+    'trip.plan': 'Planen',
+    'trip.pickDestination': 'Wähle ein Reiseziel aus der Liste',
+    'trip.day': 'Tag',
+    'trip.lowHigh': 'Tief / Hoch',
+    'trip.jacket': 'Jacke?',
+    'trip.what': 'Welche',
+    'trip.rain': 'Regen',
+    'trip.snow': 'Schnee',
+    'trip.ice': 'Glätte',
+    'trip.packingList': 'Packliste',
+    'trip.packLight': 'Nichts Besonderes - reise mit leichtem Gepäck!',
+    'trip.days': { one: 'an {used} von {count} Tag', other: 'an {used} von {count} Tagen' },
+    'trip.neededOn': 'Nötig {days}',
+    'trip.layers': { one: 'Bis zu {count} Schicht', other: 'Bis zu {count} Schichten' },
+    'trip.coldestDay': 'Für den kältesten Tag',
+    'trip.rainGear': 'Regenschirm oder Regenjacke',
+    'trip.rainOn': 'Regen wahrscheinlich {days}',
+    'trip.snowOn': 'Schnee {days}',
+    'trip.icyOn': 'Glätte {days}',
+    'trip.usefulOn': 'Praktisch {days}',
+    'trip.noDates': 'Bitte wähle ein Start- und ein Enddatum',
+    'trip.endBeforeStart': 'Die Reise muss nach ihrem Beginn enden',
+    'trip.tooFar': { one: 'Vorhersagen reichen nur über den nächsten Tag', other: 'Vorhersagen reichen nur über die nächsten {count} Tage' },
+    'trip.noForecast': 'Für den {date} gibt es noch keine Vorhersage',
+
+    // Jacket tiers
+    'jacket.heavy': 'Warme Jacke oder Mantel',
+    'jacket.medium': 'Übergangsjacke',
+    'jacket.maybe': 'Leichte Schicht, für alle Fälle',
+    'jacket.light': 'Leichte Jacke oder Pullover',
+
+    // Reasoning
+    'reason.veryCold': 'Es sind {temp}',
+    'reason.veryColdWindy': 'Es sind {temp} und windig ({wind})',
+    'reason.cold': 'Es sind {temp}',
+    'reason.coldWindy': 'Es sind {temp} und etwas Wind ({wind})',
+    'reason.cool': 'Es ist kühl bei {temp}',
+    'reason.coolWindy': 'Es ist kühl bei {temp}, mit etwas Wind ({wind})',
+    'reason.warm': 'Es sind angenehme {temp}',
+    'reason.droppingTo': 'später nur noch {temp}',
+    'reason.coolerLater': 'später wird es kühler',
+    'reason.stayingWarm': 'und es bleibt den ganzen Tag warm',
+    'reason.borderline': 'genau an der Grenze zum Jackenwetter',
+    'reason.feelsLikeWind': 'im Wind gefühlt {temp}',
+    'reason.feelsLikeGust': 'in den Böen gefühlt {temp}',
+    'reason.feelsLikeDamp': 'in der feuchten Luft gefühlt {temp}',
+    'reason.feelsLikeHeat': 'bei der Schwüle gefühlt {temp}',
+    'reason.localsBundleUp': 'aber im {month} sind es hier meist um die {temp}, deshalb ziehen sich die Leute bei dieser Temperatur warm an',
+    'reason.usedToCold': 'und die Leute hier sind viel Kälteres gewohnt (im {month} im Schnitt {temp})',
+    'reason.runCold': 'und du frierst leicht',
+    'reason.runWarm': 'und dir wird schnell warm',
+    'reason.coldLately': 'Zuletzt war es sehr kalt, daher fühlt es sich wärmer an als sonst',
+    'reason.warmLately': 'Zuletzt war es sehr warm, daher fühlt es sich kühler an als sonst',
+
+    // Comfort model effects
+    'comfort.wind': 'im Wind',
+    'comfort.gust': 'in den Böen',
+    'comfort.damp': 'in der feuchten Luft',
+    'comfort.heat': 'bei der Schwüle',
+
+    // Climate classes (ClimateNormals.classify)
+    'climate.E': 'polar',
+    'climate.A': 'tropisch',
+    'climate.Ca': 'gemäßigt mit heißen Sommern',
+    'climate.Cb': 'gemäßigt mit warmen Sommern',
+    'climate.Cc': 'gemäßigt mit kühlen Sommern',
+    'climate.Da': 'kontinental mit heißen Sommern',
+    'climate.Db': 'kontinental mit warmen Sommern',
+    'climate.Dc': 'kontinental mit kühlen Sommern',
+    'climate.Dd': 'kontinental mit sehr kalten Wintern',
+
+    // Margin
+    'margin.at': 'Genau an deiner Jackengrenze',
+    'margin.below': '{value} unter deiner Jackengrenze',
+    'margin.above': '{value} über deiner Jackengrenze',
+
+    // Rain, snow and ice
+    'rain.cold': 'Regen erwartet - am besten eine wasserdichte Jacke',
+    'rain.cool': 'Regen erwartet - leichter Regenschutz empfohlen',
+    'rain.warm': 'Regen erwartet - zum Warmhalten keine Jacke nötig, aber denk an Regenschutz',
+    'winter.snowingNow': 'Es schneit - zieh einen gefütterten, wasserdichten Mantel und wasserdichte Stiefel an',
+    'winter.snowingNowAmount': 'Es schneit, etwa {amount} erwartet - zieh einen gefütterten, wasserdichten Mantel und wasserdichte Stiefel an',
+    'winter.snowFrom': 'Schnee ab {time} - zieh einen gefütterten, wasserdichten Mantel und wasserdichte Stiefel an',
+    'winter.snowFromAmount': 'Schnee ab {time}, etwa {amount} erwartet - zieh einen gefütterten, wasserdichten Mantel und wasserdichte Stiefel an',
+    'winter.freezingRain': 'Gefrierender Regen wahrscheinlich - Gehwege und Straßen werden glatt, also Stiefel mit gutem Profil anziehen',
+    'winter.icy': 'Nasser Boden um den Gefrierpunkt - Vorsicht vor Glätte, Stiefel mit gutem Profil anziehen',
+
+    // Owned jacket choice
+    'owned.rainOnly': 'warm genug ohne Jacke, aber {name} hält den Regen ab',
+    'owned.match': '{name} hat heute genau die richtige Wärme',
+    'owned.tooLightMedium': '{name} ist deine wärmste Option, eine Übergangsjacke wäre aber besser',
+    'owned.tooLightHeavy': '{name} ist deine wärmste Option, eine warme Jacke wäre aber besser',
+    'owned.tooWarm': '{name} ist etwas wärmer als nötig, passt aber am besten',
+    'owned.snowWaterproof': 'wasserdicht für den Schnee',
+    'owned.snowNotWaterproof': 'nicht wasserdicht, sie wird also nass',
+    'owned.rainWaterproof': 'wasserdicht für den Regen',
+    'owned.rainNotWaterproof': 'nicht wasserdicht, also Regenschirm mitnehmen',
+    'owned.windproof': 'winddicht gegen die Böen',
+    'owned.notWindproof': 'nicht winddicht, also mehrere Schichten tragen',
+
+    // Outfit items
+    'item.thermal': 'Thermo- oder Langarm-Unterhemd',
+    'item.longSleeve': 'Langarmshirt',
+    'item.tShirt': 'T-Shirt',
+    'item.sweaterOrFleece': 'Pullover oder Fleece',
+    'item.lightSweater': 'Leichter Pullover',
+    'item.sweaterForLater': 'Leichter Pullover für später',
+    'item.rainShell': 'Verstaubare Regenjacke',
+    'item.hood': 'Kapuze',
+    'item.umbrella': 'Regenschirm',
+    'item.snowBoots': 'Wasserdichte, gefütterte Stiefel',
+    'item.gripBoots': 'Stiefel mit gutem Profil',
+    'item.hat': 'Mütze',
+    'item.gloves': 'Handschuhe',
+    'item.scarf': 'Schal',
+    'item.sunglasses': 'Sonnenbrille',
+
+    // Outfit reasons
+    'outfit.feelsLike': 'Gefühlt {temp}',
+    'outfit.coolAt': 'Kühl bei {temp}',
+    'outfit.comfortableAt': 'Angenehm bei {temp}',
+    'outfit.trapsHeat': 'Hält die Wärme unter dem Mantel',
+    'outfit.takeOffIndoors': 'Extra Wärme, die du drinnen ausziehen kannst',
+    'outfit.colderLater': 'Später wird es kälter',
+    'outfit.eveningsCool': 'Abends kühlt es schnell ab',
+    'outfit.borderline': 'Grenzwertig, also lieber mitnehmen',
+    'outfit.neededAt': 'Nötig bei {temp}',
+    'outfit.snowproof': 'gefüttert und wasserdicht für den Schnee',
+    'outfit.waterproof': 'am besten wasserdicht',
+    'outfit.windproof': 'winddicht hilft bei {wind}',
+    'outfit.rainNoJacket': 'Warm genug ohne Jacke, aber Regen ist wahrscheinlich',
+    'outfit.tooWindyForUmbrella': 'Zu windig für einen Schirm ({wind})',
+    'outfit.rainLikely': 'Regen ist wahrscheinlich',
+    'outfit.snowOnGround': 'Schnee auf dem Boden',
+    'outfit.freezingRain': 'Gefrierender Regen',
+    'outfit.icy': 'Glatte Flächen um {temp}',
+    'outfit.snow': 'Schnee',
+    'outfit.coldAndWindy': 'Kalt und windig',
+    'outfit.headHeat': 'Über den Kopf geht viel Wärme verloren',
+    'outfit.windOnNeck': 'Hält den Wind vom Hals fern',
+    'outfit.bitterCold': 'Klirrende Kälte',
+    'outfit.clearSkies': 'Klarer Himmel',
+
+    // Timeline
+    'timeline.allDayYES': 'Jacke für die nächsten 24 Stunden nötig',
+    'timeline.allDayMAYBE': 'Grenzwertig für die nächsten 24 Stunden',
+    'timeline.allDayNO': 'Keine Jacke für die nächsten 24 Stunden nötig',
+    'timeline.afterYES': 'Ab {time} Jacke nötig',
+    'timeline.afterMAYBE': 'Ab {time} grenzwertig',
+    'timeline.afterNO': 'Ab {time} keine Jacke nötig',
+    'timeline.jacketAfter': 'Ab {time}: {jacket}',
+
+    // Commute legs
+    'commute.thisMorning': 'heute Morgen',
+    'commute.thisAfternoon': 'heute Nachmittag',
+    'commute.thisEvening': 'heute Abend',
+    'commute.tomorrowMorning': 'morgen früh',
+    'commute.tomorrowAfternoon': 'morgen Nachmittag',
+    'commute.tomorrowEvening': 'morgen Abend',
+    'commute.home': 'auf dem Heimweg',
+    'commute.homeTomorrow': 'morgen auf dem Heimweg',
+    'commute.fine': '{when} passt es',
+    'commute.borderline': '{when} grenzwertig bei {temp}',
+    'commute.needed': '{when} {conditions}',
+    'commute.windy': 'windig',
+    'commute.rainy': 'regnerisch',
+
+    // Weather conditions
+    'conditions.Clear': 'Klar',
+    'conditions.Clouds': 'Bewölkt',
+    'conditions.Drizzle': 'Nieselregen',
+    'conditions.Fog': 'Nebel',
+    'conditions.Freezing Rain': 'Gefrierender Regen',
+    'conditions.Rain': 'Regen',
+    'conditions.Snow': 'Schnee',
+    'conditions.Thunderstorm': 'Gewitter',
+    'conditions.Unknown': 'Unbekannt',
+
+    // Places
+    'place.near': 'Bei {name}',
+
+    // Command line
+    'cli.weather': '{temp} (gefühlt {feelsLike}), {conditions}; in 6 Stunden {later}'
+});
@@ -0,0 +1,381 @@
+/**
+ * Spanish messages (keys and placeholders as in the English catalog, js/i18n.js)
+ */
+
+I18n.register('es', {
+    // Page
+    'page.title': '¿Debería llevar una',
+    'page.jacket': 'CHAQUETA?',
+    'page.where': '¿Dónde estás?',
+    'page.searchPlaceholder': 'Escribe una ciudad',
+    'page.useMyLocation': 'Usar mi ubicación',
+    'page.leave': 'Salida',
+    'page.return': 'Regreso',
+    'page.myJackets': 'Mis chaquetas',
+    'page.planTrip': 'Planear un viaje',
+    'page.savedPlaces': 'Lugares guardados',
+    'page.language': 'Idioma',
+    'page.toggleGender': 'Cambiar género',
+    'page.toggleMusic': 'Activar o silenciar la música',
+    'page.done': 'Listo',
+    'page.remove': 'Quitar',
+    'page.open': 'Abrir',
+    'search.results': { one: '{count} lugar encontrado', other: '{count} lugares encontrados' },
+    'search.noResults': 'No se encontró ningún lugar',
+    'moodboard.hint': 'Usa las flechas para mover esta chaqueta por el tablero',
+
+    // Carousel page
+    'carousel.checking': 'Consultando el tiempo...',
+    'carousel.answerTitle': '¿Deberías llevar una',
+    'carousel.jacket': 'CHAQUETA',
+    'carousel.enterLocation': 'Escribe tu ubicación',
+    'carousel.searchPlaceholder': 'Ciudad o código postal',
+    'carousel.useCurrentLocation': 'o usa mi ubicación actual',
+    'carousel.previous': 'Chaqueta anterior',
+    'carousel.next': 'Chaqueta siguiente',
+    'carousel.changeLocation': 'Cambiar ubicación',
+    'carousel.oops': 'Vaya',
+    'carousel.wentWrong': 'ALGO SALIÓ MAL',
+    'carousel.tryAgain': 'Reintentar',
+
+    // Result
+    'answer.YES': 'SÍ',
+    'answer.MAYBE': 'QUIZÁS',
+    'answer.NO': 'NO',
+    'result.now': 'Ahora',
+    'result.later': 'Más tarde',
+    'result.wind': 'Viento',
+    'result.toggleUnits': 'Cambiar °F/°C',
+    'result.windUnits': 'Unidades de viento',
+    'result.savePlace': 'Guardar lugar',
+    'result.saved': 'Guardado ✓',
+    'result.checkAnother': 'Consultar otro lugar',
+    'result.wearYour': 'Ponte tu {name}',
+    'result.localTime': '{place} · {time} hora local',
+    'result.asOf': 'a las {time}',
+    'result.asOfDay': 'el {day} a las {time}',
+    'result.offline': 'Sin conexión - {asOf}',
+    'result.simulated': 'Simulación: {name}',
+    'result.customScenario': 'escenario personalizado',
+    'result.leaveAt': 'Salida {time}',
+    'result.returnAt': 'Regreso {time}',
+    'result.noJacket': 'Sin chaqueta',
+    'result.noJacketNeeded': 'No hace falta chaqueta',
+    'result.itIs': 'Hace {temp}',
+    'result.rainExpected': 'Se espera lluvia',
+
+    // Outfit checklist slots
+    'slot.base': 'Base',
+    'slot.mid': 'Media',
+    'slot.outer': 'Exterior',
+    'slot.bring': 'Lleva',
+
+    // Feedback
+    'feedback.question': '¿Qué tal se sintió en realidad?',
+    'feedback.tooCold': 'Demasiado frío',
+    'feedback.justRight': 'Perfecto',
+    'feedback.tooWarm': 'Demasiado calor',
+    'feedback.offsetCold': 'Ajuste personal: {offset} (eres friolero)',
+    'feedback.offsetWarm': 'Ajuste personal: {offset} (eres caluroso)',
+    'feedback.reset': 'Restablecer',
+
+    // Why this answer?
+    'explain.title': '¿Por qué esta respuesta?',
+    'explain.airTemp': 'Temperatura del aire',
+    'explain.effect.wind': 'Sensación por el viento',
+    'explain.effect.gust': 'Ráfagas',
+    'explain.effect.damp': 'Aire húmedo',
+    'explain.effect.heat': 'Humedad (índice de calor)',
+    'explain.feelsLike': 'Sensación térmica',
+    'explain.baseLine': 'Límite de chaqueta estándar',
+    'explain.climate': 'Clima local',
+    'explain.climateNormal': 'Clima local (normal de {month}: {temp})',
+    'explain.seasonal': 'Tiempo reciente',
+    'explain.personal': 'Tus valoraciones',
+    'explain.adjustedLine': 'Tu límite de chaqueta',
+    'explain.thresholds': 'Límites tras los ajustes',
+    'explain.threshold.heavy': 'Chaqueta gruesa por debajo de {temp}',
+    'explain.threshold.light': 'Chaqueta por debajo de {temp}, quizá a menos de {band}',
+    'explain.commute': 'Tienes horarios de trayecto, así que decide el tramo más frío: {leg}',
+    'explain.rule.heavy': 'Sensación de {temp}, por debajo del límite de chaqueta gruesa de {line}: {answer}',
+    'explain.rule.medium': 'Sensación de {temp}, por debajo del límite de chaqueta media de {line}: {answer}',
+    'explain.rule.borderline': 'Sensación de {temp}, a menos de {band} del límite de chaqueta de {line}: {answer}',
+    'explain.rule.light': 'Sensación de {temp}, por debajo del límite de chaqueta de {line}: {answer}',
+    'explain.rule.none': 'Sensación de {temp}, al menos {band} por encima del límite de chaqueta de {line}: {answer}',
+    'explain.whatIf': '¿Y si...?',
+    'explain.temperature': 'Temperatura',
+    'explain.wind': 'Viento',
+    'explain.reset': 'Volver al tiempo real',
+
+    // Scenario simulator
+    'simulator.title': 'Simular el tiempo',
+    'simulator.preset': 'Escenario',
+    'simulator.custom': 'Escenario personalizado',
+    'simulator.place': 'Lugar',
+    'simulator.conditions': 'Condiciones',
+    'simulator.temp': 'Temperatura (°F)',
+    'simulator.later': 'En 6 horas (°F)',
+    'simulator.wind': 'Viento (mph)',
+    'simulator.gusts': 'Ráfagas (mph)',
+    'simulator.humidity': 'Humedad (%)',
+    'simulator.precip': 'Probabilidad de precipitación (%)',
+    'simulator.hour': 'Hora (0-23)',
+    'simulator.month': 'Mes (1-12)',
+    'simulator.recent': 'Últimos 30 días (°F)',
+    'simulator.personal': 'Ajuste personal (°F)',
+    'simulator.shareLink': 'Enlace para compartir',
+    'simulator.run': 'Simular',
+    'simulator.copy': 'Copiar enlace',
+    'simulator.condition.clear': 'Despejado',
+    'simulator.condition.clouds': 'Nublado',
+    'simulator.condition.fog': 'Niebla',
+    'simulator.condition.drizzle': 'Llovizna',
+    'simulator.condition.rain': 'Lluvia',
+    'simulator.condition.snow': 'Nieve',
+    'simulator.condition.freezing-rain': 'Lluvia helada',
+    'simulator.condition.thunderstorm': 'Tormenta',
+    'simulator.scenario.chicago-windy-fall-evening': 'Tarde de otoño con viento en Chicago',
+    'simulator.scenario.miami-humid-drizzle': 'Llovizna húmeda en Miami',
+    'simulator.scenario.boston-borderline-morning': 'Mañana de primavera dudosa en Boston',
+    'simulator.scenario.seattle-rainy-commute': 'Trayecto lluvioso de noviembre en Seattle',
+    'simulator.scenario.minneapolis-snowy-morning': 'Mañana nevada de enero en Minneapolis',
+    'simulator.scenario.toronto-freezing-rain': 'Lluvia helada en Toronto',
+    'simulator.scenario.phoenix-cool-desert-night': 'Noche fresca del desierto en Phoenix',
+    'simulator.scenario.denver-cold-front': 'Tarde cálida antes de un frente frío en Denver',
+
+    // Errors
+    'error.noGeolocation': 'Tu navegador no puede compartir tu ubicación. Escríbela a mano.',
+    'error.locationDenied': 'Acceso a la ubicación denegado. Escribe tu ubicación a mano.',
+    'error.locationUnavailable': 'Ubicación no disponible. Escribe tu ubicación a mano.',
+    'error.locationTimeout': 'La solicitud de ubicación tardó demasiado. Inténtalo de nuevo.',
+    'error.location': 'No se pudo obtener tu ubicación. Escríbela a mano.',
+    'error.noLocation': 'No hay ninguna ubicación',
+    'error.weather': 'No se pudieron obtener los datos del tiempo. Inténtalo de nuevo.',
+    'error.offline': 'Estás sin conexión y no has consultado {name} antes.',
+    'error.noPlace': 'No se encontró ningún lugar para «{name}».',
+    'error.apiKey': 'Añade tu clave de API de {provider}.',
+    'error.apiKeyRejected': '{provider} rechazó la clave de API.',
+    'error.noProvider': 'No hay ningún proveedor del tiempo disponible.',
+    'error.request': 'Falló la solicitud a la API del tiempo.',
+    'error.search': 'Falló la búsqueda de lugares.',
+    'error.nwsCoverage': 'El National Weather Service solo cubre Estados Unidos.',
+    'error.nwsNoForecast': 'El National Weather Service no devolvió ningún pronóstico.',
+    'error.rateLimit.minute': 'Se alcanzó el límite de la API del tiempo para este minuto. Inténtalo más tarde.',
+    'error.rateLimit.hour': 'Se alcanzó el límite de la API del tiempo para esta hora. Inténtalo más tarde.',
+    'error.rateLimit.day': 'Se alcanzó el límite de la API del tiempo por hoy. Inténtalo más tarde.',
+
+    // Wardrobe
+    'wardrobe.namePlaceholder': 'Nombre de la chaqueta',
+    'wardrobe.light': 'Ligera',
+    'wardrobe.medium': 'Media',
+    'wardrobe.heavy': 'Gruesa',
+    'wardrobe.waterproof': 'Impermeable',
+    'wardrobe.windproof': 'Cortavientos',
+    'wardrobe.add': 'Añadir',
+    'wardrobe.export': 'Exportar JSON',
+    'wardrobe.import': 'Importar JSON',
+    'wardrobe.empty': 'Todavía no hay chaquetas',
+    'wardrobe.traitLight': 'ligera',
+    'wardrobe.traitMedium': 'media',
+    'wardrobe.traitHeavy': 'gruesa',
+    'wardrobe.traitWaterproof': 'impermeable',
+    'wardrobe.traitWindproof': 'cortavientos',
+    'wardrobe.importFailed': 'No se pudo importar: {reason}',
+    'wardrobe.invalid': 'Una chaqueta necesita un nombre y un nivel de abrigo: ligera, media o gruesa',
+    'wardrobe.notList': 'Se esperaba una lista de chaquetas',
+    'wardrobe.noneValid': 'No se encontró ninguna chaqueta válida',
+
+    // Saved places
+    'dashboard.empty': 'Todavía no hay lugares guardados. Consulta un lugar y pulsa «Guardar lugar».',
+    'dashboard.error': 'No se pudo obtener el tiempo de tus lugares guardados. Inténtalo de nuevo.',
+    'dashboard.label': 'Etiqueta para {name}',
+    'dashboard.feelsLike': '{temp}, sensación de {feelsLike}',
+    'favorites.invalid': 'Un lugar guardado necesita un nombre y coordenadas',
+    'favorites.full': { one: 'Puedes guardar {count} lugar como máximo', other: 'Puedes guardar {count} lugares como máximo' },
+
+    // Trip planner
+    'trip.destination': 'Destino',
+    'trip.plan': 'Planear',
+    'trip.pickDestination': 'Elige un destino de la lista',
+    'trip.day': 'Día',
+    'trip.lowHigh': 'Mín. / Máx.',
+    'trip.jacket': '¿Chaqueta?',
+    'trip.what': 'Cuál',
+    'trip.rain': 'lluvia',
+    'trip.snow': 'nieve',
+    'trip.ice': 'hielo',
+    'trip.packingList': 'Qué llevar',
+    'trip.packLight': 'Nada especial: ¡viaja ligero!',
+    'trip.days': { one: '{used} de {count} día', other: '{used} de {count} días' },
+    'trip.neededOn': 'Necesaria {days}',
+    'trip.layers': { one: 'Hasta {count} capa', other: 'Hasta {count} capas' },
+    'trip.coldestDay': 'Para el día más frío',
+    'trip.rainGear': 'Paraguas o chubasquero',
+    'trip.rainOn': 'Probable lluvia {days}',
+    'trip.snowOn': 'Nieve {days}',
+    'trip.icyOn': 'Hielo {days}',
+    'trip.usefulOn': 'Útil {days}',
+    'trip.noDates': 'Elige una fecha de inicio y otra de fin',
+    'trip.endBeforeStart': 'El viaje tiene que terminar después de empezar',
+    'trip.tooFar': { one: 'Los pronósticos solo cubren el próximo día', other: 'Los pronósticos solo cubren los próximos {count} días' },
+    'trip.noForecast': 'Todavía no hay pronóstico para el {date}',
+
+    // Jacket tiers
+    'jacket.heavy': 'Chaqueta gruesa o abrigo',
+    'jacket.medium': 'Chaqueta de entretiempo',
+    'jacket.maybe': 'Una capa ligera, por si acaso',
+    'jacket.light': 'Chaqueta ligera o jersey',
+
+    // Reasoning
+    'reason.veryCold': 'Hace {temp}',
+    'reason.veryColdWindy': 'Hace {temp} y viento ({wind})',
+    'reason.cold': 'Hace {temp}',
+    'reason.coldWindy': 'Hace {temp} y algo de brisa ({wind})',
+    'reason.cool': 'Hace fresco, {temp}',
+    'reason.coolWindy': 'Hace fresco, {temp}, con algo de viento ({wind})',
+    'reason.warm': 'Hace {temp} y se está a gusto',
+    'reason.droppingTo': 'bajará a {temp} más tarde',
+    'reason.coolerLater': 'refrescará más tarde',
+    'reason.stayingWarm': 'y seguirá templado todo el día',
+    'reason.borderline': 'justo en el límite para llevar chaqueta',
+    'reason.feelsLikeWind': 'con el viento se sienten {temp}',
+    'reason.feelsLikeGust': 'con las rachas se sienten {temp}',
+    'reason.feelsLikeDamp': 'con la humedad del aire se sienten {temp}',
+    'reason.feelsLikeHeat': 'con la humedad se sienten {temp}',
+    'reason.localsBundleUp': 'pero aquí {month} suele rondar los {temp}, así que la gente se abriga con esta temperatura',
+    'reason.usedToCold': 'y aquí la gente está acostumbrada a mucho más frío ({month} suele promediar {temp})',
+    'reason.runCold': 'y tú sueles ser friolero',
+    'reason.runWarm': 'y tú sueles ser caluroso',
+    'reason.coldLately': 'Ha hecho mucho frío estos días, así que se siente más templado de lo normal',
+    'reason.warmLately': 'Ha hecho mucho calor estos días, así que se siente más fresco de lo normal',
+
+    // Comfort model effects
+    'comfort.wind': 'con el viento',
+    'comfort.gust': 'con las rachas',
+    'comfort.damp': 'con el aire húmedo',
+    'comfort.heat': 'con la humedad',
+
+    // Climate classes (ClimateNormals.classify)
+    'climate.E': 'polar',
+    'climate.A': 'tropical',
+    'climate.Ca': 'templado con veranos calurosos',
+    'climate.Cb': 'templado con veranos cálidos',
+    'climate.Cc': 'templado con veranos frescos',
+    'climate.Da': 'continental con veranos calurosos',
+    'climate.Db': 'continental con veranos cálidos',
+    'climate.Dc': 'continental con veranos frescos',
+    'climate.Dd': 'continental con inviernos muy fríos',
+
+    // Margin
+    'margin.at': 'Justo en tu límite de chaqueta',
+    'margin.below': '{value} por debajo de tu límite de chaqueta',
+    'margin.above': '{value} por encima de tu límite de chaqueta',
+
+    // Rain, snow and ice
+    'rain.cold': 'Se espera lluvia: mejor una chaqueta impermeable',
+    'rain.cool': 'Se espera lluvia: lleva algo ligero para la lluvia',
+    'rain.warm': 'Se espera lluvia: no hace falta chaqueta por el frío, pero lleva algo para la lluvia',
+    'winter.snowingNow': 'Está nevando: ponte un abrigo acolchado e impermeable y botas impermeables',
+    'winter.snowingNowAmount': 'Está nevando, se esperan unos {amount}: ponte un abrigo acolchado e impermeable y botas impermeables',
+    'winter.snowFrom': 'Nieve desde las {time}: ponte un abrigo acolchado e impermeable y botas impermeables',
+    'winter.snowFromAmount': 'Nieve desde las {time}, se esperan unos {amount}: ponte un abrigo acolchado e impermeable y botas impermeables',
+    'winter.freezingRain': 'Probable lluvia helada: aceras y carreteras estarán heladas, así que usa botas con buen agarre',
+    'winter.icy': 'Suelo mojado cerca de cero grados: cuidado con el hielo y usa botas con buen agarre',
+
+    // Owned jacket choice
+    'owned.rainOnly': 'hace calor para ir sin chaqueta, pero {name} te protege de la lluvia',
+    'owned.match': '{name} abriga lo justo para hoy',
+    'owned.tooLightMedium': '{name} es lo que más abriga de lo que tienes, aunque una chaqueta de entretiempo sería mejor',
+    'owned.tooLightHeavy': '{name} es lo que más abriga de lo que tienes, aunque una chaqueta gruesa sería mejor',
+    'owned.tooWarm': '{name} abriga un poco más de lo necesario, pero es lo que más se ajusta',
+    'owned.snowWaterproof': 'impermeable para la nieve',
+    'owned.snowNotWaterproof': 'no es impermeable, así que se mojará',
+    'owned.rainWaterproof': 'impermeable para la lluvia',
+    'owned.rainNotWaterproof': 'no es impermeable, así que lleva paraguas',
+    'owned.windproof': 'cortavientos para las rachas',
+    'owned.notWindproof': 'no corta el viento, así que ponte capas',
+
+    // Outfit items
+    'item.thermal': 'Camiseta térmica o de manga larga',
+    'item.longSleeve': 'Camisa de manga larga',
+    'item.tShirt': 'Camiseta',
+    'item.sweaterOrFleece': 'Jersey o forro polar',
+    'item.lightSweater': 'Jersey fino',
+    'item.sweaterForLater': 'Jersey fino para más tarde',
+    'item.rainShell': 'Chubasquero plegable',
+    'item.hood': 'Capucha',
+    'item.umbrella': 'Paraguas',
+    'item.snowBoots': 'Botas impermeables y forradas',
+    'item.gripBoots': 'Botas con buen agarre',
+    'item.hat': 'Gorro',
+    'item.gloves': 'Guantes',
+    'item.scarf': 'Bufanda',
+    'item.sunglasses': 'Gafas de sol',
+
+    // Outfit reasons
+    'outfit.feelsLike': 'Sensación de {temp}',
+    'outfit.coolAt': 'Fresco a {temp}',
+    'outfit.comfortableAt': 'Agradable a {temp}',
+    'outfit.trapsHeat': 'Retiene el calor bajo el abrigo',
+    'outfit.takeOffIndoors': 'Abrigo extra que puedes quitarte dentro',
+    'outfit.colderLater': 'Más tarde hará más frío',
+    'outfit.eveningsCool': 'Por la tarde refresca rápido',
+    'outfit.borderline': 'Está en el límite, así que llévala',
+    'outfit.neededAt': 'Necesaria a {temp}',
+    'outfit.snowproof': 'acolchada e impermeable para la nieve',
+    'outfit.waterproof': 'mejor impermeable',
+    'outfit.windproof': 'si corta el viento, mejor con {wind}',
+    'outfit.rainNoJacket': 'No hace falta chaqueta, pero probablemente llueva',
+    'outfit.tooWindyForUmbrella': 'Demasiado viento para un paraguas ({wind})',
+    'outfit.rainLikely': 'Probablemente llueva',
+    'outfit.snowOnGround': 'Nieve en el suelo',
+    'outfit.freezingRain': 'Lluvia helada',
+    'outfit.icy': 'Superficies heladas cerca de {temp}',
+    'outfit.snow': 'Nieve',
+    'outfit.coldAndWindy': 'Frío y viento',
+    'outfit.headHeat': 'La cabeza pierde mucho calor',
+    'outfit.windOnNeck': 'Protege el cuello del viento',
+    'outfit.bitterCold': 'Frío intenso',
+    'outfit.clearSkies': 'Cielo despejado',
+
+    // Timeline
+    'timeline.allDayYES': 'Chaqueta necesaria las próximas 24 horas',
+    'timeline.allDayMAYBE': 'En el límite las próximas 24 horas',
+    'timeline.allDayNO': 'Sin chaqueta las próximas 24 horas',
+    'timeline.afterYES': 'Chaqueta necesaria desde las {time}',
+    'timeline.afterMAYBE': 'En el límite desde las {time}',
+    'timeline.afterNO': 'Sin chaqueta desde las {time}',
+    'timeline.jacketAfter': '{jacket} desde las {time}',
+
+    // Commute legs
+    'commute.thisMorning': 'esta mañana',
+    'commute.thisAfternoon': 'esta tarde',
+    'commute.thisEvening': 'esta noche',
+    'commute.tomorrowMorning': 'mañana por la mañana',
+    'commute.tomorrowAfternoon': 'mañana por la tarde',
+    'commute.tomorrowEvening': 'mañana por la noche',
+    'commute.home': 'de vuelta a casa',
+    'commute.homeTomorrow': 'de vuelta a casa mañana',
+    'commute.fine': 'bien {when}',
+    'commute.borderline': '{when}, en el límite con {temp}',
+    'commute.needed': '{when}, {conditions}',
+    'commute.windy': 'con viento',
+    'commute.rainy': 'con lluvia',
+
+    // Weather conditions
+    'conditions.Clear': 'Despejado',
+    'conditions.Clouds': 'Nublado',
+    'conditions.Drizzle': 'Llovizna',
+    'conditions.Fog': 'Niebla',
+    'conditions.Freezing Rain': 'Lluvia helada',
+    'conditions.Rain': 'Lluvia',
+    'conditions.Snow': 'Nieve',
+    'conditions.Thunderstorm': 'Tormenta',
+    'conditions.Unknown': 'Desconocido',
+
+    // Places
+    'place.near': 'Cerca de {name}',
+
+    // Command line
+    'cli.weather': '{temp} (sensación de {feelsLike}), {conditions}; {later} dentro de 6 horas'
+});
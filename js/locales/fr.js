@@ -0,0 +1,381 @@
+/**
+ * French messages (keys and placeholders as in the English catalog, js/i18n.js)
+ */
+
+I18n.register('fr', {
+    // Page
+    'page.title': 'Dois-je prendre une',
+    'page.jacket': 'VESTE ?',
+    'page.where': 'Où êtes-vous ?',
+    'page.searchPlaceholder': 'Nom de la ville',
+    'page.useMyLocation': 'Utiliser ma position',
+    'page.leave': 'Départ',
+    'page.return': 'Retour',
+    'page.myJackets': 'Mes vestes',
+    'page.planTrip': 'Préparer un voyage',
+    'page.savedPlaces': 'Lieux enregistrés',
+    'page.language': 'Langue',
+    'page.toggleGender': 'Changer de genre',
+    'page.toggleMusic': 'Activer ou couper la musique',
+    'page.done': 'Terminé',
+    'page.remove': 'Supprimer',
+    'page.open': 'Ouvrir',
+    'search.results': { one: '{count} lieu trouvé', other: '{count} lieux trouvés' },
+    'search.noResults': 'Aucun lieu trouvé',
+    'moodboard.hint': 'Utilisez les flèches pour déplacer cette veste sur le tableau',
+
+    // Carousel page
+    'carousel.checking': 'Vérification de la météo...',
+    'carousel.answerTitle': 'Faut-il prendre une',
+    'carousel.jacket': 'VESTE',
+    'carousel.enterLocation': 'Indiquez votre position',
+    'carousel.searchPlaceholder': 'Ville ou code postal',
+    'carousel.useCurrentLocation': 'ou utiliser ma position actuelle',
+    'carousel.previous': 'Veste précédente',
+    'carousel.next': 'Veste suivante',
+    'carousel.changeLocation': 'Changer de lieu',
+    'carousel.oops': 'Oups',
+    'carousel.wentWrong': 'UN PROBLÈME EST SURVENU',
+    'carousel.tryAgain': 'Réessayer',
+
+    // Result
+    'answer.YES': 'OUI',
+    'answer.MAYBE': 'PEUT-ÊTRE',
+    'answer.NO': 'NON',
+    'result.now': 'Maintenant',
+    'result.later': 'Plus tard',
+    'result.wind': 'Vent',
+    'result.toggleUnits': 'Basculer °F/°C',
+    'result.windUnits': 'Unités de vent',
+    'result.savePlace': 'Enregistrer le lieu',
+    'result.saved': 'Enregistré ✓',
+    'result.checkAnother': 'Vérifier un autre lieu',
+    'result.wearYour': 'Mettez votre {name}',
+    'result.localTime': '{place} · {time} heure locale',
+    'result.asOf': 'à {time}',
+    'result.asOfDay': 'le {day} à {time}',
+    'result.offline': 'Hors ligne - {asOf}',
+    'result.simulated': 'Simulation : {name}',
+    'result.customScenario': 'scénario personnalisé',
+    'result.leaveAt': 'Départ {time}',
+    'result.returnAt': 'Retour {time}',
+    'result.noJacket': 'Pas de veste',
+    'result.noJacketNeeded': 'Pas besoin de veste',
+    'result.itIs': 'Il fait {temp}',
+    'result.rainExpected': 'Pluie prévue',
+
+    // Outfit checklist slots
+    'slot.base': 'Base',
+    'slot.mid': 'Milieu',
+    'slot.outer': 'Dessus',
+    'slot.bring': 'À prendre',
+
+    // Feedback
+    'feedback.question': 'Comment l’avez-vous ressenti ?',
+    'feedback.tooCold': 'Trop froid',
+    'feedback.justRight': 'Parfait',
+    'feedback.tooWarm': 'Trop chaud',
+    'feedback.offsetCold': 'Réglage personnel : {offset} (vous êtes frileux)',
+    'feedback.offsetWarm': 'Réglage personnel : {offset} (vous n’êtes pas frileux)',
+    'feedback.reset': 'Réinitialiser',
+
+    // Why this answer?
+    'explain.title': 'Pourquoi cette réponse ?',
+    'explain.airTemp': 'Température de l\'air',
+    'explain.effect.wind': 'Refroidissement éolien',
+    'explain.effect.gust': 'Rafales',
+    'explain.effect.damp': 'Air humide',
+    'explain.effect.heat': 'Humidité (indice de chaleur)',
+    'explain.feelsLike': 'Ressenti',
+    'explain.baseLine': 'Seuil de veste standard',
+    'explain.climate': 'Climat local',
+    'explain.climateNormal': 'Climat local (normale de {month} : {temp})',
+    'explain.seasonal': 'Météo récente',
+    'explain.personal': 'Vos retours',
+    'explain.adjustedLine': 'Votre seuil de veste',
+    'explain.thresholds': 'Seuils après ajustements',
+    'explain.threshold.heavy': 'Veste chaude sous {temp}',
+    'explain.threshold.light': 'Veste sous {temp}, peut-être à moins de {band}',
+    'explain.commute': 'Vos horaires de trajet sont définis, donc le trajet le plus froid décide : {leg}',
+    'explain.rule.heavy': 'Ressenti {temp}, sous le seuil de veste chaude de {line} : {answer}',
+    'explain.rule.medium': 'Ressenti {temp}, sous le seuil de veste mi-saison de {line} : {answer}',
+    'explain.rule.borderline': 'Ressenti {temp}, à moins de {band} du seuil de veste de {line} : {answer}',
+    'explain.rule.light': 'Ressenti {temp}, sous le seuil de veste de {line} : {answer}',
+    'explain.rule.none': 'Ressenti {temp}, au moins {band} au-dessus du seuil de veste de {line} : {answer}',
+    'explain.whatIf': 'Et si...',
+    'explain.temperature': 'Température',
+    'explain.wind': 'Vent',
+    'explain.reset': 'Revenir à la météo réelle',
+
+    // Scenario simulator
+    'simulator.title': 'Simuler la météo',
+    'simulator.preset': 'Scénario',
+    'simulator.custom': 'Scénario personnalisé',
+    'simulator.place': 'Lieu',
+    'simulator.conditions': 'Conditions',
+    'simulator.temp': 'Température (°F)',
+    'simulator.later': 'Dans 6 heures (°F)',
+    'simulator.wind': 'Vent (mph)',
+    'simulator.gusts': 'Rafales (mph)',
+    'simulator.humidity': 'Humidité (%)',
+    'simulator.precip': 'Risque de précipitations (%)',
+    'simulator.hour': 'Heure (0-23)',
+    'simulator.month': 'Mois (1-12)',
+    'simulator.recent': '30 derniers jours (°F)',
+    'simulator.personal': 'Ajustement personnel (°F)',
+    'simulator.shareLink': 'Lien à partager',
+    'simulator.run': 'Lancer',
+    'simulator.copy': 'Copier le lien',
+    'simulator.condition.clear': 'Dégagé',
+    'simulator.condition.clouds': 'Nuageux',
+    'simulator.condition.fog': 'Brouillard',
+    'simulator.condition.drizzle': 'Bruine',
+    'simulator.condition.rain': 'Pluie',
+    'simulator.condition.snow': 'Neige',
+    'simulator.condition.freezing-rain': 'Pluie verglaçante',
+    'simulator.condition.thunderstorm': 'Orage',
+    'simulator.scenario.chicago-windy-fall-evening': "Soirée d'automne venteuse à Chicago",
+    'simulator.scenario.miami-humid-drizzle': 'Bruine humide à Miami',
+    'simulator.scenario.boston-borderline-morning': 'Matin de printemps incertain à Boston',
+    'simulator.scenario.seattle-rainy-commute': 'Trajet pluvieux de novembre à Seattle',
+    'simulator.scenario.minneapolis-snowy-morning': 'Matin enneigé de janvier à Minneapolis',
+    'simulator.scenario.toronto-freezing-rain': 'Pluie verglaçante à Toronto',
+    'simulator.scenario.phoenix-cool-desert-night': 'Nuit fraîche dans le désert à Phoenix',
+    'simulator.scenario.denver-cold-front': 'Après-midi doux avant un front froid à Denver',
+
+    // Errors
+    'error.noGeolocation': 'Votre navigateur ne peut pas partager votre position. Saisissez-la à la main.',
+    'error.locationDenied': 'Accès à la position refusé. Saisissez votre position à la main.',
+    'error.locationUnavailable': 'Position indisponible. Saisissez votre position à la main.',
+    'error.locationTimeout': 'La demande de position a expiré. Veuillez réessayer.',
+    'error.location': 'Impossible d’obtenir votre position. Saisissez-la à la main.',
+    'error.noLocation': 'Aucune position disponible',
+    'error.weather': 'Impossible de récupérer la météo. Veuillez réessayer.',
+    'error.offline': 'Vous êtes hors ligne et n’avez jamais vérifié {name}.',
+    'error.noPlace': 'Aucun lieu trouvé pour « {name} ».',
+    'error.apiKey': 'Veuillez ajouter votre clé d’API {provider}.',
+    'error.apiKeyRejected': '{provider} a refusé la clé d’API.',
+    'error.noProvider': 'Aucun fournisseur météo disponible.',
+    'error.request': 'La requête à l’API météo a échoué.',
+    'error.search': 'La recherche de lieux a échoué.',
+    'error.nwsCoverage': 'Le National Weather Service ne couvre que les États-Unis.',
+    'error.nwsNoForecast': 'Le National Weather Service n’a renvoyé aucune prévision.',
+    'error.rateLimit.minute': 'Limite de l’API météo atteinte pour cette minute. Réessayez plus tard.',
+    'error.rateLimit.hour': 'Limite de l’API météo atteinte pour cette heure. Réessayez plus tard.',
+    'error.rateLimit.day': 'Limite de l’API météo atteinte pour aujourd’hui. Réessayez plus tard.',
+
+    // Wardrobe
+    'wardrobe.namePlaceholder': 'Nom de la veste',
+    'wardrobe.light': 'Légère',
+    'wardrobe.medium': 'Moyenne',
+    'wardrobe.heavy': 'Chaude',
+    'wardrobe.waterproof': 'Imperméable',
+    'wardrobe.windproof': 'Coupe-vent',
+    'wardrobe.add': 'Ajouter',
+    'wardrobe.export': 'Exporter en JSON',
+    'wardrobe.import': 'Importer du JSON',
+    'wardrobe.empty': 'Aucune veste pour l’instant',
+    'wardrobe.traitLight': 'légère',
+    'wardrobe.traitMedium': 'moyenne',
+    'wardrobe.traitHeavy': 'chaude',
+    'wardrobe.traitWaterproof': 'imperméable',
+    'wardrobe.traitWindproof': 'coupe-vent',
+    'wardrobe.importFailed': 'Import impossible : {reason}',
+    'wardrobe.invalid': 'Une veste doit avoir un nom et un niveau de chaleur : légère, moyenne ou chaude',
+    'wardrobe.notList': 'Une liste de vestes était attendue',
+    'wardrobe.noneValid': 'Aucune veste valide trouvée',
+
+    // Saved places
+    'dashboard.empty': 'Aucun lieu enregistré. Vérifiez un lieu puis appuyez sur « Enregistrer le lieu ».',
+    'dashboard.error': 'Impossible de récupérer la météo de vos lieux enregistrés. Veuillez réessayer.',
+    'dashboard.label': 'Nom pour {name}',
+    'dashboard.feelsLike': '{temp}, ressenti {feelsLike}',
+    'favorites.invalid': 'Un lieu enregistré doit avoir un nom et des coordonnées',
+    'favorites.full': { one: 'Vous pouvez enregistrer {count} lieu au maximum', other: 'Vous pouvez enregistrer {count} lieux au maximum' },
+
+    // Trip planner
+    'trip.destination': 'Destination',
+    'trip.plan': 'Préparer',
+    'trip.pickDestination': 'Choisissez une destination dans la liste',
+    'trip.day': 'Jour',
+    'trip.lowHigh': 'Min / Max',
+    'trip.jacket': 'Veste ?',
+    'trip.what': 'Laquelle',
+    'trip.rain': 'pluie',
+    'trip.snow': 'neige',
+    'trip.ice': 'verglas',
+    'trip.packingList': 'À emporter',
+    'trip.packLight': 'Rien de spécial : voyagez léger !',
+    'trip.days': { one: '{used} jour sur {count}', other: '{used} jours sur {count}' },
+    'trip.neededOn': 'Utile {days}',
+    'trip.layers': { one: 'Jusqu’à {count} couche', other: 'Jusqu’à {count} couches' },
+    'trip.coldestDay': 'Pour le jour le plus froid',
+    'trip.rainGear': 'Parapluie ou coupe-pluie',
+    'trip.rainOn': 'Pluie probable {days}',
+    'trip.snowOn': 'Neige {days}',
+    'trip.icyOn': 'Verglas {days}',
+    'trip.usefulOn': 'Utile {days}',
+    'trip.noDates': 'Choisissez une date de début et de fin',
+    'trip.endBeforeStart': 'Le voyage doit se terminer après son début',
+    'trip.tooFar': { one: 'Les prévisions ne couvrent que le prochain jour', other: 'Les prévisions ne couvrent que les {count} prochains jours' },
+    'trip.noForecast': 'Pas encore de prévisions pour le {date}',
+
+    // Jacket tiers
+    'jacket.heavy': 'Veste chaude ou manteau',
+    'jacket.medium': 'Veste mi-saison',
+    'jacket.maybe': 'Une couche légère, au cas où',
+    'jacket.light': 'Veste légère ou pull',
+
+    // Reasoning
+    'reason.veryCold': 'Il fait {temp}',
+    'reason.veryColdWindy': 'Il fait {temp} avec du vent ({wind})',
+    'reason.cold': 'Il fait {temp}',
+    'reason.coldWindy': 'Il fait {temp} avec une brise ({wind})',
+    'reason.cool': 'Il fait frais, {temp}',
+    'reason.coolWindy': 'Il fait frais, {temp}, avec un peu de vent ({wind})',
+    'reason.warm': 'Il fait {temp}, c’est agréable',
+    'reason.droppingTo': 'descente à {temp} plus tard',
+    'reason.coolerLater': 'plus frais plus tard',
+    'reason.stayingWarm': 'doux toute la journée',
+    'reason.borderline': 'juste à la limite pour une veste',
+    'reason.feelsLikeWind': 'ressenti {temp} avec le vent',
+    'reason.feelsLikeGust': 'ressenti {temp} avec les rafales',
+    'reason.feelsLikeDamp': 'ressenti {temp} avec l’air humide',
+    'reason.feelsLikeHeat': 'ressenti {temp} avec l’humidité',
+    'reason.localsBundleUp': 'mais ici, en {month}, il fait d’habitude environ {temp}, alors on se couvre à cette température',
+    'reason.usedToCold': 'et ici, on est habitué à bien plus froid (en {month}, la moyenne est de {temp})',
+    'reason.runCold': 'et vous êtes plutôt frileux',
+    'reason.runWarm': 'et vous n’êtes pas frileux',
+    'reason.coldLately': 'Il a fait très froid ces derniers temps, alors cela semble plus doux que d’habitude',
+    'reason.warmLately': 'Il a fait très chaud ces derniers temps, alors cela semble plus frais que d’habitude',
+
+    // Comfort model effects
+    'comfort.wind': 'avec le vent',
+    'comfort.gust': 'avec les rafales',
+    'comfort.damp': 'avec l’air humide',
+    'comfort.heat': 'avec l’humidité',
+
+    // Climate classes (ClimateNormals.classify)
+    'climate.E': 'polaire',
+    'climate.A': 'tropical',
+    'climate.Ca': 'tempéré à été chaud',
+    'climate.Cb': 'tempéré à été doux',
+    'climate.Cc': 'tempéré à été frais',
+    'climate.Da': 'continental à été chaud',
+    'climate.Db': 'continental à été doux',
+    'climate.Dc': 'continental à été frais',
+    'climate.Dd': 'continental à hivers très froids',
+
+    // Margin
+    'margin.at': 'Pile à votre seuil de veste',
+    'margin.below': '{value} sous votre seuil de veste',
+    'margin.above': '{value} au-dessus de votre seuil de veste',
+
+    // Rain, snow and ice
+    'rain.cold': 'Pluie prévue : pensez à une veste imperméable',
+    'rain.cool': 'Pluie prévue : une protection légère contre la pluie est conseillée',
+    'rain.warm': 'Pluie prévue : pas besoin de veste pour la chaleur, mais prévoyez de quoi vous protéger de la pluie',
+    'winter.snowingNow': 'Il neige : mettez un manteau isolant et imperméable et des bottes imperméables',
+    'winter.snowingNowAmount': 'Il neige, environ {amount} attendus : mettez un manteau isolant et imperméable et des bottes imperméables',
+    'winter.snowFrom': 'Neige à partir de {time} : mettez un manteau isolant et imperméable et des bottes imperméables',
+    'winter.snowFromAmount': 'Neige à partir de {time}, environ {amount} attendus : mettez un manteau isolant et imperméable et des bottes imperméables',
+    'winter.freezingRain': 'Pluie verglaçante probable : trottoirs et routes seront glissants, mettez des bottes qui accrochent bien',
+    'winter.icy': 'Sol mouillé proche du gel : attention au verglas, mettez des bottes qui accrochent bien',
+
+    // Owned jacket choice
+    'owned.rainOnly': 'assez doux pour se passer de veste, mais {name} vous protège de la pluie',
+    'owned.match': '{name} a la bonne chaleur pour aujourd’hui',
+    'owned.tooLightMedium': '{name} est ce que vous avez de plus chaud, même si une veste mi-saison serait mieux',
+    'owned.tooLightHeavy': '{name} est ce que vous avez de plus chaud, même si une veste chaude serait mieux',
+    'owned.tooWarm': '{name} est un peu plus chaude que nécessaire, mais c’est la plus adaptée',
+    'owned.snowWaterproof': 'imperméable pour la neige',
+    'owned.snowNotWaterproof': 'pas imperméable, elle risque d’être mouillée',
+    'owned.rainWaterproof': 'imperméable pour la pluie',
+    'owned.rainNotWaterproof': 'pas imperméable, prenez un parapluie',
+    'owned.windproof': 'coupe-vent contre les rafales',
+    'owned.notWindproof': 'pas coupe-vent, superposez les couches',
+
+    // Outfit items
+    'item.thermal': 'Sous-vêtement thermique ou haut à manches longues',
+    'item.longSleeve': 'Chemise à manches longues',
+    'item.tShirt': 'T-shirt',
+    'item.sweaterOrFleece': 'Pull ou polaire',
+    'item.lightSweater': 'Pull léger',
+    'item.sweaterForLater': 'Pull léger pour plus tard',
+    'item.rainShell': 'Coupe-pluie compact',
+    'item.hood': 'Capuche',
+    'item.umbrella': 'Parapluie',
+    'item.snowBoots': 'Bottes imperméables et fourrées',
+    'item.gripBoots': 'Bottes qui accrochent bien',
+    'item.hat': 'Bonnet',
+    'item.gloves': 'Gants',
+    'item.scarf': 'Écharpe',
+    'item.sunglasses': 'Lunettes de soleil',
+
+    // Outfit reasons
+    'outfit.feelsLike': 'Ressenti {temp}',
+    'outfit.coolAt': 'Frais à {temp}',
+    'outfit.comfortableAt': 'Agréable à {temp}',
+    'outfit.trapsHeat': 'Garde la chaleur sous le manteau',
+    'outfit.takeOffIndoors': 'Un supplément de chaleur à retirer à l’intérieur',
+    'outfit.colderLater': 'Il fera plus froid plus tard',
+    'outfit.eveningsCool': 'Le soir, ça se rafraîchit vite',
+    'outfit.borderline': 'C’est limite, alors emportez-la',
+    'outfit.neededAt': 'Nécessaire à {temp}',
+    'outfit.snowproof': 'isolante et imperméable pour la neige',
+    'outfit.waterproof': 'de préférence imperméable',
+    'outfit.windproof': 'un coupe-vent aide avec {wind}',
+    'outfit.rainNoJacket': 'Assez doux sans veste, mais la pluie est probable',
+    'outfit.tooWindyForUmbrella': 'Trop de vent pour un parapluie ({wind})',
+    'outfit.rainLikely': 'Pluie probable',
+    'outfit.snowOnGround': 'Neige au sol',
+    'outfit.freezingRain': 'Pluie verglaçante',
+    'outfit.icy': 'Surfaces glissantes vers {temp}',
+    'outfit.snow': 'Neige',
+    'outfit.coldAndWindy': 'Froid et venteux',
+    'outfit.headHeat': 'La tête perd beaucoup de chaleur',
+    'outfit.windOnNeck': 'Protège le cou du vent',
+    'outfit.bitterCold': 'Froid mordant',
+    'outfit.clearSkies': 'Ciel dégagé',
+
+    // Timeline
+    'timeline.allDayYES': 'Veste nécessaire pour les prochaines 24 heures',
+    'timeline.allDayMAYBE': 'À la limite pour les prochaines 24 heures',
+    'timeline.allDayNO': 'Pas besoin de veste pour les prochaines 24 heures',
+    'timeline.afterYES': 'Veste nécessaire après {time}',
+    'timeline.afterMAYBE': 'À la limite après {time}',
+    'timeline.afterNO': 'Pas besoin de veste après {time}',
+    'timeline.jacketAfter': '{jacket} après {time}',
+
+    // Commute legs
+    'commute.thisMorning': 'ce matin',
+    'commute.thisAfternoon': 'cet après-midi',
+    'commute.thisEvening': 'ce soir',
+    'commute.tomorrowMorning': 'demain matin',
+    'commute.tomorrowAfternoon': 'demain après-midi',
+    'commute.tomorrowEvening': 'demain soir',
+    'commute.home': 'au retour',
+    'commute.homeTomorrow': 'au retour demain',
+    'commute.fine': 'ça va {when}',
+    'commute.borderline': 'limite {when}, {temp}',
+    'commute.needed': '{conditions} {when}',
+    'commute.windy': 'du vent',
+    'commute.rainy': 'de la pluie',
+
+    // Weather conditions
+    'conditions.Clear': 'Dégagé',
+    'conditions.Clouds': 'Nuageux',
+    'conditions.Drizzle': 'Bruine',
+    'conditions.Fog': 'Brouillard',
+    'conditions.Freezing Rain': 'Pluie verglaçante',
+    'conditions.Rain': 'Pluie',
+    'conditions.Snow': 'Neige',
+    'conditions.Thunderstorm': 'Orage',
+    'conditions.Unknown': 'Inconnu',
+
+    // Places
+    'place.near': 'Près de {name}',
+
+    // Command line
+    'cli.weather': '{temp} (ressenti {feelsLike}), {conditions} ; {later} dans 6 heures'
+});
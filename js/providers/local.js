@@ -0,0 +1,108 @@
+/**
+ * Local fixture provider (no network)
+ * Serves recorded forecasts from fixtures/weather/ for development, demos and offline testing
+ *
+ * Each fixture holds 48 hours of series data starting at midnight. Its dates are moved to
+ * today and tomorrow at the location's clock, and "now" is read from the matching hour,
+ * so the answer follows the time of day without ever going stale. Requests are served
+ * from the nearest fixture.
+ */
+
+const LocalProvider = {
+    name: 'local',
+    label: 'Local fixtures',
+    FORECAST_DAYS: 2,
+
+    FIXTURE_URL: 'fixtures/weather/',
+    FIXTURES: ['chicago', 'seattle', 'phoenix', 'london'],
+
+    fixtures: {},   // Loaded or registered fixtures by id
+
+    /**
+     * Add a fixture without fetching it (e.g. read from disk outside the browser)
+     */
+    register(id, data) {
+        this.fixtures[id] = data;
+        if (!this.FIXTURES.includes(id)) {
+            this.FIXTURES.push(id);
+        }
+    },
+
+    /**
+     * Load a fixture by id
+     */
+    async load(id) {
+        if (!this.fixtures[id]) {
+            const response = await fetch(`${this.FIXTURE_URL}${id}.json`);
+
+            if (!response.ok) {
+                throw new Error(`Missing weather fixture: ${id}`);
+            }
+
+            this.fixtures[id] = await response.json();
+        }
+        return this.fixtures[id];
+    },
+
+    async loadAll() {
+        return Promise.all(this.FIXTURES.map(id => this.load(id)));
+    },
+
+    /**
+     * Fetch the forecast series for one location from the nearest fixture
+     */
+    async fetchForecast(lat, lon) {
+        const fixtures = await this.loadAll();
+        const fixture = fixtures.reduce((nearest, item) =>
+            ClimateNormals.distanceKm(lat, lon, item.latitude, item.longitude) <
+            ClimateNormals.distanceKm(lat, lon, nearest.latitude, nearest.longitude) ? item : nearest
+        );
+
+        return this.rebase(fixture);
+    },
+
+    /**
+     * Move a fixture's dates to the location's today and pick the current hour
+     */
+    rebase(fixture, now = Date.now()) {
+        const today = WeatherAPI.getLocalTime(fixture.utc_offset_seconds, now);
+        const firstDate = fixture.hourly.time[0].slice(0, 10);
+        const dayMs = 24 * 60 * 60 * 1000;
+        const shift = Math.round((Date.parse(today.date) - Date.parse(firstDate)) / dayMs) * dayMs;
+
+        const hourly = {
+            ...fixture.hourly,
+            time: fixture.hourly.time.map(time =>
+                `${new Date(Date.parse(time.slice(0, 10)) + shift).toISOString().slice(0, 10)}${time.slice(10)}`
+            )
+        };
+        const index = Math.max(hourly.time.indexOf(`${today.date}T${String(today.hour).padStart(2, '0')}:00`), 0);
+
+        return {
+            latitude: fixture.latitude,
+            longitude: fixture.longitude,
+            timezone: fixture.timezone,
+            utc_offset_seconds: fixture.utc_offset_seconds,
+            current: WeatherAPI.getHourlySnapshot(hourly, index),
+            hourly
+        };
+    },
+
+    /**
+     * Search fixture locations by name
+     */
+    async searchLocations(query) {
+        const fixtures = await this.loadAll();
+        const search = query.toLowerCase();
+
+        return fixtures
+            .filter(item => item.name.toLowerCase().startsWith(search))
+            .map(item => ({
+                name: item.name,
+                state: item.state || '',
+                country: item.country || '',
+                lat: item.latitude,
+                lon: item.longitude
+            }));
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * US National Weather Service provider (api.weather.gov, free, US locations only)
+ *
+ * Uses the hourly forecast for both "now" and the timeline. NWS hourly periods carry no
+ * gusts or snowfall amounts, so gusts equal the sustained wind and snow is detected from
+ * the forecast text (mapped to WMO weather codes) instead.
+ */
+
+const NWSProvider = {
+    name: 'nws',
+    label: 'National Weather Service',
+    FORECAST_DAYS: 7,
+
+    BASE_URL: 'https://api.weather.gov',
+
+    /**
+     * Fetch the forecast series for one location (options are ignored - NWS always returns ~7 days)
+     */
+    async fetchForecast(lat, lon) {
+        const point = await this.request(`${this.BASE_URL}/points/${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`);
+        const forecast = await this.request(point.properties.forecastHourly);
+        const periods = forecast.properties.periods;
+
+        if (!periods || periods.length === 0) {
+            throw new Error(I18n.t('error.nwsNoForecast'));
+        }
+
+        const hourly = {
+            time: [],
+            temperature_2m: [],
+            apparent_temperature: [],
+            relative_humidity_2m: [],
+            weather_code: [],
+            wind_speed_10m: [],
+            wind_gusts_10m: [],
+            precipitation_probability: [],
+            snowfall: []
+        };
+
+        periods.forEach(period => {
+            const temp = period.temperatureUnit === 'C' ? period.temperature * 9 / 5 + 32 : period.temperature;
+            const wind = this.parseWindSpeed(period.windSpeed);
+
+            // startTime is local ISO time with an offset, e.g. 2024-10-19T09:00:00-05:00
+            hourly.time.push(`${period.startTime.slice(0, 13)}:00`);
+            hourly.temperature_2m.push(temp);
+            hourly.apparent_temperature.push(temp);
+            hourly.relative_humidity_2m.push(period.relativeHumidity ? period.relativeHumidity.value : 50);
+            hourly.weather_code.push(this.getWeatherCode(period.shortForecast));
+            hourly.wind_speed_10m.push(wind);
+            hourly.wind_gusts_10m.push(wind);
+            hourly.precipitation_probability.push(
+                period.probabilityOfPrecipitation && period.probabilityOfPrecipitation.value !== null
+                    ? period.probabilityOfPrecipitation.value
+                    : 0
+            );
+            hourly.snowfall.push(0);
+        });
+
+        const first = periods[0];
+        return {
+            latitude: Number(lat),
+            longitude: Number(lon),
+            timezone: point.properties.timeZone,
+            utc_offset_seconds: this.parseOffset(first.startTime),
+            current: {
+                temperature_2m: hourly.temperature_2m[0],
+                apparent_temperature: hourly.apparent_temperature[0],
+                relative_humidity_2m: hourly.relative_humidity_2m[0],
+                weather_code: hourly.weather_code[0],
+                wind_speed_10m: hourly.wind_speed_10m[0],
+                wind_gusts_10m: hourly.wind_gusts_10m[0]
+            },
+            hourly
+        };
+    },
+
+    async request(url) {
+        const response = await fetch(url, { headers: { Accept: 'application/geo+json' } });
+
+        if (response.status === 404) {
+            throw new Error(I18n.t('error.nwsCoverage'));
+        }
+        if (!response.ok) {
+            throw new Error(I18n.t('error.request'));
+        }
+
+        return response.json();
+    },
+
+    /**
+     * "10 mph" or "5 to 10 mph" -> the higher number
+     */
+    parseWindSpeed(text) {
+        const numbers = String(text || '').match(/\d+/g);
+        return numbers ? Math.max(...numbers.map(Number)) : 0;
+    },
+
+    /**
+     * UTC offset in seconds from an ISO time such as 2024-10-19T09:00:00-05:00
+     */
+    parseOffset(isoTime) {
+        const match = isoTime.match(/([+-])(\d{2}):(\d{2})$/);
+        if (!match) return 0;
+        const seconds = parseInt(match[2], 10) * 3600 + parseInt(match[3], 10) * 60;
+        return match[1] === '-' ? -seconds : seconds;
+    },
+
+    /**
+     * Map NWS forecast text ("Chance Light Rain", "Mostly Sunny"...) to a WMO weather code
+     */
+    getWeatherCode(text) {
+        const forecast = String(text || '').toLowerCase();
+        const intensity = (light, moderate, heavy) => {
+            if (forecast.includes('heavy')) return heavy;
+            if (forecast.includes('light') || forecast.includes('slight')) return light;
+            return moderate;
+        };
+
+        if (/freezing|sleet|ice/.test(forecast)) return forecast.includes('drizzle') ? 56 : 66;
+        if (forecast.includes('thunder')) return 95;
+        if (/snow|flurries|blizzard/.test(forecast)) return intensity(71, 73, 75);
+        if (forecast.includes('drizzle')) return intensity(51, 53, 55);
+        if (forecast.includes('showers')) return intensity(80, 81, 82);
+        if (forecast.includes('rain')) return intensity(61, 63, 65);
+        if (/fog|haze|smoke/.test(forecast)) return 45;
+        if (/partly/.test(forecast)) return 2;
+        if (/mostly cloudy|cloudy|overcast/.test(forecast)) return 3;
+        if (/mostly (sunny|clear)/.test(forecast)) return 1;
+        return 0;
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Open-Meteo provider (free, no API key required)
+ * Its forecast response is already in the series shape WeatherAPI expects
+ */
+
+const OpenMeteoProvider = {
+    name: 'open-meteo',
+    label: 'Open-Meteo',
+    FORECAST_DAYS: 16,
+
+    BASE_URL: 'https://api.open-meteo.com/v1',
+    GEO_URL: 'https://geocoding-api.open-meteo.com/v1',
+
+    CURRENT_FIELDS: 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,wind_gusts_10m',
+    HOURLY_FIELDS: 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,wind_gusts_10m,precipitation_probability,snowfall',
+    UNITS: 'temperature_unit=fahrenheit&wind_speed_unit=mph&precipitation_unit=inch&timezone=auto',
+
+    /**
+     * Fetch the forecast series for one location
+     * options: { startDate, endDate } ('YYYY-MM-DD') for a date range, otherwise today and tomorrow
+     */
+    async fetchForecast(lat, lon, options = {}) {
+        return this.request(lat, lon, options);
+    },
+
+    /**
+     * Fetch several locations ({ lat, lon }) in one request - Open-Meteo accepts comma-separated coordinates
+     * Returns one series per location, in order
+     */
+    async fetchForecasts(locations) {
+        const data = await this.request(
+            locations.map(location => location.lat).join(','),
+            locations.map(location => location.lon).join(',')
+        );
+
+        // One location comes back as an object, several as an array in request order
+        return Array.isArray(data) ? data : [data];
+    },
+
+    async request(lat, lon, { startDate, endDate } = {}) {
+        const range = startDate && endDate
+            ? `start_date=${startDate}&end_date=${endDate}`
+            : 'forecast_days=2';
+
+        const response = await fetch(
+            `${this.BASE_URL}/forecast?latitude=${lat}&longitude=${lon}&current=${this.CURRENT_FIELDS}&hourly=${this.HOURLY_FIELDS}&${this.UNITS}&${range}`
+        );
+
+        if (!response.ok) {
+            throw new Error(I18n.t('error.request'));
+        }
+
+        return response.json();
+    },
+
+    /**
+     * Search for locations by name, with names in the current I18n language
+     */
+    async searchLocations(query) {
+        const response = await fetch(
+            `${this.GEO_URL}/search?name=${encodeURIComponent(query)}&count=5&language=${I18n.language}&format=json`
+        );
+
+        if (!response.ok) {
+            throw new Error(I18n.t('error.search'));
+        }
+
+        const data = await response.json();
+
+        if (!data.results) {
+            return [];
+        }
+
+        return data.results.map(item => ({
+            name: item.name,
+            state: item.admin1 || '',
+            country: item.country || '',
+            lat: item.latitude,
+            lon: item.longitude
+        }));
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * OpenWeatherMap provider (free tier, needs an API key)
+ *
+ * The free forecast comes in 3-hour steps, so hours in between are interpolated from the
+ * neighbouring steps (starting from the current observation). Condition ids are mapped
+ * to WMO weather codes and metric snow amounts are converted to inches.
+ */
+
+const OpenWeatherMapProvider = {
+    name: 'openweathermap',
+    label: 'OpenWeatherMap',
+    FORECAST_DAYS: 5,
+    requiresKey: true,
+
+    BASE_URL: 'https://api.openweathermap.org/data/2.5',
+    GEO_URL: 'https://api.openweathermap.org/geo/1.0',
+
+    apiKey: '',     // Set through WeatherAPI.configure({ apiKeys: { openweathermap: '...' } })
+
+    /**
+     * Fetch the forecast series for one location
+     * options: { startDate, endDate } trims the hours to that range
+     */
+    async fetchForecast(lat, lon, { startDate, endDate } = {}) {
+        const [current, forecast] = await Promise.all([
+            this.request(`${this.BASE_URL}/weather?lat=${lat}&lon=${lon}&units=imperial`),
+            this.request(`${this.BASE_URL}/forecast?lat=${lat}&lon=${lon}&units=imperial`)
+        ]);
+
+        const offset = forecast.city ? forecast.city.timezone : current.timezone;
+        const steps = [current, ...forecast.list].map(item => ({
+            time: item.dt,
+            temp: item.main.temp,
+            feelsLike: item.main.feels_like,
+            humidity: item.main.humidity,
+            code: this.getWeatherCode(item.weather[0].id),
+            wind: item.wind.speed,
+            gust: item.wind.gust || item.wind.speed,
+            pop: item.pop !== undefined ? Math.round(item.pop * 100) : 0,
+            snow: item.snow ? (item.snow['3h'] || item.snow['1h'] || 0) / 25.4 : 0
+        }));
+
+        const hourly = {
+            time: [],
+            temperature_2m: [],
+            apparent_temperature: [],
+            relative_humidity_2m: [],
+            weather_code: [],
+            wind_speed_10m: [],
+            wind_gusts_10m: [],
+            precipitation_probability: [],
+            snowfall: []
+        };
+
+        // One entry per hour from the current hour to the last step
+        const firstHour = Math.floor(steps[0].time / 3600) * 3600;
+        const lastHour = steps[steps.length - 1].time;
+        let next = 1;
+
+        for (let time = firstHour; time <= lastHour; time += 3600) {
+            while (next < steps.length - 1 && steps[next].time < time) next++;
+
+            const before = steps[next - 1];
+            const after = steps[next];
+            const span = after.time - before.time;
+            const fraction = span > 0 ? Math.min(Math.max((time - before.time) / span, 0), 1) : 0;
+            const mix = field => before[field] + (after[field] - before[field]) * fraction;
+            const nearest = fraction < 0.5 ? before : after;
+
+            const localTime = new Date((time + offset) * 1000).toISOString().slice(0, 13);
+            hourly.time.push(`${localTime}:00`);
+            hourly.temperature_2m.push(mix('temp'));
+            hourly.apparent_temperature.push(mix('feelsLike'));
+            hourly.relative_humidity_2m.push(Math.round(mix('humidity')));
+            hourly.weather_code.push(nearest.code);
+            hourly.wind_speed_10m.push(mix('wind'));
+            hourly.wind_gusts_10m.push(mix('gust'));
+            hourly.precipitation_probability.push(Math.max(before.pop, after.pop));
+            // Spread each 3-hour snow total over its hours
+            hourly.snowfall.push(after.snow / 3);
+        }
+
+        const now = steps[0];
+        return {
+            latitude: Number(lat),
+            longitude: Number(lon),
+            timezone: null,     // OpenWeatherMap only reports the UTC offset
+            utc_offset_seconds: offset,
+            current: {
+                temperature_2m: now.temp,
+                apparent_temperature: now.feelsLike,
+                relative_humidity_2m: now.humidity,
+                weather_code: now.code,
+                wind_speed_10m: now.wind,
+                wind_gusts_10m: now.gust
+            },
+            hourly: startDate && endDate ? this.trimHours(hourly, startDate, endDate) : hourly
+        };
+    },
+
+    async request(url) {
+        if (!this.apiKey) {
+            throw new Error(I18n.t('error.apiKey', { provider: this.label }));
+        }
+
+        const response = await fetch(`${url}&appid=${encodeURIComponent(this.apiKey)}`);
+
+        if (response.status === 401) {
+            throw new Error(I18n.t('error.apiKeyRejected', { provider: this.label }));
+        }
+        if (!response.ok) {
+            throw new Error(I18n.t('error.request'));
+        }
+
+        return response.json();
+    },
+
+    /**
+     * Keep only the hours between two local dates ('YYYY-MM-DD', inclusive)
+     */
+    trimHours(hourly, startDate, endDate) {
+        const keep = hourly.time
+            .map((time, index) => (time.slice(0, 10) >= startDate && time.slice(0, 10) <= endDate ? index : -1))
+            .filter(index => index >= 0);
+
+        const trimmed = {};
+        Object.keys(hourly).forEach(field => {
+            trimmed[field] = keep.map(index => hourly[field][index]);
+        });
+        return trimmed;
+    },
+
+    /**
+     * Search for locations by name, using the local name in the current I18n language when there is one
+     */
+    async searchLocations(query) {
+        const results = await this.request(`${this.GEO_URL}/direct?q=${encodeURIComponent(query)}&limit=5`);
+
+        return results.map(item => ({
+            name: (item.local_names && item.local_names[I18n.language]) || item.name,
+            state: item.state || '',
+            country: item.country || '',
+            lat: item.lat,
+            lon: item.lon
+        }));
+    },
+
+    /**
+     * Map an OpenWeatherMap condition id (https://openweathermap.org/weather-conditions) to a WMO weather code
+     */
+    getWeatherCode(id) {
+        const codes = {
+            200: 95, 201: 95, 202: 95, 210: 95, 211: 95, 212: 95, 221: 95, 230: 95, 231: 95, 232: 95,
+            300: 51, 301: 53, 302: 55, 310: 53, 311: 53, 312: 55, 313: 81, 314: 82, 321: 81,
+            500: 61, 501: 63, 502: 65, 503: 65, 504: 65, 511: 66,
+            520: 80, 521: 81, 522: 82, 531: 82,
+            600: 71, 601: 73, 602: 75, 611: 77, 612: 77, 613: 77, 615: 71, 616: 73,
+            620: 85, 621: 85, 622: 86,
+            701: 45, 711: 45, 721: 45, 731: 45, 741: 45, 751: 45, 761: 45, 762: 45, 771: 45, 781: 95,
+            800: 0, 801: 1, 802: 2, 803: 3, 804: 3
+        };
+
+        return codes[id] !== undefined ? codes[id] : 3;
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * Commute schedule storage
+ * Persists the user's departure and return times between visits
+ */
+
+const CommuteSchedule = {
+    STORAGE_KEY: 'jacket-commute-schedule',
+
+    /**
+     * Load the saved schedule
+     * Returns: { departure: 'HH:MM'|null, return: 'HH:MM'|null }
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return {
+                departure: this.isValidTime(saved && saved.departure) ? saved.departure : null,
+                return: this.isValidTime(saved && saved.return) ? saved.return : null
+            };
+        } catch (error) {
+            return { departure: null, return: null };
+        }
+    },
+
+    /**
+     * Save the schedule (empty values clear that leg)
+     */
+    save(schedule) {
+        const cleaned = {
+            departure: this.isValidTime(schedule.departure) ? schedule.departure : null,
+            return: this.isValidTime(schedule.return) ? schedule.return : null
+        };
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(cleaned));
+        } catch (error) {
+            console.error('Error saving commute schedule:', error);
+        }
+
+        return cleaned;
+    },
+
+    /**
+     * Remove the saved schedule
+     */
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    /**
+     * Check whether a schedule has at least one leg
+     */
+    isSet(schedule) {
+        return Boolean(schedule && (schedule.departure || schedule.return));
+    },
+
+    /**
+     * Validate a 24-hour "HH:MM" time string
+     */
+    isValidTime(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    }
+};
@@ -0,0 +1,261 @@
+/**
+ * Weather scenario simulator
+ * Builds weather data from a hand-written scenario so the decision engine can be tried
+ * without any network calls - for reproducing odd answers and demoing edge cases
+ *
+ * A scenario is a flat object of plain values (see DEFAULTS), so it round-trips through
+ * a URL: ?simulate=<preset id> for a preset, ?simulate=custom&temp=48&wind=20... otherwise.
+ */
+
+const Simulator = {
+    // Weather conditions and the WMO code each one simulates (labels are simulator.condition.<id> messages)
+    CONDITIONS: {
+        'clear': { code: 0 },
+        'clouds': { code: 3 },
+        'fog': { code: 45 },
+        'drizzle': { code: 53 },
+        'rain': { code: 63 },
+        'snow': { code: 73 },
+        'freezing-rain': { code: 66 },
+        'thunderstorm': { code: 95 }
+    },
+
+    SNOWFALL_PER_HOUR: 0.1,     // Inches per hour while it snows
+
+    // Numeric fields: [min, max]
+    RANGES: {
+        temp: [-40, 120],       // °F now
+        later: [-40, 120],      // °F in 6 hours
+        wind: [0, 100],         // mph
+        gusts: [0, 150],        // mph
+        humidity: [0, 100],     // %
+        precip: [0, 100],       // % chance over the next 6 hours
+        hour: [0, 23],          // Local hour
+        month: [1, 12],
+        recent: [-40, 120],     // 30-day average °F
+        personal: [-15, 15]     // Personal comfort offset °F (see ComfortFeedback)
+    },
+
+    DEFAULTS: {
+        place: 'Chicago',
+        temp: 55,
+        later: 52,
+        wind: 8,
+        gusts: 12,
+        humidity: 60,
+        precip: 0,
+        conditions: 'clear',
+        hour: 9,
+        month: 10,
+        recent: 55,
+        personal: 0
+    },
+
+    // Names are simulator.scenario.<id> messages
+    PRESETS: [
+        {
+            id: 'chicago-windy-fall-evening',
+            scenario: { place: 'Chicago', temp: 52, later: 44, wind: 22, gusts: 35, humidity: 55, precip: 10, conditions: 'clouds', hour: 19, month: 10, recent: 58 }
+        },
+        {
+            id: 'miami-humid-drizzle',
+            scenario: { place: 'Miami', temp: 84, later: 82, wind: 8, gusts: 14, humidity: 90, precip: 70, conditions: 'drizzle', hour: 14, month: 7, recent: 84 }
+        },
+        {
+            id: 'boston-borderline-morning',
+            scenario: { place: 'Boston', temp: 60, later: 66, wind: 6, gusts: 10, humidity: 50, precip: 0, conditions: 'clear', hour: 8, month: 4, recent: 50 }
+        },
+        {
+            id: 'seattle-rainy-commute',
+            scenario: { place: 'Seattle', temp: 47, later: 50, wind: 10, gusts: 18, humidity: 90, precip: 80, conditions: 'rain', hour: 8, month: 11, recent: 50 }
+        },
+        {
+            id: 'minneapolis-snowy-morning',
+            scenario: { place: 'Minneapolis', temp: 18, later: 22, wind: 12, gusts: 20, humidity: 80, precip: 90, conditions: 'snow', hour: 7, month: 1, recent: 14 }
+        },
+        {
+            id: 'toronto-freezing-rain',
+            scenario: { place: 'Toronto', temp: 31, later: 30, wind: 10, gusts: 16, humidity: 95, precip: 90, conditions: 'freezing-rain', hour: 17, month: 2, recent: 25 }
+        },
+        {
+            id: 'phoenix-cool-desert-night',
+            scenario: { place: 'Phoenix', temp: 58, later: 50, wind: 4, gusts: 6, humidity: 30, precip: 0, conditions: 'clear', hour: 21, month: 12, recent: 65 }
+        },
+        {
+            id: 'denver-cold-front',
+            scenario: { place: 'Denver', temp: 68, later: 45, wind: 10, gusts: 25, humidity: 25, precip: 20, conditions: 'clear', hour: 13, month: 3, recent: 40 }
+        }
+    ],
+
+    /**
+     * Preset name in the current language
+     */
+    getPresetName(preset) {
+        return I18n.t(`simulator.scenario.${preset.id}`);
+    },
+
+    /**
+     * Condition label in the current language
+     */
+    getConditionLabel(id) {
+        return I18n.t(`simulator.condition.${id}`);
+    },
+
+    /**
+     * Find a preset by id, or null
+     */
+    getPreset(id) {
+        return this.PRESETS.find(preset => preset.id === id) || null;
+    },
+
+    /**
+     * Fill in defaults and clamp every field to a sensible value
+     */
+    normalize(input = {}) {
+        const scenario = { ...this.DEFAULTS };
+
+        Object.keys(this.RANGES).forEach(field => {
+            const value = Number(input[field]);
+            if (input[field] !== undefined && input[field] !== '' && Number.isFinite(value)) {
+                const [min, max] = this.RANGES[field];
+                scenario[field] = Math.round(Math.min(max, Math.max(min, value)));
+            }
+        });
+
+        if (this.getPlace(input.place)) {
+            scenario.place = this.getPlace(input.place).name;
+        }
+        if (this.CONDITIONS[input.conditions]) {
+            scenario.conditions = input.conditions;
+        }
+
+        // Gusts are never below the sustained wind
+        scenario.gusts = Math.max(scenario.gusts, scenario.wind);
+        return scenario;
+    },
+
+    /**
+     * Places a scenario can be set in - the climate normals stations
+     */
+    getPlaces() {
+        return ClimateNormals.STATIONS;
+    },
+
+    getPlace(name) {
+        const search = String(name || '').toLowerCase();
+        return ClimateNormals.STATIONS.find(station => station.name.toLowerCase() === search) || null;
+    },
+
+    /**
+     * Read a scenario from URL parameters
+     * Returns: { scenario, preset } or null when the page wasn't opened in simulation mode
+     */
+    fromParams(params) {
+        if (!params.has('simulate')) return null;
+
+        const preset = this.getPreset(params.get('simulate'));
+        if (preset) {
+            return { scenario: this.normalize(preset.scenario), preset };
+        }
+
+        const input = {};
+        params.forEach((value, key) => {
+            input[key] = value;
+        });
+        return { scenario: this.normalize(input), preset: null };
+    },
+
+    /**
+     * URL parameters for a scenario - just the preset id when it matches one exactly
+     */
+    toParams(scenario) {
+        const normalized = this.normalize(scenario);
+        const preset = this.PRESETS.find(item =>
+            JSON.stringify(this.normalize(item.scenario)) === JSON.stringify(normalized)
+        );
+
+        const params = new URLSearchParams({ simulate: preset ? preset.id : 'custom' });
+        if (!preset) {
+            Object.keys(normalized).forEach(field => params.set(field, normalized[field]));
+        }
+        return params;
+    },
+
+    /**
+     * Shareable link to a scenario on the given page URL
+     */
+    getShareUrl(scenario, pageUrl) {
+        const url = new URL(pageUrl);
+        url.search = this.toParams(scenario).toString();
+        url.hash = '';
+        return url.toString();
+    },
+
+    /**
+     * Build weather data (WeatherAPI.processWeatherData output) for a scenario
+     * The temperature moves in a straight line from now to the 6-hour forecast, then holds
+     */
+    buildWeatherData(scenario, now = Date.now()) {
+        const place = this.getPlace(scenario.place);
+        const condition = this.CONDITIONS[scenario.conditions];
+        const year = new Date(now).getUTCFullYear();
+        const date = `${year}-${String(scenario.month).padStart(2, '0')}-15`;
+
+        const hourly = {
+            time: [],
+            temperature_2m: [],
+            apparent_temperature: [],
+            relative_humidity_2m: [],
+            weather_code: [],
+            wind_speed_10m: [],
+            wind_gusts_10m: [],
+            precipitation_probability: [],
+            snowfall: []
+        };
+
+        // Two days from midnight, so the timeline can cross into tomorrow
+        const start = Date.parse(`${date}T00:00:00Z`);
+        for (let i = 0; i < 48; i++) {
+            const progress = Math.min(Math.max((i - scenario.hour) / 6, 0), 1);
+            const temp = scenario.temp + (scenario.later - scenario.temp) * progress;
+
+            hourly.time.push(new Date(start + i * 3600 * 1000).toISOString().slice(0, 13) + ':00');
+            hourly.temperature_2m.push(temp);
+            hourly.apparent_temperature.push(temp);
+            hourly.relative_humidity_2m.push(scenario.humidity);
+            hourly.weather_code.push(condition.code);
+            hourly.wind_speed_10m.push(scenario.wind);
+            hourly.wind_gusts_10m.push(scenario.gusts);
+            hourly.precipitation_probability.push(scenario.precip);
+            hourly.snowfall.push(scenario.conditions === 'snow' ? this.SNOWFALL_PER_HOUR : 0);
+        }
+
+        const data = {
+            latitude: place.lat,
+            longitude: place.lon,
+            timezone: 'UTC',
+            utc_offset_seconds: 0,
+            hourly,
+            fetched_at: now
+        };
+
+        return WeatherAPI.processWeatherData(data, { name: place.name, country: 'Simulated' }, { date, hour: scenario.hour });
+    },
+
+    /**
+     * Run the decision engine on a scenario
+     * options are passed to JacketDecision.decide (e.g. schedule, wardrobe)
+     * Returns: { scenario, weatherData, decision }
+     */
+    run(input, options = {}) {
+        const scenario = this.normalize(input);
+        const weatherData = this.buildWeatherData(scenario);
+        const decision = JacketDecision.decide(weatherData, {
+            ...options,
+            seasonalAdjustment: JacketDecision.getSeasonalAdjustmentFromTemps([scenario.recent]),
+            personalAdjustment: scenario.personal
+        });
+
+        return { scenario, weatherData, decision };
+    }
+};
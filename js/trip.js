@@ -0,0 +1,173 @@
+/**
+ * Multi-day trip planner
+ * Runs the jacket decision for every day of a trip and builds a packing list
+ */
+
+const TripPlanner = {
+    DAY_START_HOUR: 8,      // Waking hours considered for each day
+    DAY_END_HOUR: 22,
+
+    /**
+     * Plan a trip to a location (from WeatherAPI.searchLocations) between two 'YYYY-MM-DD' dates
+     * options are passed through to JacketDecision.makeDecision (personalAdjustment, wardrobe)
+     * Returns: { location, days: [...], packingList: [{ item, reason }] }
+     */
+    async planTrip(location, startDate, endDate, options = {}) {
+        // Everywhere is within a day of the browser's date, so rule out impossible ranges before fetching...
+        this.getDateRange(startDate, endDate, this.getToday(), 1);
+        const data = await WeatherAPI.getTripForecast(location.lat, location.lon, startDate, endDate);
+        // ...then count the forecast horizon from today at the destination
+        const dates = this.getDateRange(startDate, endDate, this.getToday(data.utc_offset_seconds));
+
+        const days = [];
+        for (const date of dates) {
+            days.push(await this.planDay(data, location, date, options));
+        }
+
+        return {
+            location,
+            days,
+            packingList: this.buildPackingList(days)
+        };
+    },
+
+    /**
+     * Decide for one day, anchored at its coldest waking hour
+     */
+    async planDay(data, location, date, options) {
+        const wakingIndexes = data.hourly.time
+            .map((time, index) => ({ time, index, hour: parseInt(time.slice(11, 13), 10) }))
+            .filter(entry => entry.time.startsWith(date) &&
+                entry.hour >= this.DAY_START_HOUR && entry.hour <= this.DAY_END_HOUR);
+
+        if (wakingIndexes.length === 0) {
+            throw new Error(I18n.t('trip.noForecast', { date }));
+        }
+
+        const temps = wakingIndexes.map(entry => data.hourly.temperature_2m[entry.index]);
+        const coldest = wakingIndexes[temps.indexOf(Math.min(...temps))];
+
+        const weatherData = WeatherAPI.processWeatherData(data, location, { date, hour: coldest.hour });
+        const decision = await JacketDecision.makeDecision(weatherData, options);
+
+        return {
+            date,
+            high: Math.round(Math.max(...temps)),
+            low: Math.round(Math.min(...temps)),
+            coldestHour: JacketDecision.formatHour(coldest.hour),
+            decision
+        };
+    },
+
+    /**
+     * Consolidate daily verdicts into one packing list
+     */
+    buildPackingList(days) {
+        const list = [];
+        const total = days.length;
+        const countDays = predicate => days.filter(predicate).length;
+        const share = count => I18n.t('trip.days', { used: count, count: total });
+
+        // Each distinct jacket, heaviest first
+        const jackets = new Map();
+        days.forEach(day => {
+            const { decision } = day;
+            const name = decision.ownedJacket ? decision.ownedJacket.item.name : decision.jacketType;
+            if (!name || decision.answer === 'NO') return;
+            const entry = jackets.get(name) || { count: 0, coldest: Infinity };
+            entry.count += 1;
+            entry.coldest = Math.min(entry.coldest, decision.effectiveTemp);
+            jackets.set(name, entry);
+        });
+        [...jackets.entries()]
+            .sort((a, b) => a[1].coldest - b[1].coldest)
+            .forEach(([name, entry]) => {
+                list.push({ item: name, reason: I18n.t('trip.neededOn', { days: share(entry.count) }) });
+            });
+
+        // Most layers worn on any one day
+        const maxLayers = Math.max(...days.map(day =>
+            Object.values(day.decision.outfit.layers).filter(Boolean).length
+        ));
+        if (maxLayers > 1) {
+            list.push({ item: I18n.t('trip.layers', { count: maxLayers }), reason: I18n.t('trip.coldestDay') });
+        }
+
+        // Rain and snow gear
+        const rainyDays = countDays(day => day.decision.factors.isRainy);
+        if (rainyDays > 0) {
+            list.push({ item: I18n.t('trip.rainGear'), reason: I18n.t('trip.rainOn', { days: share(rainyDays) }) });
+        }
+        const snowyDays = countDays(day => day.decision.factors.isSnowy);
+        if (snowyDays > 0) {
+            list.push({ item: I18n.t('item.snowBoots'), reason: I18n.t('trip.snowOn', { days: share(snowyDays) }) });
+        }
+        const icyDays = countDays(day => day.decision.factors.isIcy && !day.decision.factors.isSnowy);
+        if (icyDays > 0) {
+            list.push({ item: I18n.t('item.gripBoots'), reason: I18n.t('trip.icyOn', { days: share(icyDays) }) });
+        }
+
+        // Remaining accessories (umbrella/boots handled above)
+        const handled = ['umbrella', 'hood', 'snowBoots', 'gripBoots'];
+        const accessories = new Map();
+        days.forEach(day => {
+            day.decision.outfit.accessories
+                .filter(accessory => !handled.includes(accessory.id))
+                .forEach(accessory => accessories.set(accessory.item, (accessories.get(accessory.item) || 0) + 1));
+        });
+        accessories.forEach((count, item) => {
+            list.push({ item, reason: I18n.t('trip.usefulOn', { days: share(count) }) });
+        });
+
+        return list;
+    },
+
+    /**
+     * How many days ahead a trip can be planned (the weather provider's forecast horizon)
+     */
+    getMaxDays() {
+        return WeatherAPI.getForecastDays();
+    },
+
+    /**
+     * List every 'YYYY-MM-DD' date in a range, validating it against the forecast horizon
+     * slackDays widens the horizon on both ends (for a today that may differ at the destination)
+     */
+    getDateRange(startDate, endDate, today = this.getToday(), slackDays = 0) {
+        const maxDays = this.getMaxDays();
+        const start = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${endDate}T00:00:00Z`);
+        const first = new Date(`${today}T00:00:00Z`);
+        const last = new Date(first);
+        first.setUTCDate(first.getUTCDate() - slackDays);
+        last.setUTCDate(last.getUTCDate() + maxDays - 1 + slackDays);
+
+        if (isNaN(start) || isNaN(end)) {
+            throw new Error(I18n.t('trip.noDates'));
+        }
+        if (start > end) {
+            throw new Error(I18n.t('trip.endBeforeStart'));
+        }
+        if (start < first || end > last) {
+            throw new Error(I18n.t('trip.tooFar', { count: maxDays }));
+        }
+
+        const dates = [];
+        for (const day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+            dates.push(day.toISOString().split('T')[0]);
+        }
+        return dates;
+    },
+
+    /**
+     * Today's date as 'YYYY-MM-DD' at a UTC offset (seconds, e.g. the destination's),
+     * or in the browser's timezone without one
+     */
+    getToday(utcOffsetSeconds = null) {
+        if (typeof utcOffsetSeconds === 'number') {
+            return WeatherAPI.getLocalTime(utcOffsetSeconds).date;
+        }
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+};
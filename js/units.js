@@ -0,0 +1,212 @@
+/**
+ * Unit preferences and conversion
+ * Weather data and decision thresholds stay in °F, mph and inches (see js/weather.js);
+ * everything shown to the user - numbers and generated text - goes through here.
+ *
+ * A preference is { temperature: 'f'|'c', wind: 'mph'|'kmh'|'ms', precipitation: 'in'|'mm' }.
+ * With nothing saved, it comes from the browser locale's region, then the location's country.
+ */
+
+const Units = {
+    STORAGE_KEY: 'jacket-units',
+
+    TEMPERATURE: {
+        f: { label: '°F' },
+        c: { label: '°C' }
+    },
+
+    WIND: {
+        mph: { label: 'mph', perMph: 1 },
+        kmh: { label: 'km/h', perMph: 1.609344 },
+        ms: { label: 'm/s', perMph: 0.44704 }
+    },
+
+    // Snow is measured in cm where rain is in mm
+    PRECIPITATION: {
+        in: { rain: { label: 'in', perInch: 1, decimals: 2 }, snow: { label: 'in', perInch: 1, decimals: 1 } },
+        mm: { rain: { label: 'mm', perInch: 25.4, decimals: 0 }, snow: { label: 'cm', perInch: 2.54, decimals: 1 } }
+    },
+
+    SYSTEMS: {
+        imperial: { temperature: 'f', wind: 'mph', precipitation: 'in' },
+        metric: { temperature: 'c', wind: 'kmh', precipitation: 'mm' },
+        british: { temperature: 'c', wind: 'mph', precipitation: 'mm' }     // Road signs and forecasts stay in mph
+    },
+
+    // ISO region codes that don't default to metric
+    REGION_SYSTEMS: {
+        US: 'imperial', PR: 'imperial', GU: 'imperial', VI: 'imperial', AS: 'imperial', MP: 'imperial',
+        LR: 'imperial', MM: 'imperial', BS: 'imperial', BZ: 'imperial', KY: 'imperial', PW: 'imperial',
+        FM: 'imperial', MH: 'imperial',
+        GB: 'british', IM: 'british', JE: 'british', GG: 'british'
+    },
+
+    // Geocoders name countries rather than coding them
+    COUNTRY_REGIONS: {
+        'united states': 'US', 'united states of america': 'US', 'usa': 'US', 'puerto rico': 'PR',
+        'guam': 'GU', 'liberia': 'LR', 'myanmar': 'MM', 'bahamas': 'BS', 'the bahamas': 'BS',
+        'belize': 'BZ', 'cayman islands': 'KY', 'palau': 'PW',
+        'united kingdom': 'GB', 'united kingdom of great britain and northern ireland': 'GB',
+        'uk': 'GB', 'isle of man': 'IM', 'jersey': 'JE', 'guernsey': 'GG'
+    },
+
+    /**
+     * Saved preference, or null when the user hasn't chosen
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return saved ? this.normalize(saved) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    save(preference) {
+        const cleaned = this.normalize(preference);
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(cleaned));
+        } catch (error) {
+            console.error('Error saving unit preference:', error);
+        }
+
+        return cleaned;
+    },
+
+    clear() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    /**
+     * The preference to use: saved, else the locale's region, else the location's country
+     * options: { country (name, e.g. 'United Kingdom'), locale (defaults to the browser's) }
+     */
+    resolve({ country = '', locale = this.getLocale() } = {}) {
+        const saved = this.load();
+        if (saved) return saved;
+
+        const region = this.getLocaleRegion(locale) || this.COUNTRY_REGIONS[String(country).trim().toLowerCase()];
+        return this.forRegion(region || 'US');
+    },
+
+    getLocale() {
+        return typeof navigator !== 'undefined' && navigator.language ? navigator.language : '';
+    },
+
+    /**
+     * Region named in a locale ('en-GB' -> 'GB'), or null for a bare language ('fr')
+     */
+    getLocaleRegion(locale) {
+        if (!locale) return null;
+
+        try {
+            return new Intl.Locale(locale).region || null;
+        } catch (error) {
+            const match = String(locale).match(/[-_]([A-Za-z]{2})(?:[-_.@]|$)/);
+            return match ? match[1].toUpperCase() : null;
+        }
+    },
+
+    forRegion(region) {
+        return { ...this.SYSTEMS[this.REGION_SYSTEMS[String(region).toUpperCase()] || 'metric'] };
+    },
+
+    /**
+     * Fill in a partial or invalid preference (imperial wherever a field is missing)
+     */
+    normalize(preference) {
+        const input = preference || {};
+        const pick = (value, table, fallback) => (value && table[value] ? value : fallback);
+        const { imperial } = this.SYSTEMS;
+
+        return {
+            temperature: pick(input.temperature, this.TEMPERATURE, imperial.temperature),
+            wind: pick(input.wind, this.WIND, imperial.wind),
+            precipitation: pick(input.precipitation, this.PRECIPITATION, imperial.precipitation)
+        };
+    },
+
+    isMetric(preference) {
+        return this.normalize(preference).temperature === 'c';
+    },
+
+    /**
+     * Switch between °F and °C, taking wind and precipitation along with it
+     */
+    withTemperature(preference, temperature) {
+        const current = this.normalize(preference);
+        if (current.temperature === temperature) return current;
+
+        if (temperature === 'c') {
+            return {
+                temperature: 'c',
+                wind: current.wind === 'mph' ? 'kmh' : current.wind,
+                precipitation: 'mm'
+            };
+        }
+        return { ...this.SYSTEMS.imperial };
+    },
+
+    toggle(preference) {
+        return this.withTemperature(preference, this.isMetric(preference) ? 'f' : 'c');
+    },
+
+    // Conversion (inputs are always °F, mph and inches)
+
+    toCelsius(fahrenheit) {
+        return Math.round((fahrenheit - 32) * 5 / 9);
+    },
+
+    convertTemp(fahrenheit, preference) {
+        return this.isMetric(preference) ? this.toCelsius(fahrenheit) : Math.round(fahrenheit);
+    },
+
+    /**
+     * A temperature difference - no 32° offset
+     */
+    convertTempDifference(fahrenheit, preference) {
+        return Math.round(this.isMetric(preference) ? fahrenheit * 5 / 9 : fahrenheit);
+    },
+
+    convertWind(mph, preference) {
+        return Math.round(mph * this.WIND[this.normalize(preference).wind].perMph);
+    },
+
+    /**
+     * kind: 'rain' or 'snow'
+     */
+    convertPrecipitation(inches, preference, kind = 'rain') {
+        const unit = this.PRECIPITATION[this.normalize(preference).precipitation][kind];
+        const factor = Math.pow(10, unit.decimals);
+        return Math.round(inches * unit.perInch * factor) / factor;
+    },
+
+    // Formatting (numbers in the current I18n locale's style)
+
+    getTempLabel(preference) {
+        return this.TEMPERATURE[this.normalize(preference).temperature].label;
+    },
+
+    getWindLabel(preference) {
+        return this.WIND[this.normalize(preference).wind].label;
+    },
+
+    formatTemp(fahrenheit, preference) {
+        return `${I18n.formatNumber(this.convertTemp(fahrenheit, preference))}${this.getTempLabel(preference)}`;
+    },
+
+    formatTempDifference(fahrenheit, preference) {
+        return `${I18n.formatNumber(this.convertTempDifference(fahrenheit, preference))}${this.getTempLabel(preference)}`;
+    },
+
+    formatWind(mph, preference) {
+        return `${I18n.formatNumber(this.convertWind(mph, preference))} ${this.getWindLabel(preference)}`;
+    },
+
+    formatPrecipitation(inches, preference, kind = 'rain') {
+        const unit = this.PRECIPITATION[this.normalize(preference).precipitation][kind];
+        const value = I18n.formatNumber(this.convertPrecipitation(inches, preference, kind), { maximumFractionDigits: unit.decimals });
+        return `${value} ${unit.label}`;
+    }
+};
@@ -0,0 +1,100 @@
+/**
+ * Personal wardrobe storage
+ * Keeps the user's own jackets, using the same light/medium/heavy vocabulary as jacketData
+ */
+
+const Wardrobe = {
+    STORAGE_KEY: 'jacket-wardrobe',
+    EXPORT_VERSION: 1,
+
+    WARMTH_LEVELS: ['light', 'medium', 'heavy'],
+    MAX_NAME_LENGTH: 60,
+
+    /**
+     * Load saved jackets
+     * Returns: [{ id, name, warmth: 'light'|'medium'|'heavy', waterproof: boolean, windproof: boolean }]
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(saved) ? saved.map(item => this.normalize(item)).filter(Boolean) : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Replace the saved jackets
+     */
+    save(items) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
+        } catch (error) {
+            console.error('Error saving wardrobe:', error);
+        }
+        return items;
+    },
+
+    /**
+     * Add a jacket and return the updated wardrobe
+     */
+    add(item) {
+        const jacket = this.normalize({ ...item, id: null });
+        if (!jacket) {
+            throw new Error(I18n.t('wardrobe.invalid'));
+        }
+        return this.save([...this.load(), jacket]);
+    },
+
+    /**
+     * Remove a jacket by id and return the updated wardrobe
+     */
+    remove(id) {
+        return this.save(this.load().filter(item => item.id !== id));
+    },
+
+    /**
+     * Serialize the wardrobe for download
+     */
+    exportJSON() {
+        return JSON.stringify({ version: this.EXPORT_VERSION, jackets: this.load() }, null, 2);
+    },
+
+    /**
+     * Replace the wardrobe from exported JSON (an export object or a bare array)
+     * Throws if nothing valid is found
+     */
+    importJSON(text) {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.jackets;
+
+        if (!Array.isArray(list)) {
+            throw new Error(I18n.t('wardrobe.notList'));
+        }
+
+        const jackets = list.map(item => this.normalize(item)).filter(Boolean);
+        if (list.length > 0 && jackets.length === 0) {
+            throw new Error(I18n.t('wardrobe.noneValid'));
+        }
+
+        return this.save(jackets);
+    },
+
+    /**
+     * Validate and clean a jacket, assigning an id when missing
+     * Names are trimmed and cut to MAX_NAME_LENGTH
+     * Returns null for invalid entries
+     */
+    normalize(item) {
+        if (!item || typeof item.name !== 'string' || !item.name.trim()) return null;
+        if (!this.WARMTH_LEVELS.includes(item.warmth)) return null;
+
+        return {
+            id: typeof item.id === 'string' && item.id ? item.id : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: item.name.trim().slice(0, this.MAX_NAME_LENGTH).trim(),
+            warmth: item.warmth,
+            waterproof: Boolean(item.waterproof),
+            windproof: Boolean(item.windproof)
+        };
+    }
+};
@@ -1,58 +1,232 @@
 /**
  * Weather API integration module
- * Uses Open-Meteo API (free, no API key required)
+ * Fetches forecasts through a configurable provider (see js/providers/) and turns them into
+ * the { location, current, forecast, precipitation } shape the decision logic uses.
+ *
+ * Every provider returns the same series format (Open-Meteo's forecast layout):
+ *   { latitude, longitude, timezone, utc_offset_seconds,
+ *     current: { temperature_2m, apparent_temperature, relative_humidity_2m, weather_code, wind_speed_10m, wind_gusts_10m },
+ *     hourly: { time: ['YYYY-MM-DDTHH:00' local], temperature_2m, apparent_temperature, relative_humidity_2m,
+ *               weather_code, wind_speed_10m, wind_gusts_10m, precipitation_probability, snowfall } }
+ * in °F, mph and inches, with WMO weather codes. processWeatherData only ever reads this format.
  */
 
 const WeatherAPI = {
-    BASE_URL: 'https://api.open-meteo.com/v1',
-    GEO_URL: 'https://geocoding-api.open-meteo.com/v1',
+    CONFIG_KEY: 'jacket-weather-provider',
 
-    // Cache weather data for 10 minutes
-    cache: {
-        data: null,
-        timestamp: null,
-        CACHE_DURATION: 10 * 60 * 1000 // 10 minutes
+    // Available providers by name
+    PROVIDERS: {
+        'open-meteo': OpenMeteoProvider,
+        nws: NWSProvider,
+        openweathermap: OpenWeatherMapProvider,
+        local: LocalProvider
     },
 
+    // Tried in order when the provider fails (e.g. during an outage)
+    DEFAULT_CONFIG: {
+        provider: 'open-meteo',
+        fallbacks: ['nws'],
+        apiKeys: {}
+    },
+
+    config: null,
+
+    HOURLY_WINDOW: 48,      // Hours of forecast kept from now (the timeline shows the first 24)
+
     /**
-     * Check if cached data is still valid
+     * Current provider settings: { provider, fallbacks, apiKeys }
+     * A ?provider= URL parameter overrides the saved provider for this page load
      */
-    isCacheValid() {
-        if (!this.cache.data || !this.cache.timestamp) return false;
-        return (Date.now() - this.cache.timestamp) < this.cache.CACHE_DURATION;
+    getConfig() {
+        if (!this.config) {
+            let saved = {};
+            try {
+                saved = JSON.parse(localStorage.getItem(this.CONFIG_KEY)) || {};
+            } catch (error) {
+                // No saved settings
+            }
+
+            this.config = { ...this.DEFAULT_CONFIG, ...saved };
+
+            const override = typeof location !== 'undefined' && new URLSearchParams(location.search).get('provider');
+            if (override && this.PROVIDERS[override]) {
+                this.config.provider = override;
+            }
+
+            this.applyKeys();
+        }
+        return this.config;
     },
 
     /**
-     * Get weather data by coordinates
+     * Change and save provider settings, e.g. configure({ provider: 'openweathermap', apiKeys: { openweathermap: '...' } })
      */
-    async getWeatherByCoords(lat, lon) {
-        // Check cache first
-        if (this.isCacheValid()) {
-            return this.cache.data;
-        }
+    configure(settings = {}) {
+        const config = { ...this.getConfig(), ...settings };
+        config.apiKeys = { ...this.getConfig().apiKeys, ...(settings.apiKeys || {}) };
+
+        [config.provider, ...config.fallbacks].forEach(name => {
+            if (!this.PROVIDERS[name]) {
+                throw new Error(`Unknown weather provider: ${name}`);
+            }
+        });
+
+        this.config = config;
+        this.applyKeys();
 
         try {
-            // Get current weather and forecast
-            const response = await fetch(
-                `${this.BASE_URL}/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m&hourly=temperature_2m,weather_code,wind_speed_10m,precipitation_probability&temperature_unit=fahrenheit&wind_speed_unit=mph&timezone=auto&forecast_days=1`
-            );
+            localStorage.setItem(this.CONFIG_KEY, JSON.stringify(config));
+        } catch (error) {
+            // Settings still apply for this session
+        }
+        return config;
+    },
 
-            if (!response.ok) {
-                throw new Error('Weather API request failed');
+    /**
+     * Hand saved API keys to the providers that need them
+     */
+    applyKeys() {
+        Object.keys(this.PROVIDERS).forEach(name => {
+            if (this.PROVIDERS[name].requiresKey) {
+                this.PROVIDERS[name].apiKey = this.config.apiKeys[name] || '';
             }
+        });
+    },
+
+    /**
+     * The selected provider
+     */
+    getProvider() {
+        return this.PROVIDERS[this.getConfig().provider];
+    },
+
+    /**
+     * The selected provider followed by its fallbacks, skipping any that are missing an API key
+     */
+    getProviderChain() {
+        const config = this.getConfig();
+        const names = [config.provider, ...config.fallbacks.filter(name => name !== config.provider)];
+
+        return names
+            .map(name => this.PROVIDERS[name])
+            .filter(provider => provider && !(provider.requiresKey && !provider.apiKey));
+    },
 
-            const data = await response.json();
+    /**
+     * Explain a provider setup that can't work, or null when it's fine
+     */
+    getConfigError() {
+        const provider = this.getProvider();
+        if (provider.requiresKey && !provider.apiKey) {
+            return I18n.t('error.apiKey', { provider: provider.label });
+        }
+        return null;
+    },
+
+    /**
+     * How many days ahead the selected provider forecasts
+     */
+    getForecastDays() {
+        return this.getProvider().FORECAST_DAYS;
+    },
+
+    /**
+     * Run a request against each provider in the chain until one succeeds
+     */
+    async withProvider(action) {
+        const providers = this.getProviderChain();
+        let lastError = new Error(this.getConfigError() || I18n.t('error.noProvider'));
+
+        for (const provider of providers) {
+            try {
+                return await action(provider);
+            } catch (error) {
+                console.error(`Weather provider ${provider.name} failed:`, error);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    },
+
+    /**
+     * Fetch the raw forecast series for one location
+     * options: { startDate, endDate } for a date range
+     */
+    async fetchForecast(lat, lon, options = {}) {
+        return this.withProvider(async provider => this.stamp(await provider.fetchForecast(lat, lon, options), provider));
+    },
+
+    /**
+     * Fetch raw forecast series for several locations ({ lat, lon }), in order
+     * Uses a single batched request when the provider supports one
+     */
+    async fetchForecasts(locations) {
+        return this.withProvider(async provider => {
+            const results = provider.fetchForecasts
+                ? await provider.fetchForecasts(locations)
+                : await Promise.all(locations.map(location => provider.fetchForecast(location.lat, location.lon)));
+            return results.map(result => this.stamp(result, provider));
+        });
+    },
+
+    /**
+     * Stamp a result with its source and age so stale data can say how old it is
+     */
+    stamp(data, provider) {
+        data.provider = provider.name;
+        data.fetched_at = Date.now();
+        return data;
+    },
+
+    /**
+     * Cache key for a location's forecast from one provider - the one that answered, so neither
+     * switching providers nor a fallback during an outage ever mixes their data
+     */
+    getCacheKey(lat, lon, providerName, ...parts) {
+        return WeatherCache.key(lat, lon, providerName, ...parts);
+    },
 
+    /**
+     * Cached forecast for one location, trying each provider in the chain against its own entry
+     * parts extend the cache key, options go to the provider (see fetchForecast)
+     */
+    async getCachedForecast(lat, lon, { parts = [], options = {}, onUpdate = null } = {}) {
+        return this.withProvider(provider => WeatherCache.get(
+            'forecast',
+            this.getCacheKey(lat, lon, provider.name, ...parts),
+            async () => this.stamp(await provider.fetchForecast(lat, lon, options), provider),
+            onUpdate
+        ));
+    },
+
+    /**
+     * Newest usable cached forecast for a location from any provider in the chain, the selected one first
+     * Returns: { data, timestamp, isFresh } or null
+     */
+    async readCachedForecast(lat, lon) {
+        for (const provider of this.getProviderChain()) {
+            const entry = await WeatherCache.read('forecast', this.getCacheKey(lat, lon, provider.name));
+            if (entry) return entry;
+        }
+        return null;
+    },
+
+    /**
+     * Get weather data by coordinates
+     * Cached forecasts are served even when stale; pass onUpdate(weatherData) to hear about the refresh
+     */
+    async getWeatherByCoords(lat, lon, onUpdate = null) {
+        try {
             // Get location name via reverse geocoding
             const locationName = await this.reverseGeocode(lat, lon);
 
-            const weatherData = this.processWeatherData(data, locationName);
-
-            // Cache the result
-            this.cache.data = weatherData;
-            this.cache.timestamp = Date.now();
+            // Get current weather and forecast, from the cache when possible
+            const data = await this.getCachedForecast(lat, lon, {
+                onUpdate: onUpdate && (fresh => onUpdate(this.processWeatherData(fresh, locationName)))
+            });
 
-            return weatherData;
+            return this.processWeatherData(data, locationName);
         } catch (error) {
             console.error('Error fetching weather:', error);
             throw error;
@@ -60,57 +234,103 @@ const WeatherAPI = {
     },
 
     /**
-     * Reverse geocode coordinates to get location name
+     * Get weather data for several locations ({ name, country, lat, lon }) at once
+     * Locations without a fresh cached forecast are fetched together (one request where the
+     * provider supports batching). When every location has cached data the refresh happens
+     * in the background and onUpdate(weatherDataList) is called after.
+     * Returns weather data in the same order as locations.
      */
-    async reverseGeocode(lat, lon) {
-        try {
-            const response = await fetch(
-                `${this.GEO_URL}/search?name=&latitude=${lat}&longitude=${lon}&count=1`
+    async getWeatherForLocations(locations, onUpdate = null) {
+        // Forecasts by rounded coordinates, so nearby places share one
+        const keys = locations.map(location => WeatherCache.key(location.lat, location.lon));
+        const entries = await Promise.all(locations.map(location => this.readCachedForecast(location.lat, location.lon)));
+
+        const byKey = {};
+        const stale = [];
+        entries.forEach((entry, index) => {
+            if (entry) {
+                byKey[keys[index]] = entry.data;
+            }
+            if (!(entry && entry.isFresh) && !stale.some(location => WeatherCache.key(location.lat, location.lon) === keys[index])) {
+                stale.push(locations[index]);
+            }
+        });
+
+        const process = () => locations.map((location, index) => this.processWeatherData(byKey[keys[index]], location));
+
+        if (stale.length > 0) {
+            // Each result is stamped with the provider that answered and cached under its name
+            const refresh = WeatherCache.request(() => this.fetchForecasts(stale)).then(results =>
+                Promise.all(results.map((result, index) => {
+                    const { lat, lon } = stale[index];
+                    byKey[WeatherCache.key(lat, lon)] = result;
+                    return WeatherCache.write('forecast', this.getCacheKey(lat, lon, result.provider), result);
+                }))
             );
 
-            // If reverse geocoding fails, return coordinates
-            if (!response.ok) {
-                return { name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, country: '' };
+            if (keys.some(key => !byKey[key])) {
+                try {
+                    await refresh;
+                } catch (error) {
+                    console.error('Error fetching weather:', error);
+                    throw error;
+                }
+            } else {
+                refresh
+                    .then(() => onUpdate && onUpdate(process()))
+                    .catch(error => console.error('Error refreshing weather:', error));
             }
+        }
+
+        return process();
+    },
+
+    /**
+     * Get raw hourly forecast data for a date range (up to getForecastDays() ahead)
+     * Process each day with processWeatherData(data, location, { date, hour })
+     */
+    async getTripForecast(lat, lon, startDate, endDate) {
+        return this.getCachedForecast(lat, lon, { parts: [startDate, endDate], options: { startDate, endDate } });
+    },
 
-            // Open-Meteo doesn't have true reverse geocoding, so we'll use the search results
-            // For now, return a placeholder that will be overwritten by search selection
-            return { name: 'Current Location', country: '' };
+    /**
+     * Reverse geocode coordinates to get location name
+     * Returns: { name, state, country, lat, lon } (see ReverseGeocoder)
+     */
+    async reverseGeocode(lat, lon) {
+        try {
+            const place = await WeatherCache.get(
+                'geocoding',
+                WeatherCache.key(lat, lon, 'reverse', ReverseGeocoder.remote || 'bundled', I18n.language),
+                () => ReverseGeocoder.lookup(lat, lon)
+            );
+            return { name: place.name, state: place.state, country: place.country, lat, lon };
         } catch (error) {
-            return { name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, country: '' };
+            // If reverse geocoding fails, return coordinates
+            return { name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, country: '', lat, lon };
         }
     },
 
     /**
      * Search for locations by query (for autocomplete)
+     * Uses the provider's own geocoder, or Open-Meteo's for providers without one (NWS)
      */
     async searchLocations(query) {
         if (!query || query.length < 2) {
             return [];
         }
 
+        const provider = this.getProvider();
+        const geocoder = provider.searchLocations && !(provider.requiresKey && !provider.apiKey)
+            ? provider
+            : OpenMeteoProvider;
+
         try {
-            const response = await fetch(
-                `${this.GEO_URL}/search?name=${encodeURIComponent(query)}&count=5&language=en&format=json`
+            return await WeatherCache.get(
+                'geocoding',
+                `search:${geocoder.name}:${I18n.language}:${query.toLowerCase()}`,
+                () => geocoder.searchLocations(query)
             );
-
-            if (!response.ok) {
-                throw new Error('Geocoding request failed');
-            }
-
-            const data = await response.json();
-
-            if (!data.results) {
-                return [];
-            }
-
-            return data.results.map(item => ({
-                name: item.name,
-                state: item.admin1 || '',
-                country: item.country || '',
-                lat: item.latitude,
-                lon: item.longitude
-            }));
         } catch (error) {
             console.error('Error searching locations:', error);
             return [];
@@ -119,15 +339,21 @@ const WeatherAPI = {
 
     /**
      * Process raw weather data into our format
+     * Pass anchor ({ date: 'YYYY-MM-DD', hour }) to treat a future local hour as "now" (used by the trip planner)
      */
-    processWeatherData(data, locationInfo) {
-        const current = data.current;
+    processWeatherData(data, locationInfo, anchor = null) {
         const hourly = data.hourly;
 
-        // Find forecast for 6 hours from now
-        const currentHourIndex = new Date().getHours();
-        const sixHourIndex = Math.min(currentHourIndex + 6, 23);
-        const twelveHourIndex = Math.min(currentHourIndex + 12, 23);
+        // Find forecast for 6 hours from now, using the location's clock rather than the browser's
+        const localTime = anchor
+            ? { date: anchor.date, hour: anchor.hour, minute: 0, utcOffsetSeconds: data.utc_offset_seconds || 0 }
+            : this.getLocalTime(data.utc_offset_seconds || 0);
+        const lastIndex = hourly.time.length - 1;
+        const matchedIndex = hourly.time.indexOf(`${localTime.date}T${String(localTime.hour).padStart(2, '0')}:00`);
+        const currentHourIndex = matchedIndex >= 0 ? matchedIndex : Math.min(localTime.hour, lastIndex);
+        const sixHourIndex = Math.min(currentHourIndex + 6, lastIndex);
+        const twelveHourIndex = Math.min(currentHourIndex + 12, lastIndex);
+        const current = anchor ? this.getHourlySnapshot(hourly, currentHourIndex) : data.current;
 
         // Get precipitation probability for next 6 hours
         const precipChances = hourly.precipitation_probability.slice(currentHourIndex, sixHourIndex + 1);
@@ -137,6 +363,24 @@ const WeatherAPI = {
         const currentConditions = this.getConditionsFromCode(current.weather_code);
         const sixHourConditions = this.getConditionsFromCode(hourly.weather_code[sixHourIndex]);
 
+        // Keep the next two days of hours, so commute legs late tomorrow still have a forecast
+        const remainingHours = [];
+        const windowEnd = Math.min(currentHourIndex + this.HOURLY_WINDOW, hourly.time.length);
+        for (let i = currentHourIndex; i < windowEnd; i++) {
+            remainingHours.push({
+                time: hourly.time[i],
+                hour: parseInt(hourly.time[i].slice(11, 13), 10),
+                temp: Math.round(hourly.temperature_2m[i]),
+                windSpeed: Math.round(hourly.wind_speed_10m[i]),
+                windGusts: Math.round(hourly.wind_gusts_10m[i]),
+                humidity: hourly.relative_humidity_2m[i],
+                precipChance: hourly.precipitation_probability[i],
+                snowfall: hourly.snowfall ? hourly.snowfall[i] : 0,
+                weatherCode: hourly.weather_code[i],
+                conditions: this.getConditionsFromCode(hourly.weather_code[i]).main
+            });
+        }
+
         return {
             location: {
                 name: locationInfo.name,
@@ -149,6 +393,7 @@ const WeatherAPI = {
                 feelsLike: Math.round(current.apparent_temperature),
                 humidity: current.relative_humidity_2m,
                 windSpeed: Math.round(current.wind_speed_10m),
+                windGusts: Math.round(current.wind_gusts_10m),
                 conditions: currentConditions.main,
                 description: currentConditions.description,
                 icon: currentConditions.icon
@@ -162,15 +407,49 @@ const WeatherAPI = {
                 twelveHour: {
                     temp: Math.round(hourly.temperature_2m[twelveHourIndex]),
                     conditions: this.getConditionsFromCode(hourly.weather_code[twelveHourIndex]).main
-                }
+                },
+                hourly: remainingHours
             },
             precipitation: {
                 chance: maxPrecipChance,
                 isRaining: [51, 53, 55, 61, 63, 65, 80, 81, 82, 95, 96, 99].includes(current.weather_code),
-                isSnowing: [71, 73, 75, 77, 85, 86].includes(current.weather_code)
+                isSnowing: [71, 73, 75, 77, 85, 86].includes(current.weather_code),
+                isFreezingRain: [56, 57, 66, 67].includes(current.weather_code)
             },
-            timestamp: Date.now(),
-            timezone: data.timezone
+            timestamp: data.fetched_at || Date.now(),
+            timezone: data.timezone,
+            localTime
+        };
+    },
+
+    /**
+     * Build a "current conditions" object from one hour of the hourly forecast
+     */
+    getHourlySnapshot(hourly, index) {
+        return {
+            time: hourly.time[index],
+            temperature_2m: hourly.temperature_2m[index],
+            apparent_temperature: hourly.apparent_temperature
+                ? hourly.apparent_temperature[index]
+                : hourly.temperature_2m[index],
+            relative_humidity_2m: hourly.relative_humidity_2m[index],
+            weather_code: hourly.weather_code[index],
+            wind_speed_10m: hourly.wind_speed_10m[index],
+            wind_gusts_10m: hourly.wind_gusts_10m[index]
+        };
+    },
+
+    /**
+     * Get the current wall-clock time at a location from its UTC offset
+     * Returns: { date: 'YYYY-MM-DD', hour: 0-23, minute: 0-59, utcOffsetSeconds }
+     */
+    getLocalTime(utcOffsetSeconds, now = Date.now()) {
+        const local = new Date(now + utcOffsetSeconds * 1000);
+        return {
+            date: local.toISOString().split('T')[0],
+            hour: local.getUTCHours(),
+            minute: local.getUTCMinutes(),
+            utcOffsetSeconds
         };
     },
 
@@ -188,9 +467,13 @@ const WeatherAPI = {
             51: { main: 'Drizzle', description: 'light drizzle', icon: '09d' },
             53: { main: 'Drizzle', description: 'moderate drizzle', icon: '09d' },
             55: { main: 'Drizzle', description: 'dense drizzle', icon: '09d' },
+            56: { main: 'Freezing Rain', description: 'light freezing drizzle', icon: '13d' },
+            57: { main: 'Freezing Rain', description: 'dense freezing drizzle', icon: '13d' },
             61: { main: 'Rain', description: 'slight rain', icon: '10d' },
             63: { main: 'Rain', description: 'moderate rain', icon: '10d' },
             65: { main: 'Rain', description: 'heavy rain', icon: '10d' },
+            66: { main: 'Freezing Rain', description: 'light freezing rain', icon: '13d' },
+            67: { main: 'Freezing Rain', description: 'heavy freezing rain', icon: '13d' },
             71: { main: 'Snow', description: 'slight snow', icon: '13d' },
             73: { main: 'Snow', description: 'moderate snow', icon: '13d' },
             75: { main: 'Snow', description: 'heavy snow', icon: '13d' },
@@ -209,10 +492,14 @@ const WeatherAPI = {
     },
 
     /**
-     * Clear the cache (useful when changing locations)
+     * Clear cached forecasts for one location, or for every location when called without coordinates
      */
-    clearCache() {
-        this.cache.data = null;
-        this.cache.timestamp = null;
+    clearCache(lat, lon) {
+        if (lat === undefined || lon === undefined) {
+            return WeatherCache.remove('forecast');
+        }
+        return Promise.all(Object.keys(this.PROVIDERS).map(name =>
+            WeatherCache.remove('forecast', this.getCacheKey(lat, lon, name))
+        ));
     }
 };
@@ -0,0 +1,170 @@
+/**
+ * Headless jacket decision core for Node (scripts, cron jobs, chat bots)
+ *
+ * Runs the same modules the site uses (js/*.js) in a private context, so nothing leaks
+ * into the caller's globals and there is no localStorage: caches and provider settings
+ * live in memory for the life of the core.
+ *
+ *   const { createCore } = require('./lib/core');
+ *   const core = createCore({ provider: 'open-meteo' });
+ *   const { location, weatherData, decision } = await core.check('Boston');
+ *
+ * core.decide(weatherData, options) is side-effect free: weather data, clock (options.now)
+ * and adjustments go in, the verdict comes out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Browser modules in script order (see index.html)
+const MODULES = [
+    'js/cache.js',
+    'js/i18n.js',
+    'js/locales/es.js',
+    'js/locales/fr.js',
+    'js/locales/de.js',
+    'js/providers/open-meteo.js',
+    'js/providers/nws.js',
+    'js/providers/openweathermap.js',
+    'js/providers/local.js',
+    'js/weather.js',
+    'js/comfort.js',
+    'js/climate.js',
+    'js/geocoder.js',
+    'js/units.js',
+    'js/decision.js',
+    'js/trip.js'
+];
+
+const EXPORTS = ['WeatherCache', 'I18n', 'WeatherAPI', 'ComfortModel', 'ClimateNormals', 'ReverseGeocoder', 'Units', 'JacketDecision', 'TripPlanner', 'LocalProvider'];
+
+/**
+ * Load the modules into a fresh context
+ * options: { provider, fallbacks, apiKeys } (see WeatherAPI.configure), fetch (defaults to the global one)
+ */
+function createCore(options = {}) {
+    const context = vm.createContext({
+        console,
+        fetch: options.fetch || globalThis.fetch,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout
+    });
+
+    MODULES.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    const modules = {};
+    EXPORTS.forEach(name => {
+        modules[name] = vm.runInContext(name, context);
+    });
+
+    const { WeatherAPI, JacketDecision, LocalProvider, Units, I18n } = modules;
+
+    // The local provider reads its fixtures from disk rather than over HTTP
+    const fixtureDir = path.join(ROOT, 'fixtures', 'weather');
+    fs.readdirSync(fixtureDir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => LocalProvider.register(
+            path.basename(file, '.json'),
+            JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'))
+        ));
+
+    const { provider, fallbacks, apiKeys } = options;
+    WeatherAPI.configure({
+        ...(provider ? { provider } : {}),
+        ...(fallbacks ? { fallbacks } : {}),
+        ...(apiKeys ? { apiKeys } : {})
+    });
+
+    return {
+        ...modules,
+
+        /**
+         * Side-effect-free decision (see JacketDecision.decide)
+         */
+        decide(weatherData, decideOptions = {}) {
+            return JacketDecision.decide(weatherData, decideOptions);
+        },
+
+        /**
+         * First place matching a search, or null
+         */
+        async findLocation(query) {
+            const results = await WeatherAPI.searchLocations(query);
+            return results[0] || null;
+        },
+
+        /**
+         * Fetch and normalize weather for a location ({ name, country, lat, lon })
+         * Pass now (ms) to read the forecast at another time of day than the current one
+         */
+        async getWeather(location, { now } = {}) {
+            const data = await WeatherAPI.fetchForecast(location.lat, location.lon);
+            const anchor = now === undefined ? null : WeatherAPI.getLocalTime(data.utc_offset_seconds || 0, now);
+            return WeatherAPI.processWeatherData(data, location, anchor);
+        },
+
+        /**
+         * Recent-weather acclimation for a location (fetches archive data; 0 when unavailable)
+         * Unlike the browser, nothing is logged - check() reports the failure in its warnings
+         */
+        async getSeasonalAdjustment(location, localDate) {
+            try {
+                return await JacketDecision.fetchSeasonalAdjustment(location.lat, location.lon, localDate);
+            } catch (error) {
+                return 0;
+            }
+        },
+
+        /**
+         * Search, fetch and decide in one call
+         * options: now, seasonal (false skips the archive request), locale (e.g. 'en-GB', picks
+         * default units), language (e.g. 'de' or 'es-MX' for place names and text - defaults to
+         * locale, and stays for later calls), plus decide() options - units may be partial, e.g. { wind: 'ms' }
+         * Returns: { location, weatherData, decision, warnings } - warnings lists what was skipped,
+         * e.g. the seasonal adjustment when the archive can't be reached
+         */
+        async check(query, checkOptions = {}) {
+            const language = checkOptions.language || checkOptions.locale;
+            if (language) {
+                I18n.setLocale(language);
+            }
+
+            const location = await this.findLocation(query);
+            if (!location) {
+                throw new Error(I18n.t('error.noPlace', { name: query }));
+            }
+
+            const weatherData = await this.getWeather(location, checkOptions);
+            const warnings = [];
+            let seasonalAdjustment = 0;
+            if (checkOptions.seasonal !== false) {
+                try {
+                    seasonalAdjustment = await JacketDecision.fetchSeasonalAdjustment(location.lat, location.lon, weatherData.localTime.date);
+                } catch (error) {
+                    warnings.push(`Recent weather unavailable (${error.message}) - skipped the seasonal adjustment`);
+                }
+            }
+
+            // Units default from the locale, then the place's country
+            const units = Units.normalize({
+                ...Units.resolve({ country: location.country, locale: checkOptions.locale }),
+                ...checkOptions.units
+            });
+
+            return {
+                location,
+                weatherData,
+                decision: this.decide(weatherData, { ...checkOptions, seasonalAdjustment, units }),
+                warnings
+            };
+        }
+    };
+}
+
+module.exports = { createCore };
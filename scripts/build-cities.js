@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Pre-render a landing page per city and rebuild sitemap.xml
+ *
+ *   node scripts/build-cities.js [--config cities.json] [--date 2025-11-19]
+ *
+ * cities.json lists the site's base URL and the cities. A city is either a place name
+ * ("Chicago, Illinois" - matched against ReverseGeocoder.PLACES) or a full location
+ * ({ "name", "state", "country", "lat", "lon", "slug" }).
+ *
+ * Each page is index.html with its own title, description, canonical URL and JSON-LD,
+ * plus the city's location for DeepLink.fromPage, so it opens straight to the decision.
+ * Pages go to city/<slug>/index.html; anything left there from removed cities is deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCore } = require('../lib/core');
+
+const ROOT = path.join(__dirname, '..');
+const CITY_DIR = path.join(ROOT, 'city');
+
+// Pages that are always in the sitemap: [path, priority]
+const STATIC_PAGES = [
+    ['/', '1.0'],
+    ['/carousel.html', '0.8']
+];
+const CITY_PRIORITY = '0.7';
+
+/**
+ * Parse command-line arguments
+ * Returns: { config, date }
+ */
+function parseArgs(argv) {
+    const args = { config: path.join(ROOT, 'cities.json'), date: new Date().toISOString().slice(0, 10) };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') {
+            args.config = path.resolve(argv[++i] || '');
+        } else if (argv[i] === '--date') {
+            args.date = argv[++i];
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(args.date || '')) {
+        throw new Error('--date must be YYYY-MM-DD');
+    }
+    return args;
+}
+
+/**
+ * URL-safe name: "St. John's" -> "st-johns", "Île-de-France" -> "ile-de-france"
+ */
+function slugify(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’.]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Turn a cities.json entry into { slug, name, state, country, lat, lon }
+ */
+function resolveCity(entry, places) {
+    if (typeof entry !== 'string') {
+        if (!entry.name || !Number.isFinite(entry.lat) || !Number.isFinite(entry.lon)) {
+            throw new Error(`City needs a name, lat and lon: ${JSON.stringify(entry)}`);
+        }
+        return {
+            slug: entry.slug || slugify(entry.name),
+            name: entry.name,
+            state: entry.state || '',
+            country: entry.country || '',
+            lat: entry.lat,
+            lon: entry.lon
+        };
+    }
+
+    const [name, region] = entry.split(',').map(part => part.trim().toLowerCase());
+    const match = places.find(([placeName, state, country]) =>
+        placeName.toLowerCase() === name &&
+        (!region || state.toLowerCase() === region || country.toLowerCase() === region)
+    );
+    if (!match) {
+        throw new Error(`Unknown city "${entry}" - add it to ReverseGeocoder.PLACES or give its coordinates`);
+    }
+
+    const [placeName, state, country, lat, lon] = match;
+    return { slug: slugify(placeName), name: placeName, state, country, lat, lon };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON for an inline <script> - "</script>" inside a string can't close the tag
+ */
+function inlineJson(value, indent) {
+    return JSON.stringify(value, null, 2)
+        .replace(/</g, '\\u003c')
+        .split('\n')
+        .map(line => indent + line)
+        .join('\n');
+}
+
+/**
+ * Title, description and structured data for a city
+ */
+function describeCity(city, site) {
+    const url = `${site}/city/${city.slug}/`;
+    const region = city.state || city.country;
+    const title = `Do I Need a Jacket in ${city.name} Today? | Should I Bring a Jacket?`;
+    const description = `Should you bring a jacket in ${city.name}${region ? `, ${region}` : ''} today? ` +
+        `A live yes or no from ${city.name}'s temperature, wind and rain forecast, ` +
+        `tuned to what's normal there this time of year.`;
+
+    const structuredData = {
+        '@context': 'https://schema.org',
+        '@type': 'WebPage',
+        name: title,
+        url,
+        description,
+        about: {
+            '@type': 'City',
+            name: city.name,
+            ...(region ? { containedInPlace: { '@type': 'AdministrativeArea', name: region } } : {}),
+            geo: {
+                '@type': 'GeoCoordinates',
+                latitude: city.lat,
+                longitude: city.lon
+            }
+        },
+        isPartOf: {
+            '@type': 'WebApplication',
+            name: 'Should I Bring a Jacket?',
+            url: site
+        }
+    };
+
+    return { url, title, description, structuredData };
+}
+
+/**
+ * index.html rewritten as a city's landing page
+ */
+function renderCityPage(template, city, site) {
+    const { url, title, description, structuredData } = describeCity(city, site);
+    const location = { name: city.name, state: city.state, country: city.country, lat: city.lat, lon: city.lon };
+    let html = template;
+
+    const replace = (pattern, value) => {
+        if (!pattern.test(html)) {
+            throw new Error(`index.html no longer matches ${pattern} - update scripts/build-cities.js`);
+        }
+        html = html.replace(pattern, value);
+    };
+    const meta = (attribute, name) => new RegExp(`(<meta ${attribute}="${name}" content=")[^"]*(">)`);
+
+    // Assets and scripts are referenced relative to the site root
+    replace(/(<meta charset="UTF-8">)/, '$1\n    <base href="/">');
+
+    replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`);
+    replace(meta('name', 'title'), `$1${escapeHtml(title)}$2`);
+    replace(meta('name', 'description'), `$1${escapeHtml(description)}$2`);
+    replace(/(<link rel="canonical" href=")[^"]*(">)/, `$1${escapeHtml(url)}$2`);
+    ['og', 'twitter'].forEach(prefix => {
+        replace(meta('property', `${prefix}:url`), `$1${escapeHtml(url)}$2`);
+        replace(meta('property', `${prefix}:title`), `$1${escapeHtml(title)}$2`);
+        replace(meta('property', `${prefix}:description`), `$1${escapeHtml(description)}$2`);
+    });
+
+    replace(
+        /<script type="application\/ld\+json">[\s\S]*?<\/script>/,
+        `<script type="application/ld+json">\n${inlineJson(structuredData, '    ')}\n    </script>\n` +
+        `    <script type="application/json" id="page-location">\n${inlineJson(location, '    ')}\n    </script>`
+    );
+
+    // The search box starts out naming the city
+    replace(/(<input type="text" id="location-input" )/, `$1value="${escapeHtml(city.name)}" `);
+
+    return html;
+}
+
+/**
+ * sitemap.xml for the static pages and the city pages
+ */
+function renderSitemap(site, cities, date) {
+    const entries = STATIC_PAGES
+        .map(([page, priority]) => [`${site}${page}`, priority])
+        .concat(cities.map(city => [`${site}/city/${city.slug}/`, CITY_PRIORITY]));
+
+    const urls = entries.map(([loc, priority]) => `  <url>
+    <loc>${escapeHtml(loc)}</loc>
+    <lastmod>${date}</lastmod>
+    <changefreq>daily</changefreq>
+    <priority>${priority}</priority>
+  </url>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Write every city page and the sitemap
+ * Returns: the cities built
+ */
+function build({ config, date }) {
+    const { site, cities: entries } = JSON.parse(fs.readFileSync(config, 'utf8'));
+    const baseUrl = String(site || '').replace(/\/$/, '');
+    if (!baseUrl) {
+        throw new Error(`${config} needs a "site" URL`);
+    }
+
+    const { ReverseGeocoder } = createCore();
+    const cities = (entries || []).map(entry => resolveCity(entry, ReverseGeocoder.PLACES));
+
+    const slugs = new Set();
+    cities.forEach(city => {
+        if (slugs.has(city.slug)) {
+            throw new Error(`Two cities share the page city/${city.slug}/ - give one a "slug"`);
+        }
+        slugs.add(city.slug);
+    });
+
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+    if (fs.existsSync(CITY_DIR)) {
+        fs.readdirSync(CITY_DIR)
+            .filter(slug => !slugs.has(slug))
+            .forEach(slug => fs.rmSync(path.join(CITY_DIR, slug), { recursive: true }));
+    }
+
+    cities.forEach(city => {
+        const dir = path.join(CITY_DIR, city.slug);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'index.html'), renderCityPage(template, city, baseUrl));
+    });
+
+    fs.writeFileSync(path.join(ROOT, 'sitemap.xml'), renderSitemap(baseUrl, cities, date));
+    return cities;
+}
+
+if (require.main === module) {
+    try {
+        const cities = build(parseArgs(process.argv.slice(2)));
+        console.log(`Built ${cities.length} city pages: ${cities.map(city => `city/${city.slug}/`).join(', ')}`);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { slugify, resolveCity, renderCityPage, renderSitemap, build };
@@ -0,0 +1,142 @@
+/**
+ * Service worker
+ * Precaches the app shell and jacket images so the site opens offline.
+ * Weather data is cached by WeatherCache and DecisionHistory, not here.
+ *
+ * Pages, scripts and styles are fetched network first, so a deploy reaches everyone who is
+ * online without a version bump. Bump CACHE_VERSION when PRECACHE_URLS changes or an image
+ * is replaced.
+ */
+
+const CACHE_VERSION = 'jacket-v11';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'carousel.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/cache.js',
+    'js/i18n.js',
+    'js/locales/es.js',
+    'js/locales/fr.js',
+    'js/locales/de.js',
+    'js/providers/open-meteo.js',
+    'js/providers/nws.js',
+    'js/providers/openweathermap.js',
+    'js/providers/local.js',
+    'js/weather.js',
+    'js/comfort.js',
+    'js/climate.js',
+    'js/geocoder.js',
+    'js/units.js',
+    'js/decision.js',
+    'js/jacket-data.js',
+    'js/schedule.js',
+    'js/feedback.js',
+    'js/wardrobe.js',
+    'js/trip.js',
+    'js/favorites.js',
+    'js/history.js',
+    'js/simulator.js',
+    'js/links.js',
+    'js/app.js',
+    'fixtures/weather/chicago.json',
+    'fixtures/weather/seattle.json',
+    'fixtures/weather/phoenix.json',
+    'fixtures/weather/london.json',
+    'jackets/Aime Leon Dore x Porsche 911SC Mechanic Jacket.png',
+    'jackets/Alpha Industries Leather Flight Jacket.png',
+    'jackets/Ben Davis Work Jacket Stripped.png',
+    'jackets/Blousson Black Wool Jacket.png',
+    'jackets/Carhartt WIP Detroit jacket.png',
+    'jackets/Days Ranger navy blue whipcord work jacket. .png',
+    'jackets/KNOX Blue Navy Jacket.png',
+    'jackets/LOUECHY Men\'s Corduroy Trucker Jacket.png',
+    'jackets/O\'Connell\'s Destroyer Goatskin Baracuta jacket .png',
+    'jackets/Stray Rats Dickies Eisenhower Jacket.png',
+    'jackets/Vintage Polo Ralph Lauren Navy Jacket.png',
+    'female-jackets/GAMIRA\'s Womens Coat.png',
+    'female-jackets/H & M Denim Jacket.png',
+    'female-jackets/J. Crew Merlot Majesty Peacoat.png',
+    'female-jackets/Manokhi HANA Jacket.png',
+    'female-jackets/Micas Denim Metallic Button Outerwear.png',
+    'female-jackets/Miu Miu padded corduroy-collar blouson.png',
+    'female-jackets/Mos Mosh Wanda check pattern blaze.png',
+    'female-jackets/ReSee Pre Fall 2021 Flared Trench.png',
+    'female-jackets/TALISHKO Fur Line Up Zip Up.png',
+    'female-jackets/Toogood The Skipper jacket.png',
+    'female-jackets/Toteme Embroidered Scarf Jacket.png',
+    'female-jackets/Zara houndstooth belted jacket.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Only same-origin GETs - API calls go straight to the network
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    // Pages: network first so updates arrive, the cached shell when offline
+    // Stored without the query string, so deep links (?q=...) share one copy per page
+    if (request.mode === 'navigate') {
+        const page = new URL(request.url);
+        page.search = '';
+        event.respondWith(
+            networkFirst(request, page.toString())
+                .catch(() => caches.match(request, { ignoreSearch: true })
+                    .then(cached => cached || caches.match('index.html')))
+        );
+        return;
+    }
+
+    // Scripts and styles: network first too, so a fresh page never runs against old code
+    if (['script', 'style'].includes(request.destination)) {
+        event.respondWith(
+            networkFirst(request, request).catch(() => caches.match(request, { ignoreSearch: true }))
+        );
+        return;
+    }
+
+    // Everything else (images, fixtures): cache first, keeping a copy of anything new
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
+
+/**
+ * Fetch from the network and keep a copy under key; rejects when offline
+ */
+function networkFirst(request, key) {
+    return fetch(request).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_VERSION).then(cache => cache.put(key, copy));
+        }
+        return response;
+    });
+}
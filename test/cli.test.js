@@ -0,0 +1,80 @@
+/**
+ * bin/jacket.js against the local fixture provider (no network)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { parseArgs } = require('../bin/jacket');
+
+const CLI = path.join(__dirname, '..', 'bin', 'jacket.js');
+
+/**
+ * Run the CLI in a fixed English, US-units locale
+ * Returns: { code, stdout, stderr }
+ */
+function run(args) {
+    const env = { ...process.env, LC_ALL: 'en_US.UTF-8' };
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test('parseArgs reads the place and options', () => {
+    const args = parseArgs(['New', 'York', '--units', 'C', '--wind', 'ms', '--json', '--no-seasonal']);
+
+    assert.equal(args.query, 'New York');
+    assert.equal(args.units, 'c');
+    assert.equal(args.wind, 'ms');
+    assert.equal(args.json, true);
+    assert.equal(args.seasonal, false);
+});
+
+test('parseArgs rejects unknown options and units', () => {
+    assert.throws(() => parseArgs(['Boston', '--verbose']), /Unknown option/);
+    assert.throws(() => parseArgs(['Boston', '--units', 'k']), /--units/);
+    assert.throws(() => parseArgs(['Boston', '--wind', 'knots']), /--wind/);
+});
+
+test('prints a verdict for a fixture city', async () => {
+    const { code, stdout } = await run(['Chicago', '--provider', 'local', '--no-seasonal']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Chicago, Illinois: (YES|MAYBE|NO)/);
+    assert.match(stdout, /°F/);
+});
+
+test('--json prints the verdict as JSON in the chosen units', async () => {
+    const { code, stdout } = await run(['Phoenix', '--provider', 'local', '--no-seasonal', '--json', '--units', 'c']);
+    const result = JSON.parse(stdout);
+
+    assert.equal(code, 0);
+    assert.equal(result.location.name, 'Phoenix');
+    assert.ok(['YES', 'MAYBE', 'NO'].includes(result.answer));
+    assert.equal(typeof result.rule, 'string');
+    assert.equal(result.units.temperature, '°C');
+});
+
+test('--lang translates the advice', async () => {
+    const { code, stdout } = await run(['Chicago', '--provider', 'local', '--no-seasonal', '--lang', 'de']);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Chicago, Illinois: (JA|VIELLEICHT|NEIN)/);
+});
+
+test('an unknown place exits with an error', async () => {
+    const { code, stderr } = await run(['Atlantis', '--provider', 'local', '--no-seasonal']);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Atlantis/);
+});
+
+test('a missing place prints the usage', async () => {
+    const { code, stderr } = await run([]);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /Usage: jacket/);
+});
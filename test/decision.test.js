@@ -0,0 +1,127 @@
+/**
+ * JacketDecision.decide on the bundled weather fixtures (fixtures/weather/)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCore } = require('../lib/core');
+
+const core = createCore({ provider: 'local' });
+
+/**
+ * Weather data for a fixture with its local hour as "now" - no clock or network involved
+ */
+function fixtureWeather(id, hour) {
+    const fixture = core.LocalProvider.fixtures[id];
+    const location = { name: fixture.name, state: fixture.state, country: fixture.country, lat: fixture.latitude, lon: fixture.longitude };
+    return core.WeatherAPI.processWeatherData(fixture, location, { date: fixture.hourly.time[0].slice(0, 10), hour });
+}
+
+test('a snowy Chicago morning needs a heavy jacket', () => {
+    const decision = core.decide(fixtureWeather('chicago', 8));
+
+    assert.equal(decision.answer, 'YES');
+    assert.equal(decision.rule, 'heavy');
+    assert.equal(decision.warmth, 'heavy');
+    assert.equal(decision.winter.isSnowy, true);
+    assert.ok(decision.effectiveTemp < decision.thresholds.HEAVY_JACKET);
+});
+
+test('a mild Seattle afternoon needs a light jacket', () => {
+    const decision = core.decide(fixtureWeather('seattle', 14));
+
+    assert.equal(decision.answer, 'YES');
+    assert.equal(decision.rule, 'light');
+});
+
+test('a warm Phoenix afternoon needs no jacket', () => {
+    const decision = core.decide(fixtureWeather('phoenix', 14));
+
+    assert.equal(decision.answer, 'NO');
+    assert.equal(decision.rule, 'none');
+    assert.equal(decision.jacketType, null);
+});
+
+test('running cold turns a clear "no" into a borderline answer', () => {
+    const weatherData = fixtureWeather('phoenix', 8);
+
+    assert.equal(core.decide(weatherData).answer, 'NO');
+    const decision = core.decide(weatherData, { personalAdjustment: 4 });
+    assert.equal(decision.answer, 'MAYBE');
+    assert.equal(decision.rule, 'borderline');
+    assert.equal(decision.adjustments.personal, 4);
+});
+
+test('decide is pure: same input, same answer, input untouched', () => {
+    const weatherData = fixtureWeather('london', 20);
+    const before = JSON.stringify(weatherData);
+    const options = { seasonalAdjustment: 5, personalAdjustment: -2 };
+
+    assert.deepEqual(core.decide(weatherData, options), core.decide(weatherData, options));
+    assert.equal(JSON.stringify(weatherData), before);
+});
+
+test('every adjustment moves the jacket line by its own amount', () => {
+    const weatherData = fixtureWeather('london', 14);
+    const base = core.decide(weatherData);
+    const adjusted = core.decide(weatherData, { seasonalAdjustment: 5, personalAdjustment: -2 });
+
+    assert.equal(adjusted.thresholds.LIGHT_JACKET - base.thresholds.LIGHT_JACKET, 3);
+    assert.equal(adjusted.adjustments.total, base.adjustments.climate + 3);
+});
+
+test('the coldest commute leg decides, and a 23:30 return uses the next midnight', () => {
+    const weatherData = fixtureWeather('chicago', 8);
+    const { commute } = core.decide(weatherData, { schedule: { departure: '08:00', return: '23:30' } });
+    const midnight = weatherData.forecast.hourly.find(entry => entry.time.endsWith('T00:00') && entry.time > weatherData.localTime.date);
+
+    const returnLeg = commute.legs.find(leg => leg.kind === 'return');
+    assert.equal(returnLeg.isTomorrow, true);
+    assert.equal(returnLeg.temp, midnight.temp);
+
+    const coldest = Math.min(...commute.legs.map(leg => leg.effectiveTemp));
+    assert.equal(commute.decidingLeg.effectiveTemp, coldest);
+    assert.equal(commute.decidingLeg.comfort.effectiveTemp, coldest);
+});
+
+test('a leg that just passed uses tomorrow\'s forecast past the 24-hour timeline', () => {
+    const weatherData = fixtureWeather('chicago', 14);
+    const decision = core.decide(weatherData, { schedule: { departure: '08:00', return: '13:30' } });
+    const tomorrow = weatherData.forecast.hourly.find(entry => entry.hour === 14 && entry.time > weatherData.localTime.date + 'T23');
+
+    const returnLeg = decision.commute.legs.find(leg => leg.kind === 'return');
+    assert.ok(returnLeg);
+    assert.equal(returnLeg.isTomorrow, true);
+    assert.equal(returnLeg.temp, tomorrow.temp);
+    assert.equal(decision.timeline.hours.length, 24);
+});
+
+test('metric units convert the generated text, not the verdict', () => {
+    const weatherData = fixtureWeather('seattle', 14);
+    const metric = core.decide(weatherData, { units: core.Units.SYSTEMS.metric });
+
+    assert.equal(metric.answer, core.decide(weatherData).answer);
+    assert.match(metric.reasoning, /°C/);
+    assert.doesNotMatch(metric.reasoning, /°F/);
+});
+
+test('a warm climate raises the jacket line, a warm spell lowers it', () => {
+    const { JacketDecision } = core;
+
+    // A normally warm month means a jacket sooner
+    const summer = JacketDecision.getClimateAdjustment(33.45, -112.07, '2024-07-15');
+    const winter = JacketDecision.getClimateAdjustment(44.98, -93.27, '2024-01-15');
+    assert.ok(summer.adjustment > 0);
+    assert.ok(winter.adjustment < 0);
+
+    // Recent weather goes the other way: a warm spell means a jacket later
+    assert.ok(JacketDecision.getSeasonalAdjustmentFromTemps([80, 78, 82]) < 0);
+    assert.ok(JacketDecision.getSeasonalAdjustmentFromTemps([20, 25, 22]) > 0);
+    assert.equal(JacketDecision.getSeasonalAdjustmentFromTemps([55, 58, 52]), 0);
+
+    const weatherData = fixtureWeather('london', 14);
+    const afterWarmSpell = core.decide(weatherData, { seasonalAdjustment: JacketDecision.getSeasonalAdjustmentFromTemps([80]) });
+    const afterColdSpell = core.decide(weatherData, { seasonalAdjustment: JacketDecision.getSeasonalAdjustmentFromTemps([20]) });
+    assert.ok(afterWarmSpell.thresholds.LIGHT_JACKET < afterColdSpell.thresholds.LIGHT_JACKET);
+    assert.match(afterWarmSpell.reasoning, /very warm lately/);
+});
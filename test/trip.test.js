@@ -0,0 +1,38 @@
+/**
+ * TripPlanner dates against the destination's own calendar
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCore } = require('../lib/core');
+
+const core = createCore({ provider: 'local' });
+
+test('today is the date at the given UTC offset', () => {
+    const { TripPlanner, WeatherAPI } = core;
+
+    assert.equal(TripPlanner.getToday(3600), WeatherAPI.getLocalTime(3600).date);
+    // UTC+14 and UTC-12 are always on different dates
+    assert.ok(TripPlanner.getToday(14 * 3600) > TripPlanner.getToday(-12 * 3600));
+});
+
+test('the forecast horizon starts at the given today, widened by any slack', () => {
+    const { TripPlanner } = core;
+
+    assert.deepEqual([...TripPlanner.getDateRange('2024-01-15', '2024-01-16', '2024-01-15')], ['2024-01-15', '2024-01-16']);
+    assert.throws(() => TripPlanner.getDateRange('2024-01-14', '2024-01-15', '2024-01-15'), /2 days/);
+    assert.equal(TripPlanner.getDateRange('2024-01-14', '2024-01-17', '2024-01-15', 1).length, 4);
+    assert.throws(() => TripPlanner.getDateRange('2024-01-16', '2024-01-15', '2024-01-15'), /end/i);
+});
+
+test('a trip is planned from today at the destination', async () => {
+    const { TripPlanner, LocalProvider } = core;
+    const london = LocalProvider.fixtures.london;
+    const today = TripPlanner.getToday(london.utc_offset_seconds);
+    const location = { name: london.name, country: london.country, lat: london.latitude, lon: london.longitude };
+
+    const trip = await TripPlanner.planTrip(location, today, today);
+
+    assert.equal(trip.days.length, 1);
+    assert.equal(trip.days[0].date, today);
+});
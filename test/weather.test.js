@@ -0,0 +1,53 @@
+/**
+ * WeatherAPI forecast caching across the provider chain
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCore } = require('../lib/core');
+
+const CHICAGO = { lat: 41.88, lon: -87.63 };
+
+test('a fallback answer is cached under the fallback, not the selected provider', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const core = createCore({
+        provider: 'open-meteo',
+        fallbacks: ['local'],
+        fetch: () => Promise.reject(new Error('offline'))
+    });
+    const { WeatherAPI, WeatherCache } = core;
+
+    const data = await WeatherAPI.getCachedForecast(CHICAGO.lat, CHICAGO.lon);
+
+    assert.equal(data.provider, 'local');
+    assert.equal(await WeatherCache.read('forecast', WeatherAPI.getCacheKey(CHICAGO.lat, CHICAGO.lon, 'open-meteo')), null);
+    const cached = await WeatherCache.read('forecast', WeatherAPI.getCacheKey(CHICAGO.lat, CHICAGO.lon, 'local'));
+    assert.equal(cached.data.provider, 'local');
+});
+
+test('saved places cache each forecast under the provider that answered', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const core = createCore({
+        provider: 'open-meteo',
+        fallbacks: ['local'],
+        fetch: () => Promise.reject(new Error('offline'))
+    });
+    const { WeatherAPI } = core;
+
+    const [weather] = await WeatherAPI.getWeatherForLocations([{ name: 'Chicago', country: 'United States', ...CHICAGO }]);
+    const entry = await WeatherAPI.readCachedForecast(CHICAGO.lat, CHICAGO.lon);
+
+    assert.equal(weather.location.name, 'Chicago');
+    assert.equal(entry.data.provider, 'local');
+    assert.equal(entry.isFresh, true);
+});
+
+test('provider errors are in the current language', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const core = createCore({ provider: 'openweathermap', fallbacks: [] });
+    const { WeatherAPI, I18n } = core;
+    I18n.setLocale('de-DE');
+
+    assert.equal(WeatherAPI.getConfigError(), 'Bitte füge deinen API-Schlüssel für OpenWeatherMap hinzu.');
+    await assert.rejects(WeatherAPI.fetchForecast(CHICAGO.lat, CHICAGO.lon), { message: /API-Schlüssel/ });
+});